@@ -1,6 +1,50 @@
 // api/ai/brain.js - Consolidated Brain Functions (Memory + Chat + Tools)
 import { createClient } from '@supabase/supabase-js';
-import jwt from 'jsonwebtoken';
+import { wantsEventStream, openEventStream, chunkText } from '../../lib/sse.js';
+import { resolveLLMSettings, generateChat, supportsTools } from '../../lib/llm/index.js';
+import { resolveModelForChat, getRetrievalConfig, describeModel } from '../../lib/models.js';
+import {
+  listTools,
+  getTool,
+  describeUserTool,
+  validateToolSettings,
+  findUserTool,
+  executeTool,
+  confirmToolAction,
+  suggestTools,
+  getEnabledTools
+} from '../../lib/tools/index.js';
+import { runToolLoop, summarizeToolCalls } from '../../lib/tools/loop.js';
+import { collectConfirmations, listPendingConfirmations, cancelConfirmation } from '../../lib/tools/confirmations.js';
+import { encryptCredentials } from '../../lib/credentials.js';
+import {
+  mcpServerSettings,
+  refreshMcpServers,
+  describeMcpServer,
+  mcpServerName,
+  slugifyServerName,
+  MCP_TOOL_PREFIX
+} from '../../lib/tools/mcp.js';
+import { allowedStdioCommands, isStdioCommandAllowed, allowedStdioEnv, refusedStdioEnv } from '../../lib/mcp-client.js';
+import { assertPublicUrl } from '../../lib/net-guard.js';
+import { authenticateBearer, bearerToken, createApiKey, listApiKeys, revokeApiKey } from '../../lib/api-keys.js';
+import { handleMcpMessage, MCP_PROTOCOL_VERSIONS } from '../../lib/mcp.js';
+import { getToolAnalytics } from '../../lib/tools/usage.js';
+import { importCalendar, exportCalendar } from '../../lib/calendar.js';
+import { importDataset, refreshDataset, listDatasets, loadDataset, deleteDataset, describeDataset } from '../../lib/datasets.js';
+import { queryTable, describeTable } from '../../lib/table-query.js';
+import { buildMemoryEmbedding, withoutEmbedding, storeMemory, searchTrainingData, trainingAsMemory } from '../../lib/memory-search.js';
+import { consolidateMemories } from '../../lib/memory-consolidation.js';
+import {
+  rankMemories,
+  searchRankedMemories,
+  retrieveMemoryCandidates,
+  getRankingSettings,
+  applyRankingOverrides,
+  embedQuery,
+  DEFAULT_RANKING_WEIGHTS
+} from '../../lib/memory-ranking.js';
+import { tokenize } from '../../lib/embeddings.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -10,21 +54,26 @@ const supabase = createClient(
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Mcp-Session-Id, Mcp-Protocol-Version');
 
   if (req.method === 'OPTIONS') return res.status(200).end();
 
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    const { type, action } = req.query; // memory, chat, tools, datasets, mcp, keys
+
+    const token = bearerToken(req);
+    if (!token) {
       return res.status(401).json({ error: 'Missing authorization header' });
     }
 
-    const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const userId = decoded.userId;
-
-    const { type, action } = req.query; // memory, chat, tools
+    // API keys only open the MCP endpoint; everything else needs a login token
+    let userId;
+    try {
+      ({ userId } = await authenticateBearer(supabase, token, { scope: type === 'mcp' ? 'mcp' : null }));
+    } catch (authError) {
+      if (authError.code !== 'unauthorized') throw authError;
+      return res.status(401).json({ error: authError.message });
+    }
     
     console.log(`Brain API called with type: ${type}, action: ${action}, query:`, req.query);
 
@@ -35,9 +84,15 @@ export default async function handler(req, res) {
         return await handleChat(req, res, userId);
       case 'tools':
         return await handleTools(req, res, userId);
+      case 'datasets':
+        return await handleDatasets(req, res, userId);
+      case 'mcp':
+        return await handleMcp(req, res, userId);
+      case 'keys':
+        return await handleApiKeys(req, res, userId);
       default:
         return res.status(400).json({ 
-          error: 'Invalid type. Use ?type=memory, ?type=chat, or ?type=tools',
+          error: 'Invalid type. Use ?type=memory, ?type=chat, ?type=tools, ?type=datasets, ?type=mcp or ?type=keys',
           received: { type, action, allQuery: req.query }
         });
     }
@@ -50,6 +105,13 @@ export default async function handler(req, res) {
 
 // MEMORY FUNCTIONS
 async function handleMemory(req, res, userId) {
+  if (req.query.action === 'ranking') {
+    return await handleRankingSettings(req, res, userId);
+  }
+  if (req.query.action === 'consolidate') {
+    return await handleConsolidation(req, res, userId);
+  }
+
   switch (req.method) {
     case 'GET':
       return await searchMemories(req, res, userId);
@@ -71,52 +133,19 @@ async function searchMemories(req, res, userId) {
     let memories = [];
     
     try {
-      let searchQuery = supabase
-        .from('brain_memories')
-        .select('*')
-        .eq('user_id', userId)
-        .gte('importance', min_importance)
-        .order('importance', { ascending: false })
-        .limit(limit);
-
-      if (category) searchQuery = searchQuery.eq('category', category);
-      if (query) searchQuery = searchQuery.or(`content.ilike.%${query}%,summary.ilike.%${query}%`);
-
-      const { data: brainMemories, error: memoryError } = await searchQuery;
-      
-      if (memoryError && memoryError.code === 'PGRST116') {
-        throw new Error('brain_memories table not found');
-      } else if (memoryError) {
-        throw memoryError;
-      }
-      
-      memories = brainMemories || [];
+      // One ranking for listing and searching; without a query the lexical
+      // and vector components simply drop out of the blend
+      const ranked = await searchRankedMemories(supabase, userId, query, {
+        limit: Number(limit),
+        minImportance: Number(min_importance),
+        category
+      });
+      memories = ranked.map(withoutEmbedding);
       
     } catch (fallbackError) {
       // Fallback to training_data
-      let fallbackQuery = supabase
-        .from('training_data')
-        .select('*')
-        .eq('user_id', userId)
-        .order('quality_score', { ascending: false })
-        .limit(limit);
-
-      if (query) fallbackQuery = fallbackQuery.or(`input.ilike.%${query}%,output.ilike.%${query}%,category.ilike.%${query}%`);
-      if (category) fallbackQuery = fallbackQuery.eq('category', category);
-
-      const { data: fallbackMemories, error: fallbackErr } = await fallbackQuery;
-      if (fallbackErr) throw fallbackErr;
-      
-      memories = (fallbackMemories || []).map(item => ({
-        id: item.id,
-        type: 'training',
-        content: item.output,
-        summary: item.input,
-        importance: item.quality_score / 5.0,
-        category: item.category,
-        tags: item.tags || [],
-        created_at: item.created_at
-      }));
+      const rows = await searchTrainingData(supabase, userId, { query, category, limit: Number(limit) });
+      memories = rows.map(trainingAsMemory);
     }
 
     res.json({ memories, total: memories.length });
@@ -134,64 +163,7 @@ async function createMemory(req, res, userId) {
   }
 
   try {
-    let memory;
-    try {
-      const { data: memoryData, error } = await supabase
-        .from('brain_memories')
-        .insert({
-          user_id: userId,
-          type,
-          content,
-          summary: summary || content.substring(0, 200) + '...',
-          importance,
-          category,
-          tags,
-          created_at: new Date().toISOString()
-        })
-        .select()
-        .single();
-
-      if (error && error.code === 'PGRST116') {
-        throw new Error('brain_memories table not found');
-      } else if (error) {
-        throw error;
-      }
-      
-      memory = memoryData;
-      
-    } catch (fallbackError) {
-      // Fallback: Store as training data
-      const { data: trainingData, error: trainingError } = await supabase
-        .from('training_data')
-        .insert({
-          user_id: userId,
-          input: summary || content.substring(0, 200),
-          output: content,
-          category: category,
-          quality_score: Math.min(5.0, Math.max(1.0, importance * 5)),
-          tags: tags,
-          metadata: { stored_as_memory: true },
-          auto_collected: false,
-          used_in_training: false,
-          created_at: new Date().toISOString()
-        })
-        .select()
-        .single();
-
-      if (trainingError) throw trainingError;
-      
-      memory = {
-        id: trainingData.id,
-        type: 'training',
-        content: trainingData.output,
-        summary: trainingData.input,
-        importance: trainingData.quality_score / 5.0,
-        category: trainingData.category,
-        tags: trainingData.tags || [],
-        created_at: trainingData.created_at
-      };
-    }
-
+    const memory = await storeMemory(supabase, userId, { type, content, summary, importance, category, tags });
     res.json({ success: true, memory });
   } catch (error) {
     console.error('Memory creation failed:', error);
@@ -207,7 +179,23 @@ async function updateMemory(req, res, userId) {
     const updates = { updated_at: new Date().toISOString() };
     if (importance !== undefined) updates.importance = importance;
     if (tags) updates.tags = tags;
-    if (summary) updates.summary = summary;
+    if (summary) {
+      updates.summary = summary;
+
+      // The embedding covers the summary, so it has to follow it
+      const { data: existing } = await supabase
+        .from('brain_memories')
+        .select('content, metadata')
+        .eq('id', id)
+        .eq('user_id', userId)
+        .single();
+
+      if (existing) {
+        const { embedding, embedding_model } = await buildMemoryEmbedding(existing.content, summary);
+        updates.embedding = embedding;
+        updates.metadata = { ...(existing.metadata || {}), embedding_model };
+      }
+    }
 
     const { data: memory, error } = await supabase
       .from('brain_memories')
@@ -218,7 +206,7 @@ async function updateMemory(req, res, userId) {
       .single();
 
     if (error) throw error;
-    res.json({ success: true, memory });
+    res.json({ success: true, memory: withoutEmbedding(memory) });
   } catch (error) {
     console.error('Memory update failed:', error);
     res.status(500).json({ error: 'Failed to update memory' });
@@ -244,75 +232,245 @@ async function deleteMemory(req, res, userId) {
   }
 }
 
+// GET previews the merges a consolidation run would make; POST makes them
+// (or previews them too with dry_run)
+async function handleConsolidation(req, res, userId) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const input = req.method === 'GET' ? req.query : req.body || {};
+  const number = value => (value === undefined || value === '' ? undefined : Number(value));
+
+  const options = {
+    dryRun: req.method === 'GET' || input.dry_run === true || input.dry_run === 'true',
+    similarity: number(input.similarity),
+    minClusterSize: number(input.min_cluster_size),
+    minAgeHours: number(input.min_age_hours),
+    sourceAction: input.source_action,
+    retentionDays: number(input.retention_days)
+  };
+
+  const invalid = [
+    ['similarity', options.similarity, 0, 1],
+    ['min_cluster_size', options.minClusterSize, 2, 20],
+    ['min_age_hours', options.minAgeHours, 0, 24 * 365],
+    ['retention_days', options.retentionDays, 0, 3650]
+  ].filter(([, value, min, max]) => value !== undefined && !(value >= min && value <= max));
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid consolidation options',
+      details: invalid.map(([key, , min, max]) => `${key} must be between ${min} and ${max}`)
+    });
+  }
+
+  try {
+    const preferences = await getUserPreferences(userId);
+    const result = await consolidateMemories(supabase, userId, {
+      ...options,
+      llmSettings: resolveLLMSettings({ preferences })
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error.code === 'invalid_params') return res.status(400).json({ error: error.message });
+
+    console.error('Memory consolidation failed:', error);
+    res.status(500).json({ error: 'Memory consolidation failed' });
+  }
+}
+
+async function handleRankingSettings(req, res, userId) {
+  if (req.method === 'GET') {
+    const settings = await getRankingSettings(supabase, userId);
+    return res.json({ success: true, ...settings, defaults: DEFAULT_RANKING_WEIGHTS });
+  }
+
+  if (req.method !== 'PUT') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { weights = {}, recency_half_life_days } = req.body;
+
+  const invalid = Object.entries(weights).filter(([key, value]) =>
+    !(key in DEFAULT_RANKING_WEIGHTS) || typeof value !== 'number' || value < 0
+  );
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      error: 'Weights must be non-negative numbers',
+      allowedWeights: Object.keys(DEFAULT_RANKING_WEIGHTS),
+      invalid: invalid.map(([key]) => key)
+    });
+  }
+
+  try {
+    const { data: profile } = await supabase
+      .from('brain_profile')
+      .select('retrieval_settings')
+      .eq('user_id', userId)
+      .single();
+
+    const current = profile?.retrieval_settings || {};
+    const retrievalSettings = {
+      ...current,
+      ranking_weights: { ...(current.ranking_weights || {}), ...weights }
+    };
+    if (recency_half_life_days !== undefined) {
+      retrievalSettings.recency_half_life_days = recency_half_life_days;
+    }
+
+    const { error } = await supabase
+      .from('brain_profile')
+      .upsert({ user_id: userId, retrieval_settings: retrievalSettings }, { onConflict: 'user_id' });
+
+    if (error) throw error;
+
+    const settings = await getRankingSettings(supabase, userId);
+    res.json({ success: true, ...settings });
+  } catch (error) {
+    console.error('Ranking settings update failed:', error);
+    res.status(500).json({ error: 'Failed to update ranking settings' });
+  }
+}
+
 // CHAT FUNCTIONS
 async function handleChat(req, res, userId) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { message, useMemory = true, modelId = null, maxTokens = 500 } = req.body;
+  const { message, useMemory = true, modelId = null, maxTokens = null } = req.body;
 
   if (!message) {
     return res.status(400).json({ error: 'Message is required' });
   }
 
+  const stream = wantsEventStream(req) ? openEventStream(res) : null;
+
   try {
     let enhancedContext = '';
     let memoryCount = 0;
+    let recalled = [];
+
+    // Explicit modelId, else the user's activated model
+    const selectedModel = await resolveModelForChat(supabase, userId, modelId);
+    const retrieval = getRetrievalConfig(selectedModel);
 
-    if (useMemory) {
-      const contextData = await retrieveRelevantContext(userId, message);
+    if (useMemory && retrieval.use_memory !== false) {
+      const contextData = await retrieveRelevantContext(userId, message, retrieval);
       enhancedContext = contextData.context;
       memoryCount = contextData.memoryCount;
+      recalled = contextData.recalled;
     }
 
-    let selectedModel = null;
-    if (modelId) {
-      const { data: model } = await supabase
-        .from('models')
-        .select('*')
-        .eq('id', modelId)
-        .eq('user_id', userId)
-        .single();
-      
-      selectedModel = model;
+    stream?.send('memory', { memory_count: memoryCount, recalled });
+
+    // Generate with the model's configured LLM when there is one
+    let response = null;
+    let generation = null;
+    let toolCalls = [];
+    const preferences = await getUserPreferences(userId);
+    const llmSettings = resolveLLMSettings({ preferences, model: selectedModel });
+    const useFunctionCalling = supportsTools(llmSettings);
+
+    if (llmSettings) {
+      try {
+        const settings = { ...llmSettings, maxTokens: Number(maxTokens) || llmSettings.maxTokens };
+        const messages = buildBrainMessages(message, enhancedContext, selectedModel);
+        const onToken = stream ? text => stream.send('token', { text }) : null;
+
+        if (useFunctionCalling) {
+          // The model is offered the user's enabled tools and calls what it needs
+          const { tools, userTools } = await getEnabledTools(supabase, userId, { refreshMcp: true });
+          const loop = await runToolLoop(settings, {
+            messages,
+            tools,
+            context: { supabase, userId, userTools, message },
+            onToken,
+            onEvent: stream ? stream.send : null
+          });
+          generation = loop.generation;
+          toolCalls = loop.toolCalls;
+          response = loop.content;
+        } else {
+          generation = await generateChat(settings, { messages }, onToken);
+          response = generation.content;
+        }
+      } catch (llmError) {
+        console.error(`LLM provider ${llmSettings.provider} failed, using template response:`, llmError);
+        generation = null;
+        toolCalls = [];
+        stream?.send('reset', { reason: 'provider_failed' });
+      }
     }
 
-    const response = await generateBrainResponse(message, enhancedContext, selectedModel);
+    const toolsUsed = determineToolsUsed(message, enhancedContext, useFunctionCalling ? toolCalls : null);
+    stream?.send('tools', { tools_used: toolsUsed });
 
-    // Store conversation
-    try {
-      await supabase.from('training_data').insert({
-        user_id: userId,
-        input: message,
-        output: response,
-        category: 'conversation',
-        quality_score: 3.5,
-        tags: ['chat', 'conversation'],
-        metadata: { generated_by_brain_chat: true },
-        auto_collected: false,
-        used_in_training: false,
-        created_at: new Date().toISOString()
-      });
-    } catch (storeError) {
+    if (!response) {
+      response = generateBrainResponse(message, enhancedContext, selectedModel);
+      if (stream) chunkText(response).forEach(text => stream.send('token', { text }));
+    }
+
+    const modelUsed = describeModel(selectedModel, generation);
+
+    // Store the exchange as a training example. Brain chat has no
+    // conversation, so the id clients get back is this training_data row's
+    // (what feedback and corrections attach to), not a message id.
+    let trainingDataId = null;
+    const { data: stored, error: storeError } = await supabase.from('training_data').insert({
+      user_id: userId,
+      input: message,
+      output: response,
+      category: 'conversation',
+      quality_score: 3.5,
+      tags: ['chat', 'conversation', 'brain_chat'],
+      auto_generated: false,
+      used_in_training: false,
+      created_at: new Date().toISOString()
+    }).select('id').single();
+
+    if (storeError) {
       console.error('Could not store conversation:', storeError);
+    } else {
+      trainingDataId = stored.id;
     }
 
     // Calculate confidence score based on context quality and availability
     const confidence = calculateConfidence(enhancedContext, message, memoryCount);
 
-    // Determine tools used (based on message content and context)
-    const toolsUsed = determineToolsUsed(message, enhancedContext);
+    // Runs held back by a quota, open circuit or timeout
+    const toolsSkipped = toolCalls
+      .filter(call => ['quota_exceeded', 'circuit_open', 'timeout'].includes(call.code))
+      .map(call => ({ name: call.name, code: call.code, reason: call.reason || call.error, retry_at: call.retryAt }));
+
+    if (stream) {
+      stream.send('confidence', { confidence });
+      stream.send('done', {
+        training_data_id: trainingDataId,
+        model_used: modelUsed?.name || 'Base AI',
+        model: modelUsed,
+        tool_calls: summarizeToolCalls(toolCalls),
+        tools_skipped: toolsSkipped,
+        confirmations: collectConfirmations(toolCalls)
+      });
+      return stream.close();
+    }
 
     res.json({
       success: true,
       response: response,
+      training_data_id: trainingDataId,
       confidence: confidence,
       tools_used: toolsUsed,
+      tool_calls: summarizeToolCalls(toolCalls),
+      tools_skipped: toolsSkipped,
+      confirmations: collectConfirmations(toolCalls),
       memory_count: memoryCount,
+      model: modelUsed,
       metadata: {
-        model_used: selectedModel?.name || 'Base AI',
+        model_used: modelUsed?.name || 'Base AI',
         memory_references: memoryCount,
+        recalled,
         enhanced_with_context: enhancedContext.length > 0,
         confidence_score: confidence,
         tools_triggered: toolsUsed
@@ -321,90 +479,131 @@ async function handleChat(req, res, userId) {
 
   } catch (error) {
     console.error('Brain chat processing failed:', error);
+
+    if (stream) {
+      stream.send('error', { error: 'Failed to process brain chat' });
+      return stream.close();
+    }
+
     res.status(500).json({ error: 'Failed to process brain chat' });
   }
 }
 
-async function retrieveRelevantContext(userId, message) {
+async function retrieveRelevantContext(userId, message, retrieval = {}) {
   let context = '';
   let memoryCount = 0;
+  let recalled = [];
 
-  console.log(`🔍 Searching training data for user ${userId} with message: "${message}"`);
+  console.log(`🔍 Ranking training data and memories for user ${userId} with message: "${message}"`);
 
   try {
-    // First, try to find exact matches
-    let { data: trainingData, error: searchError } = await supabase
-      .from('training_data')
-      .select('input, output, category')
-      .eq('user_id', userId)
-      .or(`input.ilike.%${message}%,output.ilike.%${message}%`)
-      .gte('quality_score', 2.0)
-      .order('quality_score', { ascending: false })
-      .limit(5);
-
-    if (searchError) {
-      console.error('Training data search error:', searchError);
-    }
-    
-    console.log(`📊 Found ${trainingData?.length || 0} exact matches`);
-
-    // If no matches found, try keyword-based search
-    if (!trainingData || trainingData.length === 0) {
-      const keywords = message.toLowerCase().split(' ').filter(word => word.length > 2);
-      if (keywords.length > 0) {
-        const keywordSearch = keywords.map(keyword => `input.ilike.%${keyword}%,output.ilike.%${keyword}%,category.ilike.%${keyword}%`).join(',');
-        
-        const { data: keywordData } = await supabase
+    const settings = applyRankingOverrides(await getRankingSettings(supabase, userId), retrieval);
+    const queryEmbedding = await embedQuery(message);
+    const minImportance = retrieval.min_importance ?? 0;
+
+    // Candidate pool: keyword hits and the best examples from training_data,
+    // plus vector and keyword hits from brain_memories
+    // tokenize keeps only letters and digits, so no word can break the .or() filter
+    const keywords = [...new Set(tokenize(message))].slice(0, 8);
+    const trainingQueries = [
+      supabase
+        .from('training_data')
+        .select('id, input, output, category, tags, quality_score, created_at')
+        .eq('user_id', userId)
+        .gte('quality_score', 2.0)
+        .order('quality_score', { ascending: false })
+        .limit(20)
+    ];
+    if (keywords.length > 0) {
+      trainingQueries.push(
+        supabase
           .from('training_data')
-          .select('input, output, category')
+          .select('id, input, output, category, tags, quality_score, created_at')
           .eq('user_id', userId)
-          .or(keywordSearch)
           .gte('quality_score', 2.0)
-          .order('quality_score', { ascending: false })
-          .limit(3);
-          
-        trainingData = keywordData;
-      }
+          .or(keywords.map(k => `input.ilike.%${k}%,output.ilike.%${k}%,category.ilike.%${k}%`).join(','))
+          .limit(30)
+      );
     }
 
-    // If still no matches, get the best general training data
-    if (!trainingData || trainingData.length === 0) {
-      console.log('🔄 No keyword matches, fetching best general training data...');
-      const { data: generalData } = await supabase
-        .from('training_data')
-        .select('input, output, category')
-        .eq('user_id', userId)
-        .gte('quality_score', 2.0)  // Lowered threshold
-        .order('quality_score', { ascending: false })
-        .limit(3);
-        
-      trainingData = generalData;
-      console.log(`📚 Found ${generalData?.length || 0} general training examples`);
-    }
+    const trainingResults = await Promise.all(trainingQueries);
+    const trainingById = new Map();
+    trainingResults.forEach(({ data, error }) => {
+      if (error) console.error('Training data search error:', error);
+      (data || []).forEach(item => trainingById.set(item.id, {
+        id: item.id,
+        source: 'training_data',
+        summary: item.input,
+        content: item.output,
+        category: item.category,
+        tags: item.tags || [],
+        importance: item.quality_score / 5.0,
+        access_count: 0,
+        created_at: item.created_at
+      }));
+    });
 
-    // If STILL no matches, get ANY training data for this user
-    if (!trainingData || trainingData.length === 0) {
-      console.log('🆘 Getting ANY training data for user...');
-      const { data: anyData } = await supabase
-        .from('training_data')
-        .select('input, output, category')
-        .eq('user_id', userId)
-        .order('created_at', { ascending: false })
-        .limit(2);
-        
-      trainingData = anyData;
-      console.log(`🗂️ Found ${anyData?.length || 0} total training examples for user`);
+    let memoryCandidates = [];
+    try {
+      memoryCandidates = (await retrieveMemoryCandidates(supabase, userId, message, { queryEmbedding, minImportance }))
+        .map(memory => ({ ...memory, source: 'brain_memories' }));
+    } catch (memoryError) {
+      console.error('Memory candidate search failed:', memoryError);
     }
 
-    if (trainingData && trainingData.length > 0) {
-      memoryCount = trainingData.length;
-      context = trainingData.map(t => `Q: ${t.input}\nA: ${t.output.substring(0, 300)}\nCategory: ${t.category}`).join('\n\n');
+    const ranked = rankMemories(message, [...trainingById.values(), ...memoryCandidates], {
+      ...settings,
+      queryEmbedding: queryEmbedding?.embedding,
+      embeddingModel: queryEmbedding?.model
+    })
+      // Only keep items that actually relate to the message
+      .filter(item => item.importance >= minImportance)
+      .filter(item => (item.score_breakdown.lexical.value || 0) > 0 || (item.score_breakdown.vector.value || 0) >= 0.3)
+      .slice(0, retrieval.memory_limit ?? 5);
+
+    console.log(`📊 Ranked ${trainingById.size + memoryCandidates.length} candidates, kept ${ranked.length}`);
+
+    if (ranked.length > 0) {
+      memoryCount = ranked.length;
+      context = ranked.map(t => `Q: ${t.summary}\nA: ${t.content.substring(0, 300)}\nCategory: ${t.category}`).join('\n\n');
+      recalled = ranked.map(t => ({
+        id: t.id,
+        source: t.source,
+        summary: t.summary,
+        score: t.score,
+        score_breakdown: t.score_breakdown
+      }));
     }
   } catch (error) {
     console.error('Error retrieving context:', error);
   }
 
-  return { context, memoryCount };
+  return { context, memoryCount, recalled };
+}
+
+async function getUserPreferences(userId) {
+  const { data: preferences } = await supabase
+    .from('user_preferences')
+    .select('*')
+    .eq('user_id', userId)
+    .single();
+
+  return preferences || null;
+}
+
+function buildBrainMessages(message, context, model) {
+  const specialization = model?.specialization || 'general';
+  let systemPrompt = model?.model_config?.system_prompt ||
+    `You are a helpful AI assistant specialized in ${specialization} topics.`;
+
+  if (context) {
+    systemPrompt += `\n\nRelevant knowledge from the user's training data and memories:\n${context}`;
+  }
+
+  return [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: message }
+  ];
 }
 
 function generateBrainResponse(message, context, model) {
@@ -473,163 +672,643 @@ function generateBrainResponse(message, context, model) {
 
 // TOOLS FUNCTIONS
 async function handleTools(req, res, userId) {
+  const { action, tool: toolParam } = req.query;
+
+  if (action === 'mcp') return await handleMcpServers(req, res, userId);
+
   if (req.method === 'GET') {
+    if (action === 'analytics') return await getToolAnalyticsReport(req, res, userId);
+    if (action === 'export') return await exportUserCalendar(req, res, userId);
+    if (action === 'confirmations') return await listToolConfirmations(req, res, userId);
+    if (toolParam) return await getUserTool(req, res, userId);
+
     // Handle GET requests for listing tools
-    const { action } = req.query;
-    
-    if (action === 'list') {
-      return res.json({
-        success: true,
-        tools: [
-          { name: 'analyze-conversation', description: 'Analyze conversation patterns' },
-          { name: 'optimize-memory', description: 'Optimize memory usage' },
-          { name: 'generate-insights', description: 'Generate insights from data' }
-        ]
-      });
-    }
-    
+    if (!action || action === 'list') return await listUserTools(req, res, userId);
+
     return res.status(400).json({ error: 'Invalid action for GET request' });
   }
+
+  if (req.method === 'PUT' || req.method === 'PATCH') {
+    return await updateUserTool(req, res, userId);
+  }
+
+  if (req.method === 'DELETE') {
+    return await resetUserTool(req, res, userId);
+  }
   
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { action } = req.query;
+  if (action === 'import') return await importUserCalendar(req, res, userId);
+  if (action === 'confirm') return await confirmPendingAction(req, res, userId);
+  if (action === 'cancel') return await cancelPendingAction(req, res, userId);
+
   const { tool, toolName, params = {}, parameters = {} } = req.body;
   
   // Support both 'tool' and 'toolName' for compatibility
-  const selectedTool = tool || toolName;
+  const selectedTool = tool || toolName || toolParam;
   const selectedParams = Object.keys(params).length > 0 ? params : parameters;
   
-  if (action === 'execute' && !selectedTool) {
+  if (!selectedTool) {
     return res.status(400).json({ error: 'Tool name required in body (use "tool" or "toolName" field)' });
   }
 
   try {
-    let result;
-    
-    switch (selectedTool) {
-      case 'analyze-conversation':
-        result = await analyzeConversation(userId, selectedParams);
-        break;
-      case 'optimize-memory':
-        result = await optimizeMemory(userId, selectedParams);
-        break;
-      case 'generate-insights':
-        result = await generateInsights(userId, selectedParams);
-        break;
-      case 'memory_search':
-        // Handle memory search tool from frontend
-        result = await handleMemorySearch(userId, selectedParams);
-        break;
-      default:
-        return res.status(400).json({ 
-          error: 'Unknown tool',
-          availableTools: ['analyze-conversation', 'optimize-memory', 'generate-insights', 'memory_search'],
-          received: selectedTool
-        });
+    const definition = getTool(selectedTool);
+    const toolConfig = definition ? await loadUserToolRow(userId, definition) : null;
+    const { tool: executedTool, result } = await executeTool(selectedTool, selectedParams, {
+      supabase,
+      userId,
+      toolConfig,
+      actionType: 'api'
+    });
+    res.json({ success: true, tool: executedTool, result });
+  } catch (error) {
+    if (error.code === 'unknown_tool') {
+      return res.status(400).json({ 
+        error: 'Unknown tool',
+        availableTools: error.details.availableTools,
+        received: selectedTool
+      });
+    }
+    if (error.code === 'invalid_params' || error.code === 'invalid_url' || error.code === 'blocked_destination') {
+      return res.status(400).json({ error: error.message, details: error.details.errors });
+    }
+    if (error.code === 'permission_denied') {
+      return res.status(403).json({ error: error.message });
+    }
+    if (error.code === 'credentials_unavailable') {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.code === 'quota_exceeded' || error.code === 'circuit_open') {
+      return res.status(429).json({ error: error.message, code: error.code, retryAt: error.details.retryAt });
+    }
+    if (error.code === 'timeout') {
+      return res.status(504).json({ error: error.message });
     }
 
-    res.json({ success: true, result });
-  } catch (error) {
     console.error('Tool execution failed:', error);
     res.status(500).json({ error: 'Tool execution failed' });
   }
 }
 
-async function analyzeConversation(userId, params) {
-  const { data: conversations } = await supabase
-    .from('training_data')
-    .select('*')
-    .eq('user_id', userId)
-    .eq('category', 'conversation')
-    .order('created_at', { ascending: false })
-    .limit(50);
-
-  return {
-    totalConversations: conversations?.length || 0,
-    averageLength: conversations ? conversations.reduce((acc, c) => acc + c.input.length + c.output.length, 0) / conversations.length : 0,
-    topTopics: extractTopics(conversations || [])
-  };
+// TOOL SETTINGS
+// brain_tools rows hold each user's switch, configuration and credentials;
+// tools without a row fall back to their registry defaults
+
+async function listUserTools(req, res, userId) {
+  try {
+    const { data: rows, error } = await supabase
+      .from('brain_tools')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      tools: listTools().map(tool => describeUserTool(tool, findUserTool(tool, rows || [])))
+    });
+  } catch (error) {
+    console.error('Tool list failed:', error);
+    res.status(500).json({ error: 'Failed to list tools' });
+  }
 }
 
-async function optimizeMemory(userId, params) {
-  const { data: memories } = await supabase
-    .from('training_data')
-    .select('*')
-    .eq('user_id', userId)
-    .order('quality_score', { ascending: false });
+async function getUserTool(req, res, userId) {
+  const tool = getTool(req.query.tool);
+  if (!tool) {
+    return res.status(404).json({ error: 'Unknown tool', availableTools: listTools().map(t => t.name) });
+  }
 
-  return {
-    totalMemories: memories?.length || 0,
-    highQuality: memories?.filter(m => m.quality_score >= 4.0).length || 0,
-    suggested_cleanup: memories?.filter(m => m.quality_score < 2.0).length || 0
-  };
+  try {
+    const row = await loadUserToolRow(userId, tool);
+    res.json({ success: true, tool: describeUserTool(tool, row) });
+  } catch (error) {
+    console.error('Tool fetch failed:', error);
+    res.status(500).json({ error: 'Failed to fetch tool' });
+  }
+}
+
+// Body: { enabled, configuration, credentials }. Configuration replaces the
+// stored one; credentials are replaced when given and cleared with null.
+async function updateUserTool(req, res, userId) {
+  const tool = getTool(req.query.tool || req.body.tool || req.body.toolName);
+  if (!tool) {
+    return res.status(404).json({ error: 'Unknown tool', availableTools: listTools().map(t => t.name) });
+  }
+
+  const { enabled, is_enabled, configuration, credentials } = req.body;
+  const enabledValue = enabled ?? is_enabled;
+
+  if (enabledValue !== undefined && typeof enabledValue !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be a boolean' });
+  }
+
+  const validated = validateToolSettings(tool, { configuration, credentials });
+  if (validated.errors.length > 0) {
+    return res.status(400).json({ error: `Invalid settings for ${tool.name}`, details: validated.errors });
+  }
+
+  try {
+    const existing = await loadUserToolRow(userId, tool);
+    const isEnabled = enabledValue ?? (existing ? existing.is_enabled : Boolean(tool.enabledByDefault));
+    const circuitOpen = existing?.circuit_open_until && new Date(existing.circuit_open_until) > new Date();
+
+    const row = {
+      user_id: userId,
+      tool_name: tool.name,
+      tool_type: tool.type,
+      is_enabled: isEnabled,
+      status: isEnabled ? 'active' : 'inactive',
+      updated_at: new Date().toISOString()
+    };
+
+    // Explicitly enabling a tool closes its circuit; other edits leave it open
+    if (enabledValue === true) {
+      row.consecutive_failures = 0;
+      row.circuit_open_until = null;
+    } else if (circuitOpen && isEnabled) {
+      row.status = 'circuit_open';
+    }
+    if (validated.configuration) row.configuration = validated.configuration;
+    if (validated.credentials) {
+      const { ciphertext, keyId } = encryptCredentials(validated.credentials);
+      row.credentials_encrypted = ciphertext;
+      row.credentials_key_id = keyId;
+    }
+    if (credentials === null) {
+      row.credentials_encrypted = null;
+      row.credentials_key_id = null;
+    }
+
+    // Rows saved under an alias are updated in place rather than duplicated
+    const query = existing
+      ? supabase.from('brain_tools').update(row).eq('id', existing.id)
+      : supabase.from('brain_tools').insert(row);
+
+    const { data: saved, error } = await query.select('*').single();
+    if (error) throw error;
+
+    res.json({ success: true, tool: describeUserTool(tool, saved) });
+  } catch (error) {
+    if (error.code === 'credentials_key_missing' || error.code === 'invalid_keyring') {
+      console.error('Credential encryption unavailable:', error.message);
+      return res.status(503).json({ error: 'Credential storage is not configured on this server' });
+    }
+
+    console.error('Tool update failed:', error);
+    res.status(500).json({ error: 'Failed to update tool' });
+  }
+}
+
+// Removes the user's row, returning the tool to its defaults
+async function resetUserTool(req, res, userId) {
+  const tool = getTool(req.query.tool);
+  if (!tool) {
+    return res.status(404).json({ error: 'Unknown tool', availableTools: listTools().map(t => t.name) });
+  }
+
+  try {
+    const existing = await loadUserToolRow(userId, tool);
+    if (existing) {
+      const { error } = await supabase
+        .from('brain_tools')
+        .delete()
+        .eq('id', existing.id)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+    }
+
+    res.json({ success: true, tool: describeUserTool(tool, null) });
+  } catch (error) {
+    console.error('Tool reset failed:', error);
+    res.status(500).json({ error: 'Failed to reset tool' });
+  }
+}
+
+// With ?tool: that tool's counters plus a breakdown of its recent logs.
+// Without: one brain_tool_analytics row per tool the user has used.
+async function getToolAnalyticsReport(req, res, userId) {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+
+  try {
+    if (!req.query.tool) {
+      const { data: rows, error } = await supabase
+        .from('brain_tool_analytics')
+        .select('*')
+        .eq('user_id', userId)
+        .order('usage_count', { ascending: false });
+
+      if (error) throw error;
+      return res.json({ success: true, tools: rows || [] });
+    }
+
+    const tool = getTool(req.query.tool);
+    if (!tool) {
+      return res.status(404).json({ error: 'Unknown tool', availableTools: listTools().map(t => t.name) });
+    }
+
+    const row = await loadUserToolRow(userId, tool);
+    res.json({
+      success: true,
+      tool: describeUserTool(tool, row),
+      analytics: row ? await getToolAnalytics(supabase, userId, row, { days }) : null
+    });
+  } catch (error) {
+    console.error('Tool analytics failed:', error);
+    res.status(500).json({ error: 'Failed to load tool analytics' });
+  }
 }
 
-async function generateInsights(userId, params) {
-  const { data: data } = await supabase
-    .from('training_data')
-    .select('category, quality_score')
-    .eq('user_id', userId);
+// CONFIRMATIONS
+// Actions tools drafted during chat (outbound messages) run only from here
+
+async function listToolConfirmations(req, res, userId) {
+  try {
+    res.json({ success: true, confirmations: await listPendingConfirmations(supabase, userId) });
+  } catch (error) {
+    console.error('Confirmation list failed:', error);
+    res.status(500).json({ error: 'Failed to list confirmations' });
+  }
+}
+
+async function confirmPendingAction(req, res, userId) {
+  const confirmationId = req.query.confirmation || req.body?.confirmation_id || req.body?.confirmationId;
+  if (!confirmationId) return res.status(400).json({ error: 'confirmation_id is required' });
+
+  try {
+    const { userTools } = await getEnabledTools(supabase, userId);
+    const { tool, result } = await confirmToolAction(confirmationId, { supabase, userId, userTools });
+    res.json({ success: true, tool, confirmationId, result });
+  } catch (error) {
+    if (error.code === 'confirmation_not_found') return res.status(404).json({ error: error.message });
+    if (error.code === 'confirmation_used' || error.code === 'confirmation_expired') {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    if (error.code === 'invalid_params' || error.code === 'blocked_destination') return res.status(400).json({ error: error.message });
+    if (error.code === 'credentials_unavailable') return res.status(409).json({ error: error.message });
+    if (error.code === 'quota_exceeded' || error.code === 'circuit_open') {
+      return res.status(429).json({ error: error.message, code: error.code, retryAt: error.details.retryAt });
+    }
+    if (error.code === 'timeout') return res.status(504).json({ error: error.message });
+
+    if (error.code === 'action_failed') return res.status(502).json({ error: error.message });
+
+    console.error('Confirmation failed:', error);
+    res.status(500).json({ error: 'Failed to confirm action' });
+  }
+}
+
+async function cancelPendingAction(req, res, userId) {
+  const confirmationId = req.query.confirmation || req.body?.confirmation_id || req.body?.confirmationId;
+  if (!confirmationId) return res.status(400).json({ error: 'confirmation_id is required' });
+
+  try {
+    await cancelConfirmation(supabase, userId, confirmationId);
+    res.json({ success: true, confirmationId, status: 'cancelled' });
+  } catch (error) {
+    if (error.code === 'confirmation_not_found') return res.status(404).json({ error: error.message });
+    if (error.code === 'confirmation_used') return res.status(409).json({ error: error.message, code: error.code });
+
+    console.error('Confirmation cancel failed:', error);
+    res.status(500).json({ error: 'Failed to cancel confirmation' });
+  }
+}
+
+// MCP SERVERS
+// External MCP servers whose allowed tools the chat loop may call, one
+// brain_tools row ("mcp:<name>") each
+
+async function handleMcpServers(req, res, userId) {
+  const { server: serverParam, refresh } = req.query;
+
+  try {
+    const { data: rows, error } = await supabase
+      .from('brain_tools')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('tool_type', 'mcp');
+
+    if (error) throw error;
+    const servers = rows || [];
+    const existing = serverParam ? servers.find(row => mcpServerName(row) === slugifyServerName(serverParam)) || null : null;
+
+    if (req.method === 'GET') {
+      if (!serverParam) return res.json({ success: true, servers: servers.map(describeMcpServer) });
+      if (!existing) return res.status(404).json({ error: 'No such MCP server' });
+      return res.json({ success: true, server: describeMcpServer(existing) });
+    }
+
+    if (req.method === 'POST' && refresh) {
+      if (!existing) return res.status(404).json({ error: 'No such MCP server' });
+      const [updated] = await refreshMcpServers(supabase, [existing], { force: true, ids: [existing.id] });
+      return res.json({ success: true, server: describeMcpServer(updated) });
+    }
+
+    if (req.method === 'POST' || req.method === 'PUT' || req.method === 'PATCH') {
+      return await saveMcpServer(req, res, userId, servers, existing);
+    }
+
+    if (req.method === 'DELETE') {
+      if (!existing) return res.status(404).json({ error: 'No such MCP server' });
+      const { error: deleteError } = await supabase
+        .from('brain_tools')
+        .delete()
+        .eq('id', existing.id)
+        .eq('user_id', userId);
+
+      if (deleteError) throw deleteError;
+      return res.json({ success: true, deleted: mcpServerName(existing) });
+    }
+
+    res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    if (error.code === 'credentials_key_missing' || error.code === 'invalid_keyring') {
+      console.error('Credential encryption unavailable:', error.message);
+      return res.status(503).json({ error: 'Credential storage is not configured on this server' });
+    }
+
+    console.error('MCP server operation failed:', error);
+    res.status(500).json({ error: 'MCP server operation failed' });
+  }
+}
+
+// Body: { name, enabled, transport, url, command, args, allowed_tools,
+// description, timeout_ms, credentials: { bearer_token, headers, env } }.
+// POST registers a server, PUT/PATCH changes one (unset fields are kept).
+// The tool list is fetched again whenever the connection settings change.
+async function saveMcpServer(req, res, userId, servers, existing) {
+  const body = req.body || {};
+  const name = slugifyServerName(existing ? mcpServerName(existing) : body.name || req.query.server);
+
+  if (!name) return res.status(400).json({ error: 'name is required' });
+  if (req.method === 'POST' && servers.some(row => mcpServerName(row) === name)) {
+    return res.status(409).json({ error: `An MCP server named ${name} already exists; use PUT to change it` });
+  }
+  if (req.method !== 'POST' && !existing) return res.status(404).json({ error: 'No such MCP server' });
+
+  const { enabled, credentials } = body;
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be a boolean' });
+  }
 
-  const categories = {};
-  data?.forEach(item => {
-    if (!categories[item.category]) categories[item.category] = [];
-    categories[item.category].push(item.quality_score);
+  const changes = Object.fromEntries(
+    ['transport', 'url', 'command', 'args', 'allowed_tools', 'description', 'timeout_ms', 'daily_limit', 'monthly_limit']
+      .filter(key => body[key] !== undefined)
+      .map(key => [key, body[key]])
+  );
+  const validated = validateToolSettings(mcpServerSettings, {
+    configuration: { ...(existing?.configuration || {}), ...(body.configuration || {}), ...changes },
+    credentials
   });
 
-  return {
-    categoryBreakdown: Object.keys(categories).map(cat => ({
-      category: cat,
-      count: categories[cat].length,
-      averageQuality: categories[cat].reduce((a, b) => a + b, 0) / categories[cat].length
-    })),
-    recommendations: ['Focus on high-quality examples', 'Diversify training categories', 'Regular model retraining']
+  const configuration = validated.configuration;
+  if (configuration.transport === 'http') {
+    try {
+      assertPublicUrl(configuration.url || '', { label: 'url' });
+    } catch (error) {
+      validated.errors.push(error.message);
+    }
+  }
+  if (configuration.transport === 'stdio' && !isStdioCommandAllowed(configuration.command, configuration.args || [])) {
+    const allowed = allowedStdioCommands();
+    validated.errors.push(allowed.length > 0
+      ? `command and args must match one of: ${allowed.join(', ')}`
+      : 'Local MCP servers are not enabled on this deployment (MCP_STDIO_COMMANDS)');
+  }
+  const refusedEnv = refusedStdioEnv(validated.credentials?.env);
+  if (refusedEnv.length > 0) {
+    const allowedEnv = allowedStdioEnv();
+    validated.errors.push(allowedEnv.length > 0
+      ? `credentials.env can't set ${refusedEnv.join(', ')}; allowed variables: ${allowedEnv.join(', ')}`
+      : 'credentials.env is not enabled on this deployment (MCP_STDIO_ENV)');
+  }
+  if (validated.errors.length > 0) {
+    return res.status(400).json({ error: `Invalid settings for MCP server ${name}`, details: validated.errors });
+  }
+
+  const isEnabled = enabled ?? (existing ? existing.is_enabled : true);
+  const row = {
+    user_id: userId,
+    tool_name: `${MCP_TOOL_PREFIX}${name}`,
+    tool_type: 'mcp',
+    is_enabled: isEnabled,
+    status: isEnabled ? 'active' : 'inactive',
+    configuration,
+    updated_at: new Date().toISOString()
   };
+
+  if (enabled === true) {
+    row.consecutive_failures = 0;
+    row.circuit_open_until = null;
+  }
+  if (validated.credentials) {
+    const { ciphertext, keyId } = encryptCredentials(validated.credentials);
+    row.credentials_encrypted = ciphertext;
+    row.credentials_key_id = keyId;
+  }
+  if (credentials === null) {
+    row.credentials_encrypted = null;
+    row.credentials_key_id = null;
+  }
+
+  const query = existing
+    ? supabase.from('brain_tools').update(row).eq('id', existing.id)
+    : supabase.from('brain_tools').insert(row);
+
+  const { data: saved, error } = await query.select('*').single();
+  if (error) throw error;
+
+  const connectionChanged = !existing || credentials !== undefined ||
+    ['transport', 'url', 'command', 'args'].some(key => JSON.stringify(configuration[key]) !== JSON.stringify(existing.configuration?.[key]));
+
+  const [server] = connectionChanged
+    ? await refreshMcpServers(supabase, [saved], { force: true, ids: [saved.id] })
+    : [saved];
+
+  res.status(existing ? 200 : 201).json({ success: true, server: describeMcpServer(server) });
 }
 
-async function handleMemorySearch(userId, params) {
-  const { query = '', limit = 10 } = params;
-  
-  // Search training data as memory fallback
-  const { data: memories } = await supabase
-    .from('training_data')
-    .select('input, output, category, quality_score')
-    .eq('user_id', userId)
-    .or(`input.ilike.%${query}%,output.ilike.%${query}%`)
-    .order('quality_score', { ascending: false })
-    .limit(limit);
-
-  return {
-    searchQuery: query,
-    totalResults: memories?.length || 0,
-    memories: (memories || []).map(item => ({
-      id: item.id,
-      content: item.output,
-      summary: item.input,
-      category: item.category,
-      relevance: item.quality_score / 5.0
-    }))
-  };
+// CALENDAR FILES
+// .ics round trip for the calendar tool's stored events
+
+async function exportUserCalendar(req, res, userId) {
+  try {
+    const row = await loadUserToolRow(userId, getTool('calendar'));
+    const ics = await exportCalendar(supabase, userId, row?.configuration || {});
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="calendar.ics"');
+    res.status(200).send(ics);
+  } catch (error) {
+    console.error('Calendar export failed:', error);
+    res.status(500).json({ error: 'Failed to export calendar' });
+  }
 }
 
-function extractTopics(conversations) {
-  const topics = {};
-  conversations.forEach(conv => {
-    const words = conv.input.toLowerCase().split(' ');
-    words.forEach(word => {
-      if (word.length > 3) {
-        topics[word] = (topics[word] || 0) + 1;
-      }
-    });
+// Body: { ics } or the raw .ics text
+async function importUserCalendar(req, res, userId) {
+  const ics = typeof req.body === 'string' ? req.body : req.body?.ics;
+  if (typeof ics !== 'string' || !ics.includes('BEGIN:VCALENDAR')) {
+    return res.status(400).json({ error: 'An iCalendar file (BEGIN:VCALENDAR ...) is required' });
+  }
+
+  try {
+    const row = await loadUserToolRow(userId, getTool('calendar'));
+    const { imported } = await importCalendar(supabase, userId, ics, row?.configuration || {});
+    res.json({ success: true, imported });
+  } catch (error) {
+    console.error('Calendar import failed:', error);
+    res.status(500).json({ error: 'Failed to import calendar' });
+  }
+}
+
+// DATASETS
+// CSV/XLSX files and sheet exports the spreadsheet tool queries
+
+async function handleDatasets(req, res, userId) {
+  const { dataset: name, action } = req.query;
+
+  try {
+    if (req.method === 'GET') {
+      if (!name) return res.json({ success: true, datasets: await listDatasets(supabase, userId) });
+
+      // One dataset: its summary, column profile and first rows
+      const row = await loadDataset(supabase, userId, name);
+      const table = { columns: row.columns || [], rows: row.rows || [] };
+      return res.json({
+        success: true,
+        dataset: describeDataset(row),
+        profile: describeTable(table),
+        preview: queryTable(table, { limit: 20 }).rows
+      });
+    }
+
+    if (req.method === 'POST' && action === 'refresh') {
+      return res.json({ success: true, dataset: await refreshDataset(supabase, userId, name) });
+    }
+
+    if (req.method === 'POST' || req.method === 'PUT') {
+      return await uploadDataset(req, res, userId);
+    }
+
+    if (req.method === 'DELETE') {
+      if (!name) return res.status(400).json({ error: 'dataset is required' });
+      return res.json({ success: true, deleted: await deleteDataset(supabase, userId, name) });
+    }
+
+    res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    if (error.code === 'invalid_dataset') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'invalid_params') {
+      return res.status(404).json({ error: error.message });
+    }
+
+    console.error('Dataset operation failed:', error);
+    res.status(500).json({ error: 'Dataset operation failed' });
+  }
+}
+
+// JSON body: { name, csv | xlsx (base64) | url, format, sheet, delimiter },
+// or the raw file as the body with ?name=
+async function uploadDataset(req, res, userId) {
+  const raw = typeof req.body === 'string' || Buffer.isBuffer(req.body);
+  const body = raw ? {} : (req.body || {});
+  const name = body.name || req.query.dataset || req.query.name;
+
+  let content = raw ? req.body : body.csv ?? body.content;
+  if (body.xlsx) content = Buffer.from(body.xlsx, 'base64');
+
+  if (!name) return res.status(400).json({ error: 'name is required' });
+  if (!content && !body.url) {
+    return res.status(400).json({ error: 'Send the file as csv text, xlsx (base64) or the request body, or give a url' });
+  }
+
+  const dataset = await importDataset(supabase, userId, {
+    name,
+    content,
+    url: body.url || null,
+    format: body.format || req.query.format || null,
+    sheet: body.sheet || req.query.sheet || null,
+    delimiter: body.delimiter || null
   });
 
-  return Object.entries(topics)
-    .sort(([,a], [,b]) => b - a)
-    .slice(0, 5)
-    .map(([topic, count]) => ({ topic, count }));
+  res.status(201).json({ success: true, dataset });
+}
+
+// MCP (streamable HTTP): each POST carries one JSON-RPC message or batch and
+// gets a JSON reply. The server keeps no sessions and never pushes, so there
+// is no event stream to open with GET.
+async function handleMcp(req, res, userId) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'MCP messages are sent with POST' });
+  }
+
+  const version = req.headers['mcp-protocol-version'];
+  if (version && !MCP_PROTOCOL_VERSIONS.includes(version)) {
+    return res.status(400).json({ error: `Unsupported MCP protocol version ${version}`, supported: MCP_PROTOCOL_VERSIONS });
+  }
+
+  let message = req.body;
+  if (typeof message === 'string' || Buffer.isBuffer(message)) {
+    try {
+      message = JSON.parse(String(message));
+    } catch (error) {
+      return res.status(400).json({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+    }
+  }
+
+  const reply = await handleMcpMessage(message, { supabase, userId });
+
+  // Notifications and responses are only acknowledged
+  if (!reply) return res.status(202).end();
+  res.status(200).json(reply);
+}
+
+// API keys for MCP clients. The key itself is only in the POST response.
+async function handleApiKeys(req, res, userId) {
+  try {
+    switch (req.method) {
+      case 'GET':
+        return res.json({ success: true, keys: await listApiKeys(supabase, userId) });
+      case 'POST': {
+        const { name, scopes, expires_at } = req.body || {};
+        const key = await createApiKey(supabase, userId, { name, scopes, expiresAt: expires_at });
+        return res.status(201).json({ success: true, apiKey: key });
+      }
+      case 'DELETE': {
+        const id = req.query.key || req.body?.id;
+        if (!id) return res.status(400).json({ error: 'key is required' });
+        await revokeApiKey(supabase, userId, id);
+        return res.json({ success: true, revoked: id });
+      }
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    if (error.code === 'invalid_params') return res.status(400).json({ error: error.message });
+    if (error.code === 'key_not_found') return res.status(404).json({ error: error.message });
+
+    console.error('API key operation failed:', error);
+    res.status(500).json({ error: 'API key operation failed' });
+  }
+}
+
+async function loadUserToolRow(userId, tool) {
+  const { data: rows, error } = await supabase
+    .from('brain_tools')
+    .select('*')
+    .eq('user_id', userId)
+    .in('tool_name', [tool.name, ...tool.aliases]);
+
+  if (error) throw error;
+  return findUserTool(tool, rows || []);
 }
 
 function calculateConfidence(context, message, memoryCount) {
@@ -658,32 +1337,14 @@ function calculateConfidence(context, message, memoryCount) {
   return Math.min(0.95, Math.max(0.1, confidence));
 }
 
-function determineToolsUsed(message, context) {
-  const tools = [];
-  const lowerMessage = message.toLowerCase();
-
-  // Detect if memory search was used
-  if (context && context.length > 0) {
-    tools.push('memory_search');
-  }
-
-  // Detect specific tool keywords
-  if (lowerMessage.includes('search') || lowerMessage.includes('find')) {
-    if (!tools.includes('memory_search')) {
-      tools.push('memory_search');
-    }
-  }
-
-  if (lowerMessage.includes('analyze') || lowerMessage.includes('analysis')) {
-    tools.push('analyze_conversation');
-  }
-
-  if (lowerMessage.includes('progress') || lowerMessage.includes('learning')) {
-    tools.push('generate_insights');
-  }
+// With function calling the model's actual calls are reported; otherwise
+// the keyword suggestions stand in for them
+function determineToolsUsed(message, context, toolCalls = null) {
+  const tools = toolCalls ? [...new Set(toolCalls.map(call => call.name))] : suggestTools(message);
 
-  if (lowerMessage.includes('github') || lowerMessage.includes('repository')) {
-    tools.push('github_search');
+  // Memory search ran whenever context was recalled
+  if (context && context.length > 0 && !tools.includes('memory_search')) {
+    tools.unshift('memory_search');
   }
 
   return tools.length > 0 ? tools.join(', ') : 'none';
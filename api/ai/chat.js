@@ -1,12 +1,30 @@
 // api/ai/brain-chat.js - Brain-Powered Chat System
 import { createClient } from '@supabase/supabase-js';
 import jwt from 'jsonwebtoken';
+import { buildMemoryEmbedding, withoutEmbedding, recordMemoryAccess } from '../../lib/memory-search.js';
+import { searchRankedMemories } from '../../lib/memory-ranking.js';
+import { wantsEventStream, openEventStream, chunkText } from '../../lib/sse.js';
+import { resolveLLMSettings, generateChat, supportsTools } from '../../lib/llm/index.js';
+import { resolveModelForChat, getRetrievalConfig, describeModel } from '../../lib/models.js';
+import { defaultConversationTitle, maybeSummarizeConversation } from '../../lib/summarizer.js';
+import { resolveContextBudget, assembleContext } from '../../lib/context-builder.js';
+import { getTool, suggestTools, getEnabledTools, findUserTool, executeTool, AGENT_PERMISSIONS } from '../../lib/tools/index.js';
+import { runToolLoop, summarizeToolCalls } from '../../lib/tools/loop.js';
+import { collectConfirmations } from '../../lib/tools/confirmations.js';
+import { extractCodeBlocks, isSandboxable } from '../../lib/sandbox.js';
+import { loadConversationMessages, getActivePath, pathToMessage, setCurrentLeaf } from '../../lib/conversation-tree.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
+// Older turns beyond what fits the token budget get summarised, not dropped
+const HISTORY_FETCH_LIMIT = 100;
+
+// send appends to the selected branch; regenerate and edit fork a sibling branch
+const CHAT_ACTIONS = ['send', 'regenerate', 'edit'];
+
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -17,6 +35,8 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  let stream = null;
+
   try {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -27,36 +47,74 @@ export default async function handler(req, res) {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const userId = decoded.userId;
 
-    const { message, conversationId, useTools = true, useBrainMemory = true } = req.body;
-    
-    if (!message || !message.trim()) {
+    const { conversationId, messageId = null, modelId = null, useTools = true, useBrainMemory = true } = req.body;
+    const action = req.query.action || req.body.action || 'send';
+
+    if (!CHAT_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${CHAT_ACTIONS.join(', ')}` });
+    }
+    if (action !== 'regenerate' && (!req.body.message || !req.body.message.trim())) {
       return res.status(400).json({ error: 'Message is required' });
     }
+    if (action !== 'send' && !conversationId) {
+      return res.status(400).json({ error: 'conversationId is required to regenerate or edit' });
+    }
+    if (action === 'edit' && !messageId) {
+      return res.status(400).json({ error: 'messageId of the message being edited is required' });
+    }
+
+    console.log('🧠 Processing brain-powered chat request:', { userId, action, conversationId });
 
-    console.log('🧠 Processing brain-powered chat request:', { userId, message, conversationId });
+    // Get or create conversation; regenerate/edit only work on an existing one
+    let conversation;
+    if (action === 'send') {
+      conversation = await getOrCreateConversation(userId, conversationId, req.body.message);
+    } else {
+      conversation = await getConversation(userId, conversationId);
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+    }
 
-    // Get or create conversation
-    let conversation = await getOrCreateConversation(userId, conversationId, message);
+    // Work out where the new turn hangs in the message tree
+    const branch = await resolveBranch(conversation, action, messageId);
+    if (branch.error) {
+      return res.status(branch.status).json({ error: branch.error });
+    }
+
+    const message = branch.userMessage ? branch.userMessage.content : req.body.message;
+    const conversationHistory = branch.history.slice(-HISTORY_FETCH_LIMIT);
     
     // Get brain profile and preferences
     const brainProfile = await getBrainProfile(userId);
-    const conversationHistory = await getConversationHistory(conversation.id);
+    const preferences = await getUserPreferences(userId);
+    const model = await resolveModelForChat(supabase, userId, modelId);
     
     // Start brain session if needed
     const sessionId = await startBrainSession(userId, conversation.id);
     
-    // Save user message
-    await saveMessage(conversation.id, 'user', message);
+    // Save user message (regenerate answers the existing one again)
+    const userMessage = branch.userMessage || await saveMessage(conversation.id, 'user', message, {}, branch.parentId);
+
+    // SSE mode: tokens and metadata are pushed as typed events while generating
+    if (wantsEventStream(req)) {
+      stream = openEventStream(res);
+      stream.send('conversation', { conversationId: conversation.id, sessionId, userMessageId: userMessage.id, action });
+    }
     
     // Generate brain-powered response
     const aiResponse = await generateBrainResponse({
       message,
       userId,
+      conversationId: conversation.id,
       conversationHistory,
       brainProfile,
+      preferences,
+      model,
       sessionId,
       useTools,
-      useBrainMemory
+      useBrainMemory,
+      emit: stream ? stream.send : null
     });
 
     // Save AI response
@@ -64,15 +122,28 @@ export default async function handler(req, res) {
       confidence: aiResponse.confidence,
       source: aiResponse.source,
       tools_used: aiResponse.toolsUsed,
+      tool_calls: aiResponse.toolCalls,
       memory_references: aiResponse.memoryReferences,
+      recalled_memories: aiResponse.recalledMemories,
+      model_used: aiResponse.modelUsed,
+      context: aiResponse.contextReport,
+      pattern_id: aiResponse.patternId,
+      training_data_id: aiResponse.trainingDataId,
       brain_confidence: aiResponse.brainConfidence
-    });
+    }, userMessage.id);
 
     // Store interaction as memory
     if (useBrainMemory && aiResponse.confidence > 0.7) {
       await storeInteractionMemory(userId, message, aiResponse.content, conversation.id);
     }
 
+    // Roll the conversation up into summary/topic_tags every few messages.
+    // Awaited before replying: a serverless function is frozen once the
+    // response ends, and this only does work every SUMMARY_INTERVAL messages.
+    await maybeSummarizeConversation(supabase, conversation.id, {
+      llmSettings: resolveLLMSettings({ preferences, model })
+    });
+
     // Update session stats
     await updateBrainSession(sessionId, {
       message_count: 1,
@@ -82,21 +153,55 @@ export default async function handler(req, res) {
 
     console.log('🎯 Brain-powered response generated successfully');
 
+    if (stream) {
+      stream.send('done', {
+        messageId: aiMessage.id,
+        userMessageId: userMessage.id,
+        action,
+        conversationId: conversation.id,
+        sessionId,
+        source: aiResponse.source,
+        modelUsed: aiResponse.modelUsed,
+        toolCalls: aiResponse.toolCalls,
+        skippedTools: aiResponse.skippedTools,
+        confirmations: aiResponse.confirmations,
+        codeChecks: aiResponse.codeChecks,
+        context: aiResponse.contextReport,
+        learned: aiResponse.learned
+      });
+      return stream.close();
+    }
+
     res.json({
       response: aiResponse.content,
       conversationId: conversation.id,
       messageId: aiMessage.id,
+      userMessageId: userMessage.id,
+      action,
       confidence: aiResponse.confidence,
       brainConfidence: aiResponse.brainConfidence,
       source: aiResponse.source,
       toolsUsed: aiResponse.toolsUsed,
+      toolCalls: aiResponse.toolCalls,
+      skippedTools: aiResponse.skippedTools,
+      confirmations: aiResponse.confirmations,
+      codeChecks: aiResponse.codeChecks,
       memoryReferences: aiResponse.memoryReferences,
+      recalledMemories: aiResponse.recalledMemories,
+      modelUsed: aiResponse.modelUsed,
+      context: aiResponse.contextReport,
       learned: aiResponse.learned,
       sessionId: sessionId
     });
 
   } catch (error) {
     console.error('Brain chat error:', error);
+
+    if (stream) {
+      stream.send('error', { error: 'Brain chat request failed', details: error.message });
+      return stream.close();
+    }
+
     res.status(500).json({ 
       error: 'Brain chat request failed',
       details: error.message 
@@ -108,53 +213,101 @@ export default async function handler(req, res) {
 async function generateBrainResponse({
   message,
   userId,
+  conversationId = null,
   conversationHistory,
   brainProfile,
+  preferences = null,
+  model = null,
   sessionId,
   useTools,
-  useBrainMemory
+  useBrainMemory,
+  emit = null
 }) {
   console.log('🧠 Generating brain-powered response...');
 
+  const emitText = text => {
+    if (!emit) return;
+    chunkText(text).forEach(chunk => emit('token', { text: chunk }));
+  };
+
   try {
     // PHASE 1: Memory retrieval
+    const retrieval = getRetrievalConfig(model);
     let relevantMemories = [];
-    if (useBrainMemory) {
-      relevantMemories = await searchRelevantMemories(userId, message);
+    if (useBrainMemory && retrieval.use_memory !== false) {
+      relevantMemories = await searchRelevantMemories(userId, message, retrieval);
       console.log(`🧠 Found ${relevantMemories.length} relevant memories`);
     }
 
+    emit?.('memory', {
+      memoryReferences: relevantMemories.map(m => m.id),
+      recalledMemories: relevantMemories.map(m => ({
+        id: m.id,
+        summary: m.summary,
+        score: m.score,
+        score_breakdown: m.score_breakdown
+      }))
+    });
+
     // PHASE 2: Pattern matching
     const matchedPatterns = await findMatchingPatterns(userId, message);
     console.log(`🧠 Found ${matchedPatterns.length} matching patterns`);
 
+    const llmSettings = resolveLLMSettings({ preferences, model });
+
     // PHASE 3: Tool selection and execution
+    // A tool-capable provider picks and calls tools itself during generation;
+    // keyword suggestions only drive the non-LLM path
+    const useFunctionCalling = useTools && supportsTools(llmSettings);
+    let enabledTools = null;
     let toolResults = [];
-    if (useTools) {
-      const suggestedTools = await suggestTools(message, brainProfile);
-      toolResults = await executeSelectedTools(userId, suggestedTools, message);
+    if (useFunctionCalling) {
+      enabledTools = await getEnabledTools(supabase, userId, { refreshMcp: true });
+    } else if (useTools) {
+      const suggestedTools = suggestTools(message);
+      toolResults = await executeSelectedTools(userId, suggestedTools, message, conversationId);
       console.log(`🔧 Executed ${toolResults.length} tools`);
     }
 
+    emit?.('tools', {
+      mode: useFunctionCalling ? 'function_calling' : 'keywords',
+      available: enabledTools ? enabledTools.tools.map(tool => tool.name) : undefined,
+      toolsUsed: toolResults.map(tr => ({ name: tr.toolName, success: tr.success, code: tr.code }))
+    });
+
     // PHASE 4: Context building
     const context = buildResponseContext({
       message,
+      conversationId,
       conversationHistory,
       brainProfile,
       relevantMemories,
       matchedPatterns,
-      toolResults
+      toolResults,
+      llmSettings,
+      modelSystemPrompt: model?.model_config?.system_prompt
     });
 
+    emit?.('context', context.contextReport);
+
+    // A tool-calling model tests its own code with run_code. Otherwise the
+    // brain runs the answer's JavaScript itself, so the text is held back
+    // until the checks are done rather than shown untested.
+    const codeChecker = useTools && !useFunctionCalling ? await findCodeChecker(userId) : null;
+    const streamText = codeChecker ? () => {} : emitText;
+
     // PHASE 5: Response generation
     let response;
     let source = 'brain_generated';
     let confidence = 0.5;
     let brainConfidence = 0.5;
+    let modelUsed = describeModel(model);
+    let toolCalls = [];
 
     // Try high-confidence patterns first
     if (matchedPatterns.length > 0 && matchedPatterns[0].confidence > 0.8) {
       response = await generateFromPattern(matchedPatterns[0], context);
+      streamText(response);
       source = 'learned_pattern';
       confidence = matchedPatterns[0].confidence;
       brainConfidence = 0.9;
@@ -162,89 +315,156 @@ async function generateBrainResponse({
       // Update pattern usage
       await updatePatternUsage(matchedPatterns[0].id);
     }
-    // Try OpenAI with brain context
-    else if (process.env.OPENAI_API_KEY) {
-      response = await generateWithOpenAI(context, brainProfile);
-      source = 'openai_brain';
-      confidence = 0.85;
-      brainConfidence = 0.8;
+    // Try the configured LLM provider with brain context
+    else if (llmSettings) {
+      try {
+        const generation = await generateWithLLM(
+          context,
+          brainProfile,
+          llmSettings,
+          model?.model_config?.system_prompt,
+          emit && !codeChecker ? text => emit('token', { text }) : null,
+          useFunctionCalling ? {
+            tools: enabledTools.tools,
+            context: { supabase, userId, userTools: enabledTools.userTools, message, conversationId },
+            onEvent: emit
+          } : null
+        );
+        response = generation.content;
+        toolCalls = generation.toolCalls || [];
+        if (toolCalls.length > 0) console.log(`🔧 Model made ${toolCalls.length} tool calls`);
+        source = `${generation.provider}_brain`;
+        confidence = 0.85;
+        brainConfidence = 0.8;
+        modelUsed = describeModel(model, generation);
+      } catch (llmError) {
+        console.error(`LLM provider ${llmSettings.provider} failed, using brain fallback:`, llmError);
+        emit?.('reset', { reason: 'provider_failed' });
+      }
     }
+
     // Fallback to brain-enhanced responses
-    else {
+    if (!response) {
       response = await generateBrainFallback(context, brainProfile);
+      streamText(response);
       source = 'brain_fallback';
       confidence = 0.6;
       brainConfidence = 0.7;
     }
 
     // PHASE 6: Response enhancement
+    let codeChecks = [];
+    if (codeChecker) {
+      codeChecks = await checkCodeSnippets(userId, response, codeChecker, conversationId);
+      if (codeChecks.length > 0) emit?.('code_checks', { checks: codeChecks });
+      emitText(response);
+    }
+
+    const skippedTools = describeSkippedTools([...toolResults, ...toolCalls.map(call => ({ ...call, toolName: call.name }))]);
     const enhancedResponse = await enhanceResponse({
       response,
       toolResults,
+      toolCalls,
+      skippedTools,
+      codeChecks,
       relevantMemories,
       brainProfile
     });
 
+    // Enhancements only ever append, so stream just the new tail
+    emitText(enhancedResponse.content.slice(response.length));
+    emit?.('confidence', { confidence, brainConfidence, source });
+
     // PHASE 7: Learning from interaction
+    let learning = null;
     if (confidence > 0.7) {
-      await learnFromInteraction(userId, message, enhancedResponse.content, context);
+      learning = await learnFromInteraction(userId, message, enhancedResponse.content, context);
     }
 
+    // A reply taken from a stored pattern is credited to that pattern
+    const patternId = source === 'learned_pattern' ? matchedPatterns[0].id : learning?.patternId || null;
+
     return {
       content: enhancedResponse.content,
       confidence,
       brainConfidence,
       source,
-      toolsUsed: toolResults.map(tr => tr.toolName),
+      toolsUsed: [...new Set([...toolResults.map(tr => tr.toolName), ...toolCalls.map(call => call.name)])],
+      toolCalls: summarizeToolCalls(toolCalls),
+      skippedTools,
+      // Drafted actions (messages) waiting for the user to confirm them
+      confirmations: collectConfirmations([...toolResults, ...toolCalls]),
+      codeChecks,
       memoryReferences: relevantMemories.map(m => m.id),
+      recalledMemories: relevantMemories.map(m => ({
+        id: m.id,
+        summary: m.summary,
+        score: m.score,
+        score_breakdown: m.score_breakdown
+      })),
+      modelUsed,
+      contextReport: context.contextReport,
       learned: confidence > 0.7,
+      patternId,
+      trainingDataId: learning?.trainingDataId || null,
       reasoning: enhancedResponse.reasoning
     };
 
   } catch (error) {
     console.error('Brain response generation failed:', error);
+
+    const fallbackContent = "I'm having trouble accessing my full brain capabilities right now. Let me help you with a basic response.";
+    emit?.('reset', { reason: 'generation_failed' });
+    emitText(fallbackContent);
+    emit?.('confidence', { confidence: 0.3, brainConfidence: 0.2, source: 'error_fallback' });
     
     return {
-      content: "I'm having trouble accessing my full brain capabilities right now. Let me help you with a basic response.",
+      content: fallbackContent,
       confidence: 0.3,
       brainConfidence: 0.2,
       source: 'error_fallback',
       toolsUsed: [],
+      toolCalls: [],
+      skippedTools: [],
+      confirmations: [],
+      codeChecks: [],
       memoryReferences: [],
-      learned: false
+      recalledMemories: [],
+      modelUsed: describeModel(model),
+      contextReport: null,
+      learned: false,
+      patternId: null,
+      trainingDataId: null
     };
   }
 }
 
 // MEMORY RETRIEVAL
-async function searchRelevantMemories(userId, query) {
-  const { data: memories, error } = await supabase
-    .from('brain_memories')
-    .select('*')
-    .eq('user_id', userId)
-    .gte('importance', 0.4)
-    .or(`content.ilike.%${query}%,summary.ilike.%${query}%`)
-    .order('importance', { ascending: false })
-    .limit(5);
-
-  if (error) {
+async function searchRelevantMemories(userId, query, retrieval = {}) {
+  let memories;
+  try {
+    const ranked = await searchRankedMemories(supabase, userId, query, {
+      limit: retrieval.memory_limit ?? 5,
+      minImportance: retrieval.min_importance ?? 0.4,
+      rankingOverrides: retrieval
+    });
+    // Recall only what relates to the message, however important it is
+    memories = ranked
+      .filter(m => (m.score_breakdown.lexical.value || 0) > 0 || (m.score_breakdown.vector.value || 0) >= 0.2)
+      .map(withoutEmbedding);
+  } catch (error) {
     console.error('Memory search failed:', error);
     return [];
   }
 
-  // Update access count
-  if (memories.length > 0) {
-    const memoryIds = memories.map(m => m.id);
-    await supabase
-      .from('brain_memories')
-      .update({ 
-        access_count: supabase.raw('access_count + 1'),
-        last_accessed: new Date().toISOString()
-      })
-      .in('id', memoryIds);
+  // A failed count must not cost the reply its memories
+  try {
+    await recordMemoryAccess(supabase, userId, memories);
+  } catch (error) {
+    console.error('Failed to record memory access:', error);
   }
 
-  return memories || [];
+  return memories;
 }
 
 // PATTERN MATCHING
@@ -272,77 +492,85 @@ async function findMatchingPatterns(userId, message) {
 }
 
 // TOOL SUGGESTION AND EXECUTION
-async function suggestTools(message, brainProfile) {
-  const messageLower = message.toLowerCase();
-  const suggestedTools = [];
+const MAX_CODE_CHECKS = 2;
 
-  // Smart tool suggestion based on message content
-  if (messageLower.includes('search') || messageLower.includes('find') || messageLower.includes('look up')) {
-    suggestedTools.push('web_search');
-  }
-  
-  if (messageLower.includes('calendar') || messageLower.includes('meeting') || messageLower.includes('schedule')) {
-    suggestedTools.push('google_calendar');
-  }
-  
-  if (messageLower.includes('sheet') || messageLower.includes('data') || messageLower.includes('spreadsheet')) {
-    suggestedTools.push('google_sheets');
-  }
-  
-  if (messageLower.includes('slack') || messageLower.includes('message team')) {
-    suggestedTools.push('slack');
-  }
-  
-  if (messageLower.includes('remember') || messageLower.includes('recall') || messageLower.includes('memory')) {
-    suggestedTools.push('memory_search');
-  }
+// run_code and the user's settings for it, when they have it enabled
+async function findCodeChecker(userId) {
+  const { tools: enabled, userTools } = await getEnabledTools(supabase, userId);
+  const tool = enabled.find(t => t.name === 'run_code');
+  return tool ? { tool, userTools } : null;
+}
+
+// Runs the answer's JavaScript blocks through run_code, side by side.
+// Blocks that need APIs the sandbox lacks are left alone.
+async function checkCodeSnippets(userId, text, { tool, userTools }, conversationId = null) {
+  const blocks = extractCodeBlocks(text)
+    .map((block, index) => ({ ...block, index }))
+    .filter(block => isSandboxable(block.code))
+    .slice(0, MAX_CODE_CHECKS);
 
-  return suggestedTools;
+  const checks = await Promise.all(blocks.map(async block => {
+    try {
+      const { result } = await executeTool(tool.name, { code: block.code }, {
+        supabase,
+        userId,
+        conversationId,
+        actionType: 'verification',
+        permissions: AGENT_PERMISSIONS,
+        userTools,
+        toolConfig: findUserTool(tool, userTools)
+      });
+      return {
+        index: block.index,
+        ok: result.ok,
+        stdout: result.stdout,
+        result: result.result,
+        error: result.error,
+        timedOut: result.timedOut
+      };
+    } catch (error) {
+      // A quota or open circuit just means the snippet goes out unchecked
+      console.error('Code check failed:', error.message);
+      return null;
+    }
+  }));
+  return checks.filter(Boolean);
 }
 
-async function executeSelectedTools(userId, toolNames, message) {
+async function executeSelectedTools(userId, toolNames, message, conversationId = null) {
   const results = [];
+  const { tools: enabled, userTools } = await getEnabledTools(supabase, userId);
 
   for (const toolName of toolNames) {
+    const tool = enabled.find(t => t.name === getTool(toolName)?.name);
+    if (!tool) continue;
+
     try {
-      // Get tool configuration
-      const { data: tool } = await supabase
-        .from('brain_tools')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('tool_name', toolName)
-        .eq('is_enabled', true)
-        .single();
-
-      if (!tool) continue;
-
-      // Execute tool based on message context
-      let result;
-      switch (toolName) {
-        case 'web_search':
-          result = await executeWebSearchTool(message);
-          break;
-        case 'memory_search':
-          result = await executeMemorySearchTool(userId, message);
-          break;
-        case 'google_calendar':
-          result = await executeCalendarTool(message, tool);
-          break;
-        default:
-          continue;
-      }
+      const { result } = await executeTool(tool.name, tool.fromMessage ? tool.fromMessage(message) : {}, {
+        supabase,
+        userId,
+        message,
+        conversationId,
+        actionType: 'keyword',
+        permissions: AGENT_PERMISSIONS,
+        userTools,
+        toolConfig: findUserTool(tool, userTools)
+      });
 
       results.push({
-        toolName,
+        toolName: tool.name,
         result,
         success: true
       });
 
     } catch (error) {
-      console.error(`Tool execution failed: ${toolName}`, error);
+      console.error(`Tool execution failed: ${tool.name}`, error);
       results.push({
-        toolName,
+        toolName: tool.name,
         error: error.message,
+        code: error.code || 'execution_failed',
+        reason: error.details?.reason || null,
+        retryAt: error.details?.retryAt || null,
         success: false
       });
     }
@@ -352,37 +580,60 @@ async function executeSelectedTools(userId, toolNames, message) {
 }
 
 // CONTEXT BUILDING
+// Fits history, memories and tool output into the model's token budget
 function buildResponseContext({
   message,
+  conversationId = null,
   conversationHistory,
   brainProfile,
   relevantMemories,
   matchedPatterns,
-  toolResults
+  toolResults,
+  llmSettings = null,
+  modelSystemPrompt = null
 }) {
+  const { budget, maxTurns } = resolveContextBudget({ brainProfile, llmSettings });
+
+  const assembled = assembleContext({
+    // The prompt skeleton without memories/tools; those are costed per line
+    systemPrompt: composeSystemPrompt(brainProfile, { relevantMemories: [], toolData: [] }, modelSystemPrompt),
+    currentMessage: message,
+    history: conversationHistory,
+    memories: relevantMemories.map(m => ({
+      id: m.id,
+      type: m.type,
+      content: m.summary || m.content.substring(0, 200),
+      importance: m.importance,
+      category: m.category
+    })),
+    toolData: toolResults.filter(tr => tr.success).map(tr => ({
+      tool: tr.toolName,
+      data: tr.result
+    })),
+    budget,
+    maxTurns,
+    renderMemory: formatMemoryLine,
+    renderTool: formatToolLine
+  });
+
   return {
     currentMessage: message,
+    conversationId,
     userProfile: {
       personality: brainProfile.personality_traits,
       interests: brainProfile.interests,
       expertise: brainProfile.expertise_areas,
       communicationStyle: brainProfile.communication_style
     },
-    conversationContext: conversationHistory.slice(-6).map(h => ({
+    conversationContext: assembled.turns.map(h => ({
       role: h.type === 'user' ? 'user' : 'assistant',
       content: h.content
     })),
-    relevantMemories: relevantMemories.map(m => ({
-      type: m.type,
-      content: m.summary || m.content.substring(0, 200),
-      importance: m.importance,
-      category: m.category
-    })),
+    earlierSummary: assembled.earlierSummary,
+    relevantMemories: assembled.memories,
     learnedPatterns: matchedPatterns.slice(0, 3),
-    toolData: toolResults.filter(tr => tr.success).map(tr => ({
-      tool: tr.toolName,
-      data: tr.result
-    })),
+    toolData: assembled.toolData,
+    contextReport: assembled.report,
     timestamp: new Date().toISOString()
   };
 }
@@ -398,8 +649,10 @@ async function generateFromPattern(pattern, context) {
   return response;
 }
 
-async function generateWithOpenAI(context, brainProfile) {
-  const systemPrompt = buildSystemPrompt(brainProfile, context);
+// With `toolOptions` the model is offered the user's enabled tools and may
+// call them over several rounds before answering
+async function generateWithLLM(context, brainProfile, llmSettings, modelSystemPrompt = null, onToken = null, toolOptions = null) {
+  const systemPrompt = composeSystemPrompt(brainProfile, context, modelSystemPrompt);
   
   const messages = [
     { role: 'system', content: systemPrompt },
@@ -407,26 +660,26 @@ async function generateWithOpenAI(context, brainProfile) {
     { role: 'user', content: context.currentMessage }
   ];
 
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: 'gpt-4',
-      messages: messages,
-      max_tokens: 500,
-      temperature: 0.7,
-    }),
-  });
-
-  if (response.ok) {
-    const data = await response.json();
-    return data.choices[0].message.content;
+  if (!toolOptions || toolOptions.tools.length === 0) {
+    return await generateChat(llmSettings, { messages }, onToken);
   }
-  
-  throw new Error('OpenAI request failed');
+
+  const loop = await runToolLoop(llmSettings, { messages, ...toolOptions, onToken });
+  return { ...loop.generation, content: loop.content, toolCalls: loop.toolCalls };
+}
+
+// A model's own system prompt leads; the brain context still follows it
+function composeSystemPrompt(brainProfile, context, modelSystemPrompt = null) {
+  const basePrompt = buildSystemPrompt(brainProfile, context);
+  return modelSystemPrompt ? `${modelSystemPrompt}\n\n${basePrompt}` : basePrompt;
+}
+
+function formatMemoryLine(m) {
+  return `- ${m.content} (${m.type}, importance: ${m.importance})`;
+}
+
+function formatToolLine(t) {
+  return `- ${t.tool}: ${JSON.stringify(t.data).substring(0, 200)}`;
 }
 
 function buildSystemPrompt(brainProfile, context) {
@@ -438,11 +691,11 @@ User Interests: ${brainProfile.interests?.join(', ') || 'General topics'}
 Expertise Areas: ${brainProfile.expertise_areas?.join(', ') || 'General knowledge'}
 
 RELEVANT MEMORIES:
-${context.relevantMemories.map(m => `- ${m.content} (${m.type}, importance: ${m.importance})`).join('\n')}
+${context.relevantMemories.map(formatMemoryLine).join('\n')}
 
 AVAILABLE TOOL DATA:
-${context.toolData.map(t => `- ${t.tool}: ${JSON.stringify(t.data).substring(0, 200)}`).join('\n')}
-
+${context.toolData.map(formatToolLine).join('\n')}
+${context.earlierSummary ? `\nEARLIER IN THIS CONVERSATION:\n${context.earlierSummary}\n` : ''}
 Respond in a way that:
 1. Reflects the user's personality preferences
 2. References relevant memories when appropriate
@@ -477,7 +730,7 @@ async function generateBrainFallback(context, brainProfile) {
 }
 
 // RESPONSE ENHANCEMENT
-async function enhanceResponse({ response, toolResults, relevantMemories, brainProfile }) {
+async function enhanceResponse({ response, toolResults, toolCalls = [], skippedTools = [], codeChecks = [], relevantMemories, brainProfile }) {
   let enhancedResponse = response;
   
   // Add tool results if relevant
@@ -485,20 +738,33 @@ async function enhanceResponse({ response, toolResults, relevantMemories, brainP
   
   if (successfulTools.length > 0) {
     const toolSummary = successfulTools.map(tr => {
-      switch (tr.toolName) {
-        case 'web_search':
-          return `I found some recent information: ${tr.result.results?.slice(0, 2).map(r => r.title || r.text).join(', ')}`;
-        case 'memory_search':
-          return `I recalled: ${tr.result.memories?.slice(0, 2).map(m => m.summary).join(', ')}`;
-        case 'google_calendar':
-          return `From your calendar: ${tr.result.events?.slice(0, 2).map(e => e.title).join(', ')}`;
-        default:
-          return `Used ${tr.toolName} successfully`;
-      }
+      const tool = getTool(tr.toolName);
+      return tool?.summarize ? tool.summarize(tr.result) : `Used ${tr.toolName} successfully`;
     }).join('. ');
     
     enhancedResponse += `\n\n${toolSummary}`;
   }
+
+  // List sources from tools that cite them, whether they ran on keywords or
+  // were called by the model
+  const sources = [
+    ...successfulTools.map(tr => ({ tool: getTool(tr.toolName), result: tr.result })),
+    ...toolCalls.filter(call => call.success).map(call => ({ tool: getTool(call.name), result: call.result }))
+  ].flatMap(({ tool, result }) => tool?.cite ? tool.cite(result) : []);
+
+  if (sources.length > 0) {
+    enhancedResponse += `\n\nSources:\n${sources.map(source => `[${source.citation}] ${source.title}${source.url ? ` - ${source.url}` : ''}`).join('\n')}`;
+  }
+
+  // Say which tools were left out so a thin answer isn't a mystery
+  if (skippedTools.length > 0) {
+    enhancedResponse += `\n\n${skippedTools.map(skip => `⚠️ I couldn't use ${skip.name}: ${skip.reason}`).join('\n')}`;
+  }
+
+  // Report how the snippets in the answer ran
+  if (codeChecks.length > 0) {
+    enhancedResponse += `\n\n${codeChecks.map(describeCodeCheck).join('\n')}`;
+  }
   
   // Add memory context if highly relevant
   const highImportanceMemories = relevantMemories.filter(m => m.importance > 0.8);
@@ -517,6 +783,37 @@ async function enhanceResponse({ response, toolResults, relevantMemories, brainP
   };
 }
 
+function describeCodeCheck(check) {
+  const label = `snippet ${check.index + 1}`;
+  if (!check.ok) return `⚠️ I ran ${label} and it failed: ${check.error.name}: ${check.error.message}`;
+  if (check.stdout) return `✅ I ran ${label}; it printed: ${check.stdout.replace(/\s+/g, ' ').substring(0, 200)}`;
+  if (check.result !== null) return `✅ I ran ${label}; it returned: ${check.result.replace(/\s+/g, ' ').substring(0, 200)}`;
+  return `✅ I ran ${label} without errors`;
+}
+
+// Tools that failed or were held back by a quota, open circuit or timeout.
+// Argument mistakes are left out: the model sees and fixes those itself.
+const SKIP_REASONS = {
+  quota_exceeded: skip => `${skip.reason}${skip.retryAt ? ` (available again ${skip.retryAt})` : ''}`,
+  circuit_open: skip => `${skip.reason}${skip.retryAt ? ` (retrying after ${skip.retryAt})` : ''}`,
+  timeout: () => 'it took too long to respond',
+  credentials_unavailable: () => 'its saved credentials could not be read',
+  execution_failed: () => 'it returned an error'
+};
+
+function describeSkippedTools(results) {
+  const skipped = new Map();
+  results
+    .filter(result => !result.success && SKIP_REASONS[result.code])
+    .forEach(result => skipped.set(result.toolName, {
+      name: result.toolName,
+      code: result.code,
+      reason: SKIP_REASONS[result.code](result),
+      retryAt: result.retryAt || null
+    }));
+  return [...skipped.values()];
+}
+
 // LEARNING FROM INTERACTION
 async function learnFromInteraction(userId, userMessage, aiResponse, context) {
   try {
@@ -537,9 +834,11 @@ async function learnFromInteraction(userId, userMessage, aiResponse, context) {
       }
     };
 
-    const { error } = await supabase
+    const { data: storedPattern, error } = await supabase
       .from('learning_patterns')
-      .insert(pattern);
+      .insert(pattern)
+      .select('id')
+      .single();
 
     if (error) {
       console.error('Failed to store learning pattern:', error);
@@ -548,7 +847,7 @@ async function learnFromInteraction(userId, userMessage, aiResponse, context) {
     }
 
     // Store as training data
-    await supabase
+    const { data: trainingRow } = await supabase
       .from('training_data')
       .insert({
         user_id: userId,
@@ -558,23 +857,37 @@ async function learnFromInteraction(userId, userMessage, aiResponse, context) {
         category: detectCategory(userMessage),
         auto_generated: true,
         source_conversation_id: context.conversationId
-      });
+      })
+      .select('id')
+      .single();
+
+    // Kept on the assistant message so feedback can find what to adjust
+    return {
+      patternId: storedPattern?.id || null,
+      trainingDataId: trainingRow?.id || null
+    };
 
   } catch (error) {
     console.error('Learning from interaction failed:', error);
+    return null;
   }
 }
 
 // HELPER FUNCTIONS
+async function getConversation(userId, conversationId) {
+  const { data: conversation } = await supabase
+    .from('conversations')
+    .select('*')
+    .eq('id', conversationId)
+    .eq('user_id', userId)
+    .single();
+
+  return conversation || null;
+}
+
 async function getOrCreateConversation(userId, conversationId, message) {
   if (conversationId) {
-    const { data: conversation } = await supabase
-      .from('conversations')
-      .select('*')
-      .eq('id', conversationId)
-      .eq('user_id', userId)
-      .single();
-    
+    const conversation = await getConversation(userId, conversationId);
     if (conversation) return conversation;
   }
 
@@ -583,7 +896,7 @@ async function getOrCreateConversation(userId, conversationId, message) {
     .from('conversations')
     .insert({
       user_id: userId,
-      title: message.substring(0, 50) + (message.length > 50 ? '...' : ''),
+      title: defaultConversationTitle(message),
       status: 'active',
       conversation_type: 'brain_chat',
       created_at: new Date().toISOString()
@@ -610,15 +923,55 @@ async function getBrainProfile(userId) {
   };
 }
 
-async function getConversationHistory(conversationId) {
-  const { data: messages } = await supabase
-    .from('messages')
-    .select('type, content, timestamp')
-    .eq('conversation_id', conversationId)
-    .order('timestamp', { ascending: false })
-    .limit(10);
+async function getUserPreferences(userId) {
+  const { data: preferences } = await supabase
+    .from('user_preferences')
+    .select('*')
+    .eq('user_id', userId)
+    .single();
 
-  return messages ? messages.reverse() : [];
+  return preferences || null;
+}
+
+// Returns the parent for the new turn and the history that leads up to it:
+// send continues the selected branch, edit forks beside the edited question,
+// regenerate answers the same question again beside the old answer
+async function resolveBranch(conversation, action, messageId) {
+  const messages = await loadConversationMessages(supabase, conversation.id, 'id, parent_message_id, type, content, timestamp');
+  const activePath = getActivePath(conversation, messages);
+  const historyUpTo = id => id ? pathToMessage(messages, id) : [];
+
+  if (action === 'send') {
+    const leaf = activePath[activePath.length - 1];
+    return { parentId: leaf?.id || null, history: activePath, userMessage: null };
+  }
+
+  // Regenerate defaults to the latest answer on the selected branch
+  const target = messageId
+    ? messages.find(m => m.id === messageId)
+    : [...activePath].reverse().find(m => m.type === 'assistant');
+
+  if (!target) {
+    return { status: 404, error: 'Message not found in this conversation' };
+  }
+
+  if (action === 'edit') {
+    if (target.type !== 'user') {
+      return { status: 400, error: 'Only user messages can be edited' };
+    }
+    return { parentId: target.parent_message_id || null, history: historyUpTo(target.parent_message_id), userMessage: null };
+  }
+
+  if (target.type !== 'assistant') {
+    return { status: 400, error: 'Only assistant responses can be regenerated' };
+  }
+
+  const question = messages.find(m => m.id === target.parent_message_id);
+  if (!question || question.type !== 'user') {
+    return { status: 400, error: 'Could not find the message this response answered' };
+  }
+
+  return { parentId: question.id, history: historyUpTo(question.parent_message_id), userMessage: question };
 }
 
 async function startBrainSession(userId, conversationId) {
@@ -641,11 +994,12 @@ async function startBrainSession(userId, conversationId) {
   return session.id;
 }
 
-async function saveMessage(conversationId, type, content, metadata = {}) {
+async function saveMessage(conversationId, type, content, metadata = {}, parentMessageId = null) {
   const { data: message, error } = await supabase
     .from('messages')
     .insert({
       conversation_id: conversationId,
+      parent_message_id: parentMessageId,
       type,
       content,
       metadata,
@@ -658,23 +1012,31 @@ async function saveMessage(conversationId, type, content, metadata = {}) {
     .single();
 
   if (error) throw error;
+
+  // The newest message is always the tip of the selected branch
+  await setCurrentLeaf(supabase, conversationId, message.id);
   return message;
 }
 
 async function storeInteractionMemory(userId, userMessage, aiResponse, conversationId) {
   try {
+    const content = `User asked: "${userMessage}" and I responded: "${aiResponse}"`;
+    const { embedding, embedding_model } = await buildMemoryEmbedding(content, userMessage);
+
     await supabase
       .from('brain_memories')
       .insert({
         user_id: userId,
         type: 'episodic',
-        content: `User asked: "${userMessage}" and I responded: "${aiResponse}"`,
+        content,
         summary: `Conversation about ${detectCategory(userMessage)}`,
         importance: 0.6,
         confidence: 0.8,
         category: detectCategory(userMessage),
         source_id: conversationId,
         source_type: 'conversation',
+        embedding,
+        metadata: { embedding_model },
         created_at: new Date().toISOString()
       });
   } catch (error) {
@@ -706,74 +1068,12 @@ async function updatePatternUsage(patternId) {
     .eq('id', patternId);
 }
 
-// TOOL EXECUTION HELPERS
-async function executeWebSearchTool(query) {
-  try {
-    // Extract search terms from the message
-    const searchTerms = extractSearchTerms(query);
-    
-    // Simple web search simulation (replace with actual search API)
-    return {
-      query: searchTerms,
-      results: [
-        { title: 'Search Result 1', text: 'Relevant information about ' + searchTerms },
-        { title: 'Search Result 2', text: 'Additional context for ' + searchTerms }
-      ]
-    };
-  } catch (error) {
-    throw new Error('Web search failed: ' + error.message);
-  }
-}
-
-async function executeMemorySearchTool(userId, query) {
-  const { data: memories } = await supabase
-    .from('brain_memories')
-    .select('*')
-    .eq('user_id', userId)
-    .ilike('content', `%${query}%`)
-    .order('importance', { ascending: false })
-    .limit(3);
-
-  return {
-    query,
-    memories: memories || [],
-    total: memories?.length || 0
-  };
-}
-
-async function executeCalendarTool(message, tool) {
-  // Calendar tool simulation
-  return {
-    events: [
-      { title: 'Upcoming Meeting', start: '2024-01-15T10:00:00Z' }
-    ],
-    message: 'Calendar integration simulated'
-  };
-}
-
 // UTILITY FUNCTIONS
 function extractTags(text) {
   const words = text.toLowerCase().split(/\s+/);
   return words.filter(word => word.length > 3).slice(0, 5);
 }
 
-function extractSearchTerms(message) {
-  // Simple extraction - improve with NLP
-  const searchWords = ['search', 'find', 'look up', 'about', 'what is'];
-  const words = message.toLowerCase().split(/\s+/);
-  
-  let startIndex = 0;
-  for (const searchWord of searchWords) {
-    const index = words.indexOf(searchWord);
-    if (index !== -1) {
-      startIndex = index + 1;
-      break;
-    }
-  }
-  
-  return words.slice(startIndex, startIndex + 3).join(' ') || message.substring(0, 50);
-}
-
 function detectCategory(message) {
   const msg = message.toLowerCase();
   
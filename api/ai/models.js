@@ -1,6 +1,7 @@
 // api/ai/models.js
 import { createClient } from '@supabase/supabase-js';
 import jwt from 'jsonwebtoken';
+import { validateModelConfig } from '../../lib/models.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -130,7 +131,7 @@ async function activateModel(req, res, userId) {
 }
 
 async function updateModel(req, res, userId) {
-  const { modelId, name, description } = req.body;
+  const { modelId, name, description, model_config } = req.body;
 
   if (!modelId) {
     return res.status(400).json({ error: 'Model ID required' });
@@ -139,6 +140,29 @@ async function updateModel(req, res, userId) {
   const updates = {};
   if (name) updates.name = name;
   if (description) updates.description = description;
+
+  // model_config drives inference once the model is active (provider,
+  // base_model, system_prompt, temperature, max_tokens, retrieval)
+  if (model_config !== undefined) {
+    const { config, error: configError } = validateModelConfig(model_config);
+    if (configError) {
+      return res.status(400).json({ error: configError });
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('models')
+      .select('model_config')
+      .eq('id', modelId)
+      .eq('user_id', userId)
+      .single();
+
+    if (existingError || !existing) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+
+    updates.model_config = { ...(existing.model_config || {}), ...config };
+  }
+
   updates.updated_at = new Date().toISOString();
 
   const { data: model, error } = await supabase
@@ -0,0 +1,442 @@
+// api/conversations.js - Conversation Management (list, search, rename, archive, delete, history, summarise)
+import { createClient } from '@supabase/supabase-js';
+import jwt from 'jsonwebtoken';
+import { applyCursor, buildPage, paginateRows, parseLimit } from '../lib/pagination.js';
+import { summarizeConversation } from '../lib/summarizer.js';
+import { resolveLLMSettings } from '../lib/llm/index.js';
+import { getActiveModel } from '../lib/models.js';
+import {
+  loadConversationMessages,
+  getActivePath,
+  getSiblings,
+  latestLeafUnder,
+  annotateBranches,
+  setCurrentLeaf
+} from '../lib/conversation-tree.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const CONVERSATION_STATUSES = ['active', 'archived'];
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing authorization header' });
+    }
+
+    const token = authHeader.split(' ')[1];
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const userId = decoded.userId;
+
+    // id and resource are set by the vercel.json rewrites
+    const { id, resource } = req.query;
+
+    if (!id) {
+      if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+      return await listConversations(req, res, userId);
+    }
+
+    if (resource === 'messages') {
+      if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+      return await getMessages(req, res, userId, id);
+    }
+
+    // GET /api/conversations/:id/messages/:messageId/alternatives
+    if (resource === 'alternatives') {
+      if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+      return await getAlternatives(req, res, userId, id);
+    }
+
+    // PUT /api/conversations/:id/branch { messageId } switches the selected branch
+    if (resource === 'branch') {
+      if (req.method !== 'PUT') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+      return await selectBranch(req, res, userId, id);
+    }
+
+    // POST /api/conversations/:id/summarize re-summarises on demand,
+    // POST /api/conversations/:id/end closes the session and summarises
+    if (resource === 'summarize' || resource === 'end') {
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+      return await summarize(req, res, userId, id, resource === 'end');
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return await getConversation(req, res, userId, id);
+      case 'PUT':
+        return await updateConversation(req, res, userId, id);
+      case 'DELETE':
+        return await deleteConversation(req, res, userId, id);
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+  } catch (error) {
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    console.error('Conversations API error:', error);
+    res.status(500).json({ error: 'Conversation request failed' });
+  }
+}
+
+// LIST + SEARCH
+async function listConversations(req, res, userId) {
+  const {
+    status = 'active',
+    q,
+    topic_tags,
+    min_importance,
+    cursor,
+    limit: rawLimit
+  } = req.query;
+
+  const limit = parseLimit(rawLimit);
+
+  let query = supabase
+    .from('conversations')
+    .select('*')
+    .eq('user_id', userId);
+
+  if (status !== 'all') {
+    if (!CONVERSATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${[...CONVERSATION_STATUSES, 'all'].join(', ')}` });
+    }
+    query = query.eq('status', status);
+  }
+
+  if (topic_tags) {
+    query = query.overlaps('topic_tags', topic_tags.split(',').map(tag => tag.trim()).filter(Boolean));
+  }
+
+  if (min_importance !== undefined) {
+    query = query.gte('importance_score', Number(min_importance));
+  }
+
+  let matchesByConversation = null;
+  if (q) {
+    matchesByConversation = await searchMessageContent(userId, q);
+    const matchingIds = [...matchesByConversation.keys()];
+
+    // Title hits count too, even if no message matched
+    const titleFilter = `title.ilike.%${q.replace(/[%,()]/g, ' ')}%`;
+    query = matchingIds.length > 0
+      ? query.or(`id.in.(${matchingIds.join(',')}),${titleFilter}`)
+      : query.or(titleFilter);
+  }
+
+  const { data: rows, error } = await applyCursor(query, {
+    column: 'updated_at',
+    ascending: false,
+    cursor,
+    limit
+  });
+
+  if (error) throw error;
+
+  const page = buildPage(rows, { column: 'updated_at', limit });
+
+  res.json({
+    conversations: page.items.map(conversation => ({
+      ...conversation,
+      ...(matchesByConversation ? { matches: matchesByConversation.get(conversation.id) || [] } : {})
+    })),
+    nextCursor: page.nextCursor,
+    hasMore: page.hasMore
+  });
+}
+
+// Full-text search over message content, scoped to the user's conversations
+async function searchMessageContent(userId, q) {
+  const { data: hits, error } = await supabase
+    .from('messages')
+    .select('id, conversation_id, type, content, timestamp, conversations!inner(user_id)')
+    .eq('conversations.user_id', userId)
+    .textSearch('content', q, { type: 'websearch', config: 'english' })
+    .order('timestamp', { ascending: false })
+    .limit(200);
+
+  if (error) throw error;
+
+  const byConversation = new Map();
+  (hits || []).forEach(hit => {
+    const matches = byConversation.get(hit.conversation_id) || [];
+    if (matches.length < 3) {
+      matches.push({
+        messageId: hit.id,
+        type: hit.type,
+        snippet: buildSnippet(hit.content, q),
+        timestamp: hit.timestamp
+      });
+    }
+    byConversation.set(hit.conversation_id, matches);
+  });
+
+  return byConversation;
+}
+
+// SINGLE CONVERSATION
+async function getConversation(req, res, userId, conversationId) {
+  const conversation = await findConversation(userId, conversationId);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+
+  const page = await fetchMessagePage(conversation, req.query);
+
+  res.json({
+    conversation,
+    messages: page.items,
+    nextCursor: page.nextCursor,
+    hasMore: page.hasMore
+  });
+}
+
+async function getMessages(req, res, userId, conversationId) {
+  const conversation = await findConversation(userId, conversationId);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+
+  const page = await fetchMessagePage(conversation, req.query);
+
+  res.json({
+    messages: page.items,
+    nextCursor: page.nextCursor,
+    hasMore: page.hasMore
+  });
+}
+
+// view=branch (default) follows the selected branch and marks where
+// alternatives exist; view=all pages through every message in the tree
+async function fetchMessagePage(conversation, { cursor, limit: rawLimit, order = 'asc', view = 'branch' }) {
+  const limit = parseLimit(rawLimit, 50, 200);
+  const ascending = order !== 'desc';
+
+  if (view === 'all') {
+    const { data: rows, error } = await applyCursor(
+      supabase
+        .from('messages')
+        .select('*')
+        .eq('conversation_id', conversation.id),
+      { column: 'timestamp', ascending, cursor, limit }
+    );
+
+    if (error) throw error;
+    return buildPage(rows, { column: 'timestamp', limit });
+  }
+
+  const messages = await loadConversationMessages(supabase, conversation.id);
+  const path = annotateBranches(getActivePath(conversation, messages), messages);
+  return paginateRows(path, { column: 'timestamp', ascending, cursor, limit });
+}
+
+// BRANCHES
+async function getAlternatives(req, res, userId, conversationId) {
+  const conversation = await findConversation(userId, conversationId);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+
+  const messages = await loadConversationMessages(supabase, conversationId);
+  const message = messages.find(m => m.id === req.query.messageId);
+  if (!message) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+
+  const activeIds = new Set(getActivePath(conversation, messages).map(m => m.id));
+  const alternatives = getSiblings(messages, message).map((sibling, index) => ({
+    ...sibling,
+    index,
+    selected: activeIds.has(sibling.id)
+  }));
+
+  res.json({ messageId: message.id, parentMessageId: message.parent_message_id, alternatives });
+}
+
+async function selectBranch(req, res, userId, conversationId) {
+  const { messageId } = req.body;
+  if (!messageId) {
+    return res.status(400).json({ error: 'messageId is required' });
+  }
+
+  const conversation = await findConversation(userId, conversationId);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+
+  const messages = await loadConversationMessages(supabase, conversationId);
+  if (!messages.some(m => m.id === messageId)) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+
+  // Picking an alternative shows that branch's latest continuation
+  const leafId = latestLeafUnder(messages, messageId);
+  await setCurrentLeaf(supabase, conversationId, leafId);
+
+  const path = annotateBranches(getActivePath({ ...conversation, current_leaf_message_id: leafId }, messages), messages);
+
+  res.json({ success: true, currentLeafMessageId: leafId, messages: path });
+}
+
+async function updateConversation(req, res, userId, conversationId) {
+  const { title, status } = req.body;
+
+  const updates = {};
+  if (title !== undefined) {
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({ error: 'Title must be a non-empty string' });
+    }
+    updates.title = title.trim().substring(0, 255);
+  }
+  if (status !== undefined) {
+    if (!CONVERSATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${CONVERSATION_STATUSES.join(', ')}` });
+    }
+    updates.status = status;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update (use title and/or status)' });
+  }
+
+  updates.updated_at = new Date().toISOString();
+
+  const { data: conversation, error } = await supabase
+    .from('conversations')
+    .update(updates)
+    .eq('id', conversationId)
+    .eq('user_id', userId)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+
+  res.json({ success: true, conversation });
+}
+
+async function deleteConversation(req, res, userId, conversationId) {
+  // Messages go with it via ON DELETE CASCADE
+  const { data: deleted, error } = await supabase
+    .from('conversations')
+    .delete()
+    .eq('id', conversationId)
+    .eq('user_id', userId)
+    .select('id');
+
+  if (error) throw error;
+  if (!deleted || deleted.length === 0) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+
+  res.json({ success: true });
+}
+
+// SUMMARISATION
+async function summarize(req, res, userId, conversationId, endSession) {
+  const conversation = await findConversation(userId, conversationId);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+
+  const { data: preferences } = await supabase
+    .from('user_preferences')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+  const model = await getActiveModel(supabase, userId);
+
+  const result = await summarizeConversation(supabase, conversationId, {
+    llmSettings: resolveLLMSettings({ preferences, model }),
+    retitle: req.body?.retitle !== false
+  });
+
+  if (!result) {
+    return res.status(400).json({ error: 'Conversation has no messages to summarise' });
+  }
+
+  const sessionsEnded = endSession
+    ? await endBrainSessions(userId, conversationId, result.conversation)
+    : 0;
+
+  res.json({
+    success: true,
+    conversation: result.conversation,
+    method: result.method,
+    ...(endSession ? { sessionsEnded } : {})
+  });
+}
+
+async function endBrainSessions(userId, conversationId, conversation) {
+  const { data: sessions, error } = await supabase
+    .from('brain_sessions')
+    .select('id, start_time')
+    .eq('user_id', userId)
+    .eq('session_metadata->>conversation_id', conversationId)
+    .is('end_time', null);
+
+  if (error) {
+    console.error('Failed to load open brain sessions:', error);
+    return 0;
+  }
+
+  const endTime = new Date();
+  await Promise.all((sessions || []).map(session => supabase
+    .from('brain_sessions')
+    .update({
+      end_time: endTime.toISOString(),
+      duration_minutes: Math.max(0, Math.round((endTime - new Date(session.start_time)) / 60000)),
+      session_summary: conversation.summary,
+      key_topics: conversation.topic_tags
+    })
+    .eq('id', session.id)));
+
+  return (sessions || []).length;
+}
+
+// HELPERS
+async function findConversation(userId, conversationId) {
+  const { data: conversation, error } = await supabase
+    .from('conversations')
+    .select('*')
+    .eq('id', conversationId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return conversation;
+}
+
+function buildSnippet(content, q) {
+  const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+  const lower = content.toLowerCase();
+  const hit = terms.map(term => lower.indexOf(term)).filter(index => index >= 0).sort((a, b) => a - b)[0];
+
+  if (hit === undefined || content.length <= 160) return content.substring(0, 160);
+
+  const start = Math.max(0, hit - 60);
+  return `${start > 0 ? '...' : ''}${content.substring(start, start + 160)}...`;
+}
@@ -38,6 +38,8 @@ export default async function handler(req, res) {
         return await handlePatterns(req, res, userId);
       case 'feedback':
         return await handleFeedback(req, res, userId);
+      case 'message-feedback':
+        return await handleMessageFeedback(req, res, userId);
       case 'health':
         return await handleHealth(req, res, userId);
       case undefined:
@@ -47,7 +49,7 @@ export default async function handler(req, res) {
       default:
         return res.status(404).json({ 
           error: 'Learning endpoint not found',
-          availableEndpoints: ['analytics', 'patterns', 'feedback', 'health'],
+          availableEndpoints: ['analytics', 'patterns', 'feedback', 'message-feedback', 'health'],
           received: endpoint
         });
     }
@@ -357,6 +359,297 @@ async function handleFeedback(req, res, userId) {
   res.json({ success: true, feedback });
 }
 
+// ============================================================================
+// MESSAGE FEEDBACK HANDLER
+// ============================================================================
+const MESSAGE_FEEDBACK_TYPES = ['rating', 'correction', 'suggestion'];
+
+async function handleMessageFeedback(req, res, userId) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const messageId = req.query.messageId || req.body.messageId;
+  const { rating, comment, correction } = req.body;
+  const type = req.body.type || (correction ? 'correction' : rating !== undefined ? 'rating' : 'suggestion');
+
+  if (!messageId) {
+    return res.status(400).json({ error: 'messageId is required' });
+  }
+  if (!MESSAGE_FEEDBACK_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${MESSAGE_FEEDBACK_TYPES.join(', ')}` });
+  }
+  if (rating !== undefined && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+    return res.status(400).json({ error: 'rating must be an integer from 1 to 5' });
+  }
+  if (type === 'correction' && (typeof correction !== 'string' || !correction.trim())) {
+    return res.status(400).json({ error: 'correction must contain the corrected response' });
+  }
+  if (rating === undefined && !comment && !correction) {
+    return res.status(400).json({ error: 'Provide a rating, comment or correction' });
+  }
+
+  const { data: message, error: messageError } = await supabase
+    .from('messages')
+    .select('*, conversations!inner(user_id)')
+    .eq('id', messageId)
+    .eq('conversations.user_id', userId)
+    .maybeSingle();
+
+  if (messageError) throw messageError;
+  if (!message) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+  if (message.type !== 'assistant') {
+    return res.status(400).json({ error: 'Only assistant messages can receive feedback' });
+  }
+
+  const previousRating = message.feedback_score;
+
+  // Update the message itself
+  const messageUpdates = {};
+  if (rating !== undefined) messageUpdates.feedback_score = rating;
+  if (comment !== undefined) messageUpdates.feedback_comment = comment;
+  if (Object.keys(messageUpdates).length > 0) {
+    const { error } = await supabase
+      .from('messages')
+      .update(messageUpdates)
+      .eq('id', messageId);
+
+    if (error) throw error;
+  }
+
+  // Feed the rating/correction back into what produced the answer
+  const learning = {
+    pattern: await applyFeedbackToPattern(userId, message.metadata?.pattern_id, { rating, previousRating, correction }),
+    trainingData: await applyFeedbackToTrainingData(userId, message, { rating, previousRating, correction })
+  };
+
+  const { data: feedback, error: feedbackError } = await supabase
+    .from('feedback')
+    .insert({
+      user_id: userId,
+      message_id: messageId,
+      conversation_id: message.conversation_id,
+      type,
+      rating: rating ?? null,
+      comment: comment || null,
+      suggested_response: correction || null,
+      metadata: {
+        previous_rating: previousRating ?? null,
+        pattern_id: learning.pattern?.id || null,
+        training_data_id: learning.trainingData?.id || null,
+        correction_training_data_id: learning.trainingData?.correctionId || null
+      },
+      is_processed: true
+    })
+    .select()
+    .single();
+
+  if (feedbackError) throw feedbackError;
+
+  res.json({
+    success: true,
+    feedback,
+    message: {
+      id: messageId,
+      feedback_score: messageUpdates.feedback_score ?? previousRating ?? null,
+      feedback_comment: messageUpdates.feedback_comment ?? message.feedback_comment ?? null
+    },
+    learning
+  });
+}
+
+// Confidence change for a rating. Re-rating a message only applies the
+// difference from its previous rating so repeat clicks don't compound.
+function ratingDelta(rating, previousRating, step) {
+  const effect = value => (value === undefined || value === null) ? 0 : step(value);
+  return effect(rating) - effect(previousRating);
+}
+
+const confidenceStep = value => value >= 4 ? 0.1 : value <= 2 ? -0.15 : 0;
+const qualityStep = value => (value - 3) * 0.5;
+
+async function applyFeedbackToPattern(userId, patternId, { rating, previousRating, correction }) {
+  if (!patternId) return null;
+
+  const { data: pattern } = await supabase
+    .from('learning_patterns')
+    .select('id, confidence, success_rate, use_count')
+    .eq('id', patternId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (!pattern) return null;
+
+  const updates = { updated_at: new Date().toISOString() };
+  let confidence = pattern.confidence;
+
+  if (rating !== undefined) {
+    confidence += ratingDelta(rating, previousRating, confidenceStep);
+    // Moving average of how often this pattern's answers land well
+    const outcome = (rating - 1) / 4;
+    updates.success_rate = clamp(pattern.success_rate + (outcome - pattern.success_rate) * 0.2, 0, 1);
+  }
+  if (correction) {
+    updates.response_pattern = correction;
+    confidence += 0.05;
+  }
+  updates.confidence = clamp(confidence, 0.1, 1);
+
+  const { error } = await supabase
+    .from('learning_patterns')
+    .update(updates)
+    .eq('id', patternId)
+    .eq('user_id', userId);
+
+  if (error) {
+    console.error('Failed to apply feedback to pattern:', error);
+    return null;
+  }
+
+  return { id: patternId, confidence: updates.confidence, success_rate: updates.success_rate ?? pattern.success_rate };
+}
+
+async function applyFeedbackToTrainingData(userId, message, { rating, previousRating, correction }) {
+  let row = null;
+
+  if (message.metadata?.training_data_id) {
+    const { data } = await supabase
+      .from('training_data')
+      .select('id, input, quality_score, category')
+      .eq('id', message.metadata.training_data_id)
+      .eq('user_id', userId)
+      .maybeSingle();
+    row = data;
+  } else {
+    // Messages from before training_data_id was recorded: match on the reply text
+    const { data } = await supabase
+      .from('training_data')
+      .select('id, input, quality_score, category')
+      .eq('user_id', userId)
+      .eq('source_conversation_id', message.conversation_id)
+      .eq('output', message.content)
+      .limit(1);
+    row = data?.[0] || null;
+  }
+
+  const result = row ? { id: row.id, quality_score: row.quality_score } : {};
+
+  if (row) {
+    const updates = { updated_at: new Date().toISOString() };
+    let quality = row.quality_score;
+
+    if (rating !== undefined) {
+      updates.feedback = rating;
+      quality += ratingDelta(rating, previousRating, qualityStep);
+    }
+    // A corrected answer shouldn't be trained on as-is
+    if (correction) quality = Math.min(quality, 2.0);
+    updates.quality_score = clamp(quality, 1, 5);
+
+    const { error } = await supabase
+      .from('training_data')
+      .update(updates)
+      .eq('id', row.id)
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('Failed to apply feedback to training data:', error);
+    } else {
+      result.quality_score = updates.quality_score;
+    }
+  }
+
+  if (correction) {
+    const correctionId = await storeCorrection(userId, message, row, correction);
+    if (correctionId) result.correctionId = correctionId;
+  }
+
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+// One corrected example per message: a later correction rewrites the row
+// recorded in the message's metadata instead of adding another
+async function storeCorrection(userId, message, row, correction) {
+  const existingId = message.metadata?.correction_training_data_id;
+  if (existingId) {
+    const { data: updated, error } = await supabase
+      .from('training_data')
+      .update({ output: correction, updated_at: new Date().toISOString() })
+      .eq('id', existingId)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) {
+      console.error('Failed to update corrected example:', error);
+      return null;
+    }
+    // Gone (deleted since), so store it afresh below
+    if (updated?.length > 0) return existingId;
+  }
+
+  const input = row?.input || await findPromptForMessage(message);
+  if (!input) return null;
+
+  const { data: example, error } = await supabase
+    .from('training_data')
+    .insert({
+      user_id: userId,
+      input,
+      output: correction,
+      quality_score: 5.0,
+      category: row?.category || 'general',
+      tags: ['user_correction'],
+      source_conversation_id: message.conversation_id,
+      auto_generated: false,
+      validation_status: 'validated'
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error('Failed to store corrected example:', error);
+    return null;
+  }
+
+  const { error: messageError } = await supabase
+    .from('messages')
+    .update({ metadata: { ...(message.metadata || {}), correction_training_data_id: example.id } })
+    .eq('id', message.id);
+  if (messageError) console.error('Failed to record the corrected example on the message:', messageError);
+
+  return example.id;
+}
+
+// The user message the assistant was answering
+async function findPromptForMessage(message) {
+  if (message.parent_message_id) {
+    const { data: parent } = await supabase
+      .from('messages')
+      .select('type, content')
+      .eq('id', message.parent_message_id)
+      .maybeSingle();
+
+    if (parent?.type === 'user') return parent.content;
+  }
+
+  const { data } = await supabase
+    .from('messages')
+    .select('content')
+    .eq('conversation_id', message.conversation_id)
+    .eq('type', 'user')
+    .lte('timestamp', message.timestamp)
+    .order('timestamp', { ascending: false })
+    .limit(1);
+
+  return data?.[0]?.content || null;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
 // Create sample learning patterns for new users
 async function createSamplePatterns(userId) {
   try {
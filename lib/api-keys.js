@@ -0,0 +1,122 @@
+// lib/api-keys.js - Long-lived API keys for MCP clients, and bearer-token authentication
+//
+// Keys look like "abk_<random>". Only a SHA-256 hash is stored; the key is
+// shown once when created. Requests carry either a key or the usual login
+// JWT in "Authorization: Bearer ...".
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+export const API_KEY_PREFIX = 'abk_';
+export const API_KEY_SCOPES = ['mcp'];
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+export function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+// Returns the stored row and, this once, the key itself
+export async function createApiKey(supabase, userId, { name, scopes = API_KEY_SCOPES, expiresAt = null } = {}) {
+  if (!name?.trim()) throw apiKeyError('invalid_params', 'Give the key a name');
+  if (!Array.isArray(scopes)) throw apiKeyError('invalid_params', 'scopes must be a list of scope names');
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) throw apiKeyError('invalid_params', `Unknown scopes: ${unknown.join(', ')}`);
+  if (expiresAt && Number.isNaN(Date.parse(expiresAt))) throw apiKeyError('invalid_params', 'expires_at must be a date');
+
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+
+  const { data, error } = await supabase
+    .from('api_keys')
+    .insert({
+      user_id: userId,
+      name: name.trim().substring(0, 100),
+      key_prefix: key.substring(0, 12),
+      key_hash: hashApiKey(key),
+      scopes,
+      expires_at: expiresAt ? new Date(expiresAt).toISOString() : null
+    })
+    .select('id, name, key_prefix, scopes, expires_at, created_at')
+    .single();
+
+  if (error) throw error;
+  return { ...data, key };
+}
+
+export async function listApiKeys(supabase, userId) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select('id, name, key_prefix, scopes, last_used_at, expires_at, revoked_at, created_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function revokeApiKey(supabase, userId, id) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) throw error;
+  if (!data?.[0]) throw apiKeyError('key_not_found', 'No such active API key');
+}
+
+// The user an active key belongs to, or null
+export async function resolveApiKey(supabase, key, scope = 'mcp') {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select('id, user_id, scopes, expires_at, revoked_at')
+    .eq('key_hash', hashApiKey(key))
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || data.revoked_at) return null;
+  if (data.expires_at && new Date(data.expires_at) <= new Date()) return null;
+  if (scope && !(data.scopes || []).includes(scope)) return null;
+
+  // Bookkeeping only; a failed update doesn't fail the request
+  supabase
+    .from('api_keys')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', data.id)
+    .then(({ error: touchError }) => touchError && console.error('Failed to record API key use:', touchError));
+
+  return { userId: data.user_id, keyId: data.id, scopes: data.scopes || [] };
+}
+
+// Resolves a bearer token to { userId, via }. API keys are only accepted
+// where `scope` is given; everything else must be a login JWT.
+export async function authenticateBearer(supabase, token, { scope = null } = {}) {
+  if (!token) throw apiKeyError('unauthorized', 'Missing authorization header');
+
+  if (isApiKey(token)) {
+    const resolved = scope ? await resolveApiKey(supabase, token, scope) : null;
+    if (!resolved) throw apiKeyError('unauthorized', 'Invalid or revoked API key');
+    return { userId: resolved.userId, via: 'api_key', keyId: resolved.keyId };
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return { userId: decoded.userId, via: 'jwt' };
+  } catch (error) {
+    throw apiKeyError('unauthorized', 'Invalid or expired token');
+  }
+}
+
+export function bearerToken(req) {
+  const header = req.headers.authorization;
+  return header && header.startsWith('Bearer ') ? header.split(' ')[1] : null;
+}
+
+function apiKeyError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
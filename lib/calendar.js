@@ -0,0 +1,273 @@
+// lib/calendar.js - The user's calendar: stored calendar_events plus an optional ICS feed
+import crypto from 'crypto';
+import { parseCalendar, expandEvents, serializeCalendar, parseRRule, isValidTimeZone, zonedTimeToUtc, utcToZonedTime } from './ical.js';
+import { guardedFetch, readLimited } from './net-guard.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_FEED_BYTES = 2 * 1024 * 1024;
+
+export const CALENDAR_RANGES = ['today', 'tomorrow', 'this_week', 'next_week'];
+
+// settings: brain_tools.configuration for the calendar tool
+export function calendarTimezone(settings = {}) {
+  return isValidTimeZone(settings.timezone) ? settings.timezone : 'UTC';
+}
+
+// Stored events, plus the feed's when the source is a URL. The feed URL
+// may come from credentials (private feeds embed a secret token).
+export async function loadCalendarEvents(supabase, userId, settings = {}, { credentials = null, signal } = {}) {
+  const timezone = calendarTimezone(settings);
+  const { data: rows, error } = await supabase
+    .from('calendar_events')
+    .select('*')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  const events = (rows || []).map(rowToEvent);
+  const feedUrl = credentials?.ics_url || settings.ics_url;
+
+  if (settings.source === 'url' && feedUrl) {
+    const feed = await fetchCalendarFeed(feedUrl, { signal });
+    events.push(...parseCalendar(feed, { defaultTimezone: timezone }).map(event => ({ ...event, source: 'feed' })));
+  }
+
+  return events;
+}
+
+export async function fetchCalendarFeed(url, { signal } = {}) {
+  const response = await guardedFetch(url.replace(/^webcal:/i, 'https:'), {
+    headers: { 'Accept': 'text/calendar' },
+    signal,
+    label: 'The calendar feed URL'
+  });
+  if (!response.ok) {
+    throw new Error(`calendar feed request failed with status ${response.status}`);
+  }
+
+  const { buffer, truncated } = await readLimited(response, MAX_FEED_BYTES);
+  if (truncated) throw new Error('Calendar feed is too large');
+  return buffer.toString('utf8');
+}
+
+// Occurrences in [start, end), optionally filtered by text
+export function listOccurrences(events, { start, end, query = null, limit = 50 }) {
+  const needle = query?.toLowerCase();
+  return expandEvents(events, start, end)
+    .filter(event => !needle || [event.summary, event.location, event.description].some(text => text?.toLowerCase().includes(needle)))
+    .slice(0, limit);
+}
+
+// Turns { range, start, end, days } into a concrete [start, end) in the
+// user's timezone. Named ranges win over explicit dates.
+export function resolveRange({ range, start, end, days = 7 } = {}, timezone = 'UTC', now = new Date()) {
+  const today = startOfLocalDay(now, timezone);
+  const local = utcToZonedTime(now, timezone);
+  const weekday = (new Date(Date.UTC(local.year, local.month - 1, local.day)).getUTCDay() + 6) % 7; // Monday = 0
+
+  switch (range) {
+    case 'today': return { start: today, end: addLocalDays(today, 1, timezone) };
+    case 'tomorrow': return { start: addLocalDays(today, 1, timezone), end: addLocalDays(today, 2, timezone) };
+    case 'this_week': return { start: today, end: addLocalDays(today, 7 - weekday, timezone) };
+    case 'next_week': {
+      const monday = addLocalDays(today, 7 - weekday, timezone);
+      return { start: monday, end: addLocalDays(monday, 7, timezone) };
+    }
+  }
+
+  const from = start ? parseLocalDateTime(start, timezone) : now;
+  if (!from) throw calendarError('start must be an ISO date or date-time');
+  const to = end ? parseLocalDateTime(end, timezone) : new Date(from.getTime() + days * DAY_MS);
+  if (!to) throw calendarError('end must be an ISO date or date-time');
+  if (to <= from) throw calendarError('end must be after start');
+  return { start: from, end: to };
+}
+
+// Picks a named range out of free text for keyword-triggered runs
+export function detectRange(message) {
+  const lower = (message || '').toLowerCase();
+  if (lower.includes('tomorrow')) return 'tomorrow';
+  if (lower.includes('next week')) return 'next_week';
+  if (lower.includes('this week') || lower.includes('week')) return 'this_week';
+  if (lower.includes('today') || lower.includes('tonight')) return 'today';
+  return undefined;
+}
+
+// 'YYYY-MM-DD' and offset-less date-times are read in the user's timezone
+export function parseLocalDateTime(value, timezone = 'UTC') {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(String(value).trim());
+  if (match) {
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+    return zonedTimeToUtc({ year: +year, month: +month, day: +day, hour: +hour, minute: +minute, second: +second }, timezone);
+  }
+
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+}
+
+// Validates an event to create and stores it
+// input: { title, start, end, duration_minutes, all_day, location, description, recurrence }
+export async function createCalendarEvent(supabase, userId, input, settings = {}) {
+  const timezone = calendarTimezone(settings);
+  const allDay = Boolean(input.all_day);
+
+  let start = parseLocalDateTime(input.start, timezone);
+  if (!start) throw calendarError('start must be an ISO date or date-time');
+  if (allDay) start = startOfLocalDay(start, timezone);
+
+  let end = input.end ? parseLocalDateTime(input.end, timezone) : null;
+  if (!end) {
+    end = allDay
+      ? addLocalDays(start, 1, timezone)
+      : new Date(start.getTime() + (input.duration_minutes || settings.default_duration || 60) * 60 * 1000);
+  }
+  if (end <= start) throw calendarError('end must be after start');
+
+  const rrule = input.recurrence ? input.recurrence.replace(/^RRULE:/i, '').toUpperCase() : null;
+  if (rrule) {
+    try {
+      parseRRule(rrule);
+    } catch (error) {
+      throw calendarError(`recurrence: ${error.message}`);
+    }
+  }
+
+  const event = {
+    uid: `${crypto.randomUUID()}@ai-brain`,
+    summary: input.title,
+    description: input.description || null,
+    location: input.location || null,
+    start,
+    end,
+    allDay,
+    timezone,
+    rrule,
+    exdates: []
+  };
+
+  const { data, error } = await supabase
+    .from('calendar_events')
+    .insert({ ...eventToRow(event), user_id: userId, source: 'chat' })
+    .select('*')
+    .single();
+
+  if (error) throw error;
+  return rowToEvent(data);
+}
+
+// Stores every VEVENT from an .ics file; re-importing updates by UID
+export async function importCalendar(supabase, userId, text, settings = {}) {
+  // Moved occurrences share their series' UID; they are stored as events
+  // of their own, so give them one
+  const seen = new Set();
+  const events = parseCalendar(text, { defaultTimezone: calendarTimezone(settings) }).map(event => {
+    let uid = event.uid || `${crypto.randomUUID()}@ai-brain`;
+    if (seen.has(uid)) uid = `${uid}-${event.start.toISOString().replace(/[-:.]/g, '')}`;
+    seen.add(uid);
+    return { ...event, uid };
+  });
+
+  if (events.length === 0) return { imported: 0 };
+
+  const { error } = await supabase
+    .from('calendar_events')
+    .upsert(events.map(event => ({ ...eventToRow(event), user_id: userId, source: 'import' })), { onConflict: 'user_id,uid' });
+
+  if (error) throw error;
+  return { imported: events.length };
+}
+
+export async function exportCalendar(supabase, userId, settings = {}) {
+  const { data: rows, error } = await supabase
+    .from('calendar_events')
+    .select('*')
+    .eq('user_id', userId)
+    .order('starts_at', { ascending: true });
+
+  if (error) throw error;
+  return serializeCalendar((rows || []).map(rowToEvent), { reminderMinutes: settings.reminder_minutes || null });
+}
+
+// What tools return to the model and the UI, in the user's local time
+export function describeOccurrence(event, timezone = 'UTC') {
+  return {
+    title: event.summary,
+    start: event.start.toISOString(),
+    end: event.end.toISOString(),
+    local: formatLocal(event, timezone),
+    allDay: event.allDay,
+    location: event.location || null,
+    recurring: Boolean(event.recurring ?? event.rrule)
+  };
+}
+
+export function formatLocal(event, timezone = 'UTC') {
+  const options = { timeZone: timezone, weekday: 'short', day: 'numeric', month: 'short' };
+  if (!event.allDay) Object.assign(options, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+  return new Intl.DateTimeFormat('en-GB', options).format(event.start);
+}
+
+function rowToEvent(row) {
+  return {
+    id: row.id,
+    uid: row.uid,
+    summary: row.summary,
+    description: row.description,
+    location: row.location,
+    start: parseStoredTime(row.starts_at),
+    end: parseStoredTime(row.ends_at),
+    allDay: Boolean(row.all_day),
+    timezone: row.timezone || 'UTC',
+    rrule: row.rrule,
+    exdates: (row.exdates || []).map(date => new Date(date)),
+    source: row.source
+  };
+}
+
+function eventToRow(event) {
+  return {
+    uid: event.uid,
+    summary: event.summary,
+    description: event.description,
+    location: event.location,
+    starts_at: event.start.toISOString(),
+    ends_at: event.end.toISOString(),
+    all_day: event.allDay,
+    timezone: event.timezone,
+    rrule: event.rrule,
+    exdates: event.exdates.map(date => date.toISOString()),
+    updated_at: new Date().toISOString()
+  };
+}
+
+// TIMESTAMP columns come back without a zone; they are stored as UTC
+function parseStoredTime(value) {
+  const text = String(value);
+  return new Date(/(Z|[+-]\d{2}:?\d{2})$/i.test(text) ? text : `${text}Z`);
+}
+
+function startOfLocalDay(date, timezone) {
+  const local = utcToZonedTime(date, timezone);
+  return zonedTimeToUtc({ year: local.year, month: local.month, day: local.day }, timezone);
+}
+
+function addLocalDays(date, count, timezone) {
+  const local = utcToZonedTime(date, timezone);
+  const target = new Date(Date.UTC(local.year, local.month - 1, local.day + count));
+  return zonedTimeToUtc({
+    year: target.getUTCFullYear(),
+    month: target.getUTCMonth() + 1,
+    day: target.getUTCDate(),
+    hour: local.hour,
+    minute: local.minute,
+    second: local.second
+  }, timezone);
+}
+
+// Bad dates and rules come from the caller
+export function calendarError(message) {
+  const error = new Error(message);
+  error.code = 'invalid_params';
+  error.details = { errors: [message] };
+  return error;
+}
@@ -0,0 +1,128 @@
+// lib/context-builder.js - Token-budgeted prompt context assembly
+import { summarizeExtractive } from './summarizer.js';
+
+// Rough per-message framing overhead charged by chat APIs
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const DEFAULT_CONTEXT_TOKENS = 8192;
+// Recent turns may use at most this share of the budget so memories and tool output still fit
+const TURN_BUDGET_SHARE = 0.6;
+
+// Context windows by model name prefix; the first match wins so longer prefixes go first
+const MODEL_CONTEXT_TOKENS = [
+  ['gpt-4o', 128000],
+  ['gpt-4-turbo', 128000],
+  ['gpt-4.1', 1000000],
+  ['gpt-4-32k', 32768],
+  ['gpt-4', 8192],
+  ['gpt-3.5-turbo', 16385],
+  ['claude', 200000],
+  ['llama3', 8192],
+  ['mistral', 32768]
+];
+
+// ~4 characters per token for English text; close enough for budgeting
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / 4);
+}
+
+export function getContextLimit(llmSettings) {
+  const override = parseInt(process.env.LLM_CONTEXT_TOKENS, 10);
+  if (override > 0) return override;
+
+  const modelName = (llmSettings?.model || '').toLowerCase();
+  const match = MODEL_CONTEXT_TOKENS.find(([prefix]) => modelName.startsWith(prefix));
+  return match ? match[1] : DEFAULT_CONTEXT_TOKENS;
+}
+
+// Prompt budget: the model's window minus room for the reply.
+// brain_profile.context_window_size caps how many recent messages are kept verbatim.
+export function resolveContextBudget({ brainProfile = null, llmSettings = null } = {}) {
+  const contextLimit = getContextLimit(llmSettings);
+  const replyTokens = llmSettings?.maxTokens || 500;
+
+  return {
+    contextLimit,
+    budget: Math.max(contextLimit - replyTokens, 512),
+    maxTurns: brainProfile?.context_window_size > 0 ? brainProfile.context_window_size : 10
+  };
+}
+
+// Fills the budget in priority order: system prompt and current message
+// always, then recent turns (newest first), top memories, tool output, and
+// finally an extractive summary of the older turns that didn't fit.
+// `renderMemory`/`renderTool` must match how the caller prints them into the prompt.
+export function assembleContext({
+  systemPrompt = '',
+  currentMessage,
+  history = [],
+  memories = [],
+  toolData = [],
+  budget,
+  maxTurns,
+  renderMemory = memory => memory.content,
+  renderTool = tool => JSON.stringify(tool.data)
+}) {
+  let used = estimateTokens(systemPrompt) + estimateTokens(currentMessage) + MESSAGE_OVERHEAD_TOKENS * 2;
+
+  // Recent turns, newest first, until the turn cap or their share of the budget
+  const turnBudget = Math.max(0, (budget - used) * TURN_BUDGET_SHARE);
+  const keptTurns = [];
+  let turnTokens = 0;
+  for (let i = history.length - 1; i >= 0 && keptTurns.length < maxTurns; i--) {
+    const cost = estimateTokens(history[i].content) + MESSAGE_OVERHEAD_TOKENS;
+    if (turnTokens + cost > turnBudget) break;
+    keptTurns.unshift(history[i]);
+    turnTokens += cost;
+  }
+  used += turnTokens;
+  const olderTurns = history.slice(0, history.length - keptTurns.length);
+
+  const takeWhileFits = (items, render) => {
+    const included = [];
+    const dropped = [];
+    items.forEach(item => {
+      const cost = estimateTokens(render(item)) + 1;
+      if (used + cost <= budget) {
+        included.push(item);
+        used += cost;
+      } else {
+        dropped.push(item);
+      }
+    });
+    return { included, dropped };
+  };
+
+  const memorySelection = takeWhileFits(memories, renderMemory);
+  const toolSelection = takeWhileFits(toolData, renderTool);
+
+  // Whatever is left goes to a digest of the turns we couldn't keep verbatim
+  let earlierSummary = null;
+  if (olderTurns.length > 0 && budget - used > 32) {
+    const digest = summarizeExtractive(olderTurns).summary;
+    const room = (budget - used - MESSAGE_OVERHEAD_TOKENS) * 4;
+    earlierSummary = digest.length > room ? `${digest.substring(0, room - 3)}...` : digest;
+    used += estimateTokens(earlierSummary) + MESSAGE_OVERHEAD_TOKENS;
+  }
+
+  return {
+    turns: keptTurns,
+    memories: memorySelection.included,
+    toolData: toolSelection.included,
+    earlierSummary,
+    report: {
+      tokens: { budget, used },
+      included: {
+        turns: keptTurns.length,
+        memories: memorySelection.included.map(m => m.id).filter(Boolean),
+        tools: toolSelection.included.map(t => t.tool),
+        summarizedTurns: earlierSummary ? olderTurns.length : 0
+      },
+      dropped: {
+        turns: earlierSummary ? 0 : olderTurns.length,
+        memories: memorySelection.dropped.map(m => m.id).filter(Boolean),
+        tools: toolSelection.dropped.map(t => t.tool)
+      }
+    }
+  };
+}
@@ -0,0 +1,104 @@
+// lib/conversation-tree.js - Branching conversations: active path, alternatives and branch selection
+//
+// Every message points at the message it follows (parent_message_id).
+// Regenerating or editing adds a sibling under the same parent instead of
+// overwriting, and conversations.current_leaf_message_id marks which branch
+// is selected. The history a user sees is the path from the root to that leaf.
+
+// `columns` must include id, parent_message_id and timestamp
+export async function loadConversationMessages(supabase, conversationId, columns = '*') {
+  const { data: messages, error } = await supabase
+    .from('messages')
+    .select(columns)
+    .eq('conversation_id', conversationId)
+    .order('timestamp', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return messages || [];
+}
+
+export async function getActiveBranch(supabase, conversation, columns = '*') {
+  const messages = await loadConversationMessages(supabase, conversation.id, columns);
+  return getActivePath(conversation, messages);
+}
+
+export async function setCurrentLeaf(supabase, conversationId, messageId) {
+  const { error } = await supabase
+    .from('conversations')
+    .update({ current_leaf_message_id: messageId })
+    .eq('id', conversationId);
+
+  if (error) throw error;
+}
+
+// Conversations from before branching have no leaf yet; the newest message stands in
+export function resolveLeafId(conversation, messages) {
+  const leafId = conversation?.current_leaf_message_id;
+  if (leafId && messages.some(m => m.id === leafId)) return leafId;
+  return messages.length > 0 ? messages[messages.length - 1].id : null;
+}
+
+export function getActivePath(conversation, messages) {
+  const leafId = resolveLeafId(conversation, messages);
+  return leafId ? pathToMessage(messages, leafId) : [];
+}
+
+// Root-to-message path, oldest first
+export function pathToMessage(messages, messageId) {
+  const byId = new Map(messages.map(m => [m.id, m]));
+  const path = [];
+  const seen = new Set();
+
+  let current = byId.get(messageId);
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    path.unshift(current);
+    current = current.parent_message_id ? byId.get(current.parent_message_id) : null;
+  }
+
+  return path;
+}
+
+// Messages sharing a parent, oldest first (the original answer is index 0)
+export function getSiblings(messages, message) {
+  const parentId = message.parent_message_id || null;
+  return messages.filter(m => (m.parent_message_id || null) === parentId);
+}
+
+// Selecting a branch shows its most recent continuation, so walk down
+// through the newest child until reaching a leaf
+export function latestLeafUnder(messages, messageId) {
+  const children = new Map();
+  messages.forEach(m => {
+    if (!m.parent_message_id) return;
+    if (!children.has(m.parent_message_id)) children.set(m.parent_message_id, []);
+    children.get(m.parent_message_id).push(m);
+  });
+
+  let currentId = messageId;
+  const seen = new Set();
+  while (!seen.has(currentId)) {
+    seen.add(currentId);
+    const next = children.get(currentId);
+    if (!next || next.length === 0) break;
+    currentId = next[next.length - 1].id;
+  }
+
+  return currentId;
+}
+
+// Adds { index, count, siblingIds } so a UI can page between alternatives
+export function annotateBranches(path, messages) {
+  return path.map(message => {
+    const siblings = getSiblings(messages, message);
+    return {
+      ...message,
+      branch: {
+        index: siblings.findIndex(s => s.id === message.id),
+        count: siblings.length,
+        siblingIds: siblings.map(s => s.id)
+      }
+    };
+  });
+}
@@ -0,0 +1,128 @@
+// lib/credentials.js - Envelope encryption for tool credentials at rest
+//
+// Each value gets its own random data key (AES-256-GCM); the data key is
+// wrapped with a master key from the keyring. The stored text is a JSON
+// envelope carrying the key id, so old rows keep decrypting after a new
+// key is made active and can be re-encrypted later.
+//
+// Keyring (env):
+//   TOOL_CREDENTIALS_KEYS       kid:base64key[,kid:base64key...] (32-byte keys)
+//   TOOL_CREDENTIALS_ACTIVE_KEY kid used for new encryptions (default: first)
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_VERSION = 1;
+
+export function credentialsError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+export function loadKeyring(env = process.env) {
+  const keys = new Map();
+
+  (env.TOOL_CREDENTIALS_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const keyId = entry.substring(0, separator);
+    const key = Buffer.from(entry.substring(separator + 1), 'base64');
+    if (separator < 1 || key.length !== 32) {
+      throw credentialsError('invalid_keyring', `Credential key "${keyId || entry}" must be kid:<32 bytes base64>`);
+    }
+    keys.set(keyId, key);
+  });
+
+  const activeKeyId = env.TOOL_CREDENTIALS_ACTIVE_KEY || keys.keys().next().value || null;
+  if (activeKeyId && !keys.has(activeKeyId)) {
+    throw credentialsError('invalid_keyring', `Active credential key "${activeKeyId}" is not in the keyring`);
+  }
+
+  return { keys, activeKeyId };
+}
+
+export function encryptCredentials(credentials, keyring = loadKeyring()) {
+  if (!keyring.activeKeyId) {
+    throw credentialsError('credentials_key_missing', 'No credential encryption key is configured');
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const payload = seal(dataKey, Buffer.from(JSON.stringify(credentials), 'utf8'));
+  const wrappedKey = seal(keyring.keys.get(keyring.activeKeyId), dataKey);
+
+  return {
+    keyId: keyring.activeKeyId,
+    ciphertext: JSON.stringify({
+      v: ENVELOPE_VERSION,
+      kid: keyring.activeKeyId,
+      dk: wrappedKey,
+      data: payload
+    })
+  };
+}
+
+export function decryptCredentials(stored, keyring = loadKeyring()) {
+  if (!stored) return null;
+
+  const envelope = parseEnvelope(stored);
+  if (!envelope) {
+    throw credentialsError('credentials_unreadable', 'Stored credentials are not an encrypted envelope');
+  }
+
+  const masterKey = keyring.keys.get(envelope.kid);
+  if (!masterKey) {
+    throw credentialsError('credentials_key_missing', `Credential key "${envelope.kid}" is not in the keyring`);
+  }
+
+  try {
+    const dataKey = open(masterKey, envelope.dk);
+    return JSON.parse(open(dataKey, envelope.data).toString('utf8'));
+  } catch (error) {
+    throw credentialsError('credentials_unreadable', 'Stored credentials could not be decrypted');
+  }
+}
+
+// Key id of a stored value, or null for plaintext written before encryption
+export function getCredentialsKeyId(stored) {
+  return parseEnvelope(stored)?.kid || null;
+}
+
+// True when a stored value should be re-encrypted under the active key
+export function needsRotation(stored, keyring = loadKeyring()) {
+  return Boolean(stored) && getCredentialsKeyId(stored) !== keyring.activeKeyId;
+}
+
+// Reads legacy plaintext JSON as well as envelopes; only the rotation
+// command needs this, everything else goes through decryptCredentials
+export function readStoredCredentials(stored, keyring = loadKeyring()) {
+  if (!stored) return null;
+  if (parseEnvelope(stored)) return decryptCredentials(stored, keyring);
+
+  try {
+    return JSON.parse(stored);
+  } catch (error) {
+    throw credentialsError('credentials_unreadable', 'Stored credentials are neither an envelope nor JSON');
+  }
+}
+
+function parseEnvelope(stored) {
+  try {
+    const envelope = JSON.parse(stored);
+    return envelope?.v === ENVELOPE_VERSION && envelope.kid && envelope.dk && envelope.data ? envelope : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+function open(key, sealed) {
+  const [iv, tag, ciphertext] = sealed.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
@@ -0,0 +1,83 @@
+// lib/csv.js - CSV/TSV parsing (RFC 4180 quoting) with delimiter detection
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// Returns an array of rows, each an array of strings. Quoted fields may
+// hold delimiters, doubled quotes and line breaks.
+export function parseCsv(text, { delimiter = null } = {}) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(input);
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// The candidate that splits the first few lines most consistently wins
+export function detectDelimiter(text) {
+  const lines = String(text || '').split(/\r?\n/).filter(line => line.trim()).slice(0, 10);
+  if (lines.length === 0) return ',';
+
+  let best = ',';
+  let bestScore = 0;
+
+  DELIMITERS.forEach(candidate => {
+    const counts = lines.map(line => countOutsideQuotes(line, candidate));
+    if (counts[0] === 0) return;
+    const consistent = counts.filter(count => count === counts[0]).length;
+    const score = consistent * 100 + counts[0];
+    if (score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+function countOutsideQuotes(line, delimiter) {
+  let inQuotes = false;
+  let count = 0;
+  for (const char of line) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (char === delimiter && !inQuotes) count++;
+  }
+  return count;
+}
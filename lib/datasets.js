@@ -0,0 +1,205 @@
+// lib/datasets.js - Tabular datasets: CSV/XLSX uploads or sheet exports
+// parsed into typed tables and stored per user in the datasets table
+import { parseCsv } from './csv.js';
+import { isXlsx, readSheet } from './xlsx.js';
+import { buildTable, tableError } from './table-query.js';
+import { guardedFetch, readLimited } from './net-guard.js';
+
+export const MAX_DATASET_BYTES = 5 * 1024 * 1024;
+export const MAX_DATASET_ROWS = 50000;
+const MAX_DATASET_COLUMNS = 200;
+const DATASET_FORMATS = ['csv', 'tsv', 'xlsx'];
+
+// Everything but the rows, for listings and tool results
+const SUMMARY_COLUMNS = 'id, name, source, source_url, format, sheet_name, columns, row_count, size_bytes, created_at, updated_at';
+
+// content: .csv/.tsv text, or a Buffer holding CSV or .xlsx bytes
+export function parseDataset(content, { format = null, sheet = null, delimiter = null } = {}) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(String(content ?? ''), 'utf8');
+  if (buffer.length === 0) throw datasetError('The file is empty');
+  if (buffer.length > MAX_DATASET_BYTES) {
+    throw datasetError(`Datasets are limited to ${MAX_DATASET_BYTES / 1024 / 1024}MB`);
+  }
+
+  if (format && !DATASET_FORMATS.includes(format)) {
+    throw datasetError(`format must be one of: ${DATASET_FORMATS.join(', ')}`);
+  }
+
+  const detected = format || (isXlsx(buffer) ? 'xlsx' : 'csv');
+  let rows;
+  try {
+    rows = detected === 'xlsx'
+      ? readSheet(buffer, { sheet })
+      : parseCsv(buffer.toString('utf8'), { delimiter: delimiter || (format === 'tsv' ? '\t' : null) });
+  } catch (error) {
+    throw datasetError(`Could not read the ${detected} file: ${error.message}`);
+  }
+
+  // Leading blank rows (titles above a sheet's header are common) are skipped
+  const firstRow = rows.findIndex(row => row.some(cell => cell !== null && String(cell).trim() !== ''));
+  if (firstRow === -1) throw datasetError('The file has no rows');
+
+  const table = buildTable(rows.slice(firstRow).filter(row => row.length > 0));
+  if (table.columns.length > MAX_DATASET_COLUMNS) throw datasetError(`Datasets are limited to ${MAX_DATASET_COLUMNS} columns`);
+  if (table.rows.length > MAX_DATASET_ROWS) throw datasetError(`Datasets are limited to ${MAX_DATASET_ROWS} rows`);
+
+  return { ...table, format: detected, sheet: detected === 'xlsx' ? sheet : null, sizeBytes: buffer.length };
+}
+
+// Google Sheets share links become their CSV export; other URLs are used as-is
+export function sheetExportUrl(url) {
+  const target = new URL(url);
+  const match = /^\/spreadsheets\/d\/([\w-]+)/.exec(target.pathname);
+  if (target.hostname === 'docs.google.com' && match && !target.pathname.includes('/export')) {
+    const gid = /gid=(\d+)/.exec(target.hash + target.search)?.[1];
+    return `https://docs.google.com/spreadsheets/d/${match[1]}/export?format=csv${gid ? `&gid=${gid}` : ''}`;
+  }
+  return target.toString();
+}
+
+export async function fetchDatasetSource(url, { signal } = {}) {
+  let target;
+  try {
+    target = sheetExportUrl(url);
+  } catch {
+    throw datasetError(`Not a valid URL: ${url}`);
+  }
+
+  let response;
+  try {
+    response = await guardedFetch(target, { signal, label: 'The dataset URL' });
+  } catch (error) {
+    if (['invalid_url', 'blocked_destination'].includes(error.code)) throw datasetError(error.message);
+    throw error;
+  }
+  if (!response.ok) {
+    throw datasetError(`The dataset URL returned status ${response.status}`);
+  }
+
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > MAX_DATASET_BYTES) throw datasetError(`Datasets are limited to ${MAX_DATASET_BYTES / 1024 / 1024}MB`);
+
+  // content-length may be missing or wrong, so the read itself is capped
+  const { buffer, truncated } = await readLimited(response, MAX_DATASET_BYTES);
+  if (truncated) throw datasetError(`Datasets are limited to ${MAX_DATASET_BYTES / 1024 / 1024}MB`);
+  return buffer;
+}
+
+// Parses and stores a dataset; saving under an existing name replaces it.
+// input: { name, content, url, format, sheet, delimiter }
+export async function importDataset(supabase, userId, input, { signal } = {}) {
+  const name = String(input.name || '').trim();
+  if (!name) throw datasetError('A dataset needs a name');
+
+  const content = input.url ? await fetchDatasetSource(input.url, { signal }) : input.content;
+  const table = parseDataset(content, input);
+
+  const { data, error } = await supabase
+    .from('datasets')
+    .upsert({
+      user_id: userId,
+      name,
+      source: input.url ? 'url' : 'upload',
+      source_url: input.url || null,
+      format: table.format,
+      sheet_name: table.sheet,
+      columns: table.columns,
+      rows: table.rows,
+      row_count: table.rows.length,
+      size_bytes: table.sizeBytes,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id,name' })
+    .select(SUMMARY_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return describeDataset(data);
+}
+
+// Fetches a URL-backed dataset again
+export async function refreshDataset(supabase, userId, name, { signal } = {}) {
+  const dataset = await loadDataset(supabase, userId, name, { rows: false });
+  if (dataset.source !== 'url') throw datasetError(`Dataset "${dataset.name}" was uploaded; upload it again to change it`);
+
+  return importDataset(supabase, userId, {
+    name: dataset.name,
+    url: dataset.source_url,
+    format: dataset.format,
+    sheet: dataset.sheet_name
+  }, { signal });
+}
+
+export async function listDatasets(supabase, userId) {
+  const { data, error } = await supabase
+    .from('datasets')
+    .select(SUMMARY_COLUMNS)
+    .eq('user_id', userId)
+    .order('updated_at', { ascending: false });
+
+  if (error) throw error;
+  return (data || []).map(describeDataset);
+}
+
+// By name (case-insensitive), or the most recently updated one when no
+// name is given
+export async function loadDataset(supabase, userId, name = null, { rows = true } = {}) {
+  let query = supabase
+    .from('datasets')
+    .select(rows ? '*' : SUMMARY_COLUMNS)
+    .eq('user_id', userId);
+
+  query = name
+    ? query.ilike('name', escapeLike(name))
+    : query.order('updated_at', { ascending: false });
+
+  const { data, error } = await query.limit(1);
+  if (error) throw error;
+
+  if (!data?.[0]) {
+    const available = (await listDatasets(supabase, userId)).map(dataset => dataset.name);
+    throw tableError(name
+      ? `No dataset named "${name}".${available.length ? ` Available: ${available.join(', ')}` : ''}`
+      : 'No datasets uploaded yet');
+  }
+
+  return data[0];
+}
+
+export async function deleteDataset(supabase, userId, name) {
+  const dataset = await loadDataset(supabase, userId, name, { rows: false });
+  const { error } = await supabase
+    .from('datasets')
+    .delete()
+    .eq('id', dataset.id)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return describeDataset(dataset);
+}
+
+export function describeDataset(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    source: row.source,
+    sourceUrl: row.source_url || null,
+    format: row.format,
+    sheet: row.sheet_name || null,
+    columns: row.columns || [],
+    rowCount: row.row_count || 0,
+    sizeBytes: row.size_bytes || 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Problems with the file or request rather than the server
+export function datasetError(message) {
+  const error = new Error(message);
+  error.code = 'invalid_dataset';
+  return error;
+}
+
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, match => `\\${match}`);
+}
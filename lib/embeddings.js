@@ -0,0 +1,149 @@
+// lib/embeddings.js - Pluggable embedding providers for semantic memory
+import crypto from 'crypto';
+
+// brain_memories.embedding is VECTOR(1536), every provider must produce this size
+export const EMBEDDING_DIMENSIONS = 1536;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'do', 'does', 'for', 'from',
+  'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the',
+  'this', 'to', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'with', 'you', 'your'
+]);
+
+const providers = {
+  local: createLocalProvider,
+  openai: createOpenAIProvider
+};
+
+export function registerEmbeddingProvider(name, factory) {
+  providers[name] = factory;
+}
+
+export function getEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER) {
+  const providerName = name || (process.env.OPENAI_API_KEY ? 'openai' : 'local');
+  const factory = providers[providerName];
+
+  if (!factory) {
+    throw new Error(`Unknown embedding provider: ${providerName}`);
+  }
+
+  return factory();
+}
+
+export async function embedText(text, provider = getEmbeddingProvider()) {
+  const embedding = await provider.embed(text || '');
+  return { embedding, model: provider.model };
+}
+
+// Supabase returns vector columns as a '[0.1,0.2,...]' string
+export function parseEmbedding(value) {
+  if (!value) return null;
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+// LOCAL PROVIDER
+// Hashed bag-of-words: deterministic, offline, no API key required
+function createLocalProvider() {
+  return {
+    name: 'local',
+    model: 'local:hashed-bow-v1',
+    async embed(text) {
+      const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+      const tokens = tokenize(text);
+      const features = [...tokens];
+
+      // Bigrams keep a little word-order information
+      for (let i = 0; i < tokens.length - 1; i++) {
+        features.push(`${tokens[i]}_${tokens[i + 1]}`);
+      }
+
+      features.forEach(feature => {
+        const hash = crypto.createHash('md5').update(feature).digest();
+        const index = hash.readUInt32BE(0) % EMBEDDING_DIMENSIONS;
+        const sign = hash[4] & 1 ? 1 : -1;
+        vector[index] += sign * (feature.includes('_') ? 0.5 : 1);
+      });
+
+      return normalize(vector);
+    }
+  };
+}
+
+// OPENAI PROVIDER
+function createOpenAIProvider() {
+  const model = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+  const baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+
+  return {
+    name: 'openai',
+    model: `openai:${model}`,
+    async embed(text) {
+      const response = await fetch(`${baseUrl}/embeddings`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          model,
+          input: text.substring(0, 8000),
+          dimensions: EMBEDDING_DIMENSIONS
+        }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Embedding request failed with status ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.data[0].embedding;
+    }
+  };
+}
+
+// HELPERS
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm === 0 ? vector : vector.map(v => v / norm);
+}
+
+function stem(word) {
+  // Very light suffix stripping so "requests" and "request" share a bucket
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('es') && !word.endsWith('ses')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
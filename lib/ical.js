@@ -0,0 +1,439 @@
+// lib/ical.js - iCalendar (RFC 5545) parsing, recurrence expansion and serialisation
+//
+// Covers what calendar feeds commonly use: VEVENT with DTSTART/DTEND/
+// DURATION (UTC, TZID or all-day), RRULE (DAILY/WEEKLY/MONTHLY/YEARLY with
+// INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY, BYMONTH), EXDATE and
+// RECURRENCE-ID overrides. Events are plain objects:
+//   { uid, summary, description, location, start: Date, end: Date,
+//     allDay, timezone, rrule, exdates: [Date] }
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stops runaway rules (e.g. FREQ=DAILY with no end) from spinning forever
+const MAX_RECURRENCE_PERIODS = 5000;
+
+// PARSING
+
+export function parseCalendar(text, { defaultTimezone = 'UTC' } = {}) {
+  const lines = unfold(text);
+  const calendarTimezone = lines.map(parseLine).find(line => line?.name === 'X-WR-TIMEZONE')?.value;
+  const timezone = isValidTimeZone(calendarTimezone) ? calendarTimezone : defaultTimezone;
+
+  const events = [];
+  let current = null;
+
+  lines.forEach(raw => {
+    const line = parseLine(raw);
+    if (!line) return;
+
+    if (line.name === 'BEGIN' && line.value === 'VEVENT') {
+      current = { props: [] };
+    } else if (line.name === 'END' && line.value === 'VEVENT' && current) {
+      const event = buildEvent(current.props, timezone);
+      if (event) events.push(event);
+      current = null;
+    } else if (current && line.name === 'BEGIN') {
+      // Nested components (VALARM) carry their own properties; skip them
+      current.nested = (current.nested || 0) + 1;
+    } else if (current && line.name === 'END') {
+      current.nested--;
+    } else if (current && !current.nested) {
+      current.props.push(line);
+    }
+  });
+
+  return applyOverrides(events);
+}
+
+function unfold(text) {
+  return String(text || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim());
+}
+
+function parseLine(line) {
+  // The value starts at the first colon outside a quoted parameter
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.substring(0, colon).split(';');
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.substring(colon + 1) };
+}
+
+function buildEvent(props, calendarTimezone) {
+  const get = name => props.find(prop => prop.name === name);
+  const dtstart = get('DTSTART');
+  if (!dtstart) return null;
+
+  const start = parseDateValue(dtstart, calendarTimezone);
+  if (!start) return null;
+
+  let end = get('DTEND') ? parseDateValue(get('DTEND'), calendarTimezone)?.date : null;
+  if (!end && get('DURATION')) end = new Date(start.date.getTime() + parseDuration(get('DURATION').value));
+  if (!end) end = new Date(start.date.getTime() + (start.allDay ? DAY_MS : 0));
+
+  const exdates = props
+    .filter(prop => prop.name === 'EXDATE')
+    .flatMap(prop => prop.value.split(',').map(value => parseDateValue({ ...prop, value }, calendarTimezone)?.date))
+    .filter(Boolean);
+
+  const recurrenceId = get('RECURRENCE-ID') ? parseDateValue(get('RECURRENCE-ID'), calendarTimezone)?.date : null;
+
+  return {
+    uid: get('UID')?.value || null,
+    summary: unescapeText(get('SUMMARY')?.value || '(no title)'),
+    description: get('DESCRIPTION') ? unescapeText(get('DESCRIPTION').value) : null,
+    location: get('LOCATION') ? unescapeText(get('LOCATION').value) : null,
+    start: start.date,
+    end,
+    allDay: start.allDay,
+    timezone: start.timezone,
+    rrule: get('RRULE')?.value || null,
+    exdates,
+    recurrenceId
+  };
+}
+
+// A RECURRENCE-ID event replaces one occurrence of the series with its UID
+function applyOverrides(events) {
+  const overrides = events.filter(event => event.recurrenceId);
+  overrides.forEach(override => {
+    const master = events.find(event => event.uid === override.uid && !event.recurrenceId && event.rrule);
+    if (master) master.exdates.push(override.recurrenceId);
+  });
+  return events.map(({ recurrenceId, ...event }) => ({ ...event, rrule: recurrenceId ? null : event.rrule }));
+}
+
+function parseDateValue({ params, value }, calendarTimezone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const fields = { year: +year, month: +month, day: +day, hour: +(hour || 0), minute: +(minute || 0), second: +(second || 0) };
+  const allDay = params.VALUE === 'DATE' || hour === undefined;
+
+  // UTC stamps are absolute; TZID and floating times are wall-clock times
+  const timezone = utc ? 'UTC' : isValidTimeZone(params.TZID) ? params.TZID : calendarTimezone;
+  return { date: zonedTimeToUtc(fields, timezone), allDay, timezone };
+}
+
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return 0;
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part === undefined ? 0 : part);
+  const ms = ((+weeks * 7 + +days) * 24 * 3600 + +hours * 3600 + +minutes * 60 + +seconds) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+function unescapeText(value) {
+  return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+// RECURRENCE
+
+export function parseRRule(rule) {
+  const parts = {};
+  String(rule || '').split(';').filter(Boolean).forEach(part => {
+    const [key, value] = part.split('=');
+    parts[key.toUpperCase()] = value;
+  });
+
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(parts.FREQ)) {
+    throw new Error(`Unsupported recurrence frequency: ${parts.FREQ || 'none'}`);
+  }
+
+  const byDay = (parts.BYDAY ? parts.BYDAY.split(',') : []).map(entry => {
+    const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry.toUpperCase());
+    if (!match) throw new Error(`Invalid BYDAY value: ${entry}`);
+    return { ordinal: match[1] ? parseInt(match[1], 10) : null, weekday: DAY_CODES.indexOf(match[2]) };
+  });
+
+  return {
+    freq: parts.FREQ,
+    interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until: parts.UNTIL ? parseDateValue({ params: {}, value: parts.UNTIL }, 'UTC')?.date : null,
+    byDay,
+    byMonthDay: parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',').map(Number) : [],
+    byMonth: parts.BYMONTH ? parts.BYMONTH.split(',').map(Number) : []
+  };
+}
+
+// Occurrences overlapping [rangeStart, rangeEnd), sorted by start
+export function expandEvents(events, rangeStart, rangeEnd) {
+  return events
+    .flatMap(event => expandEvent(event, rangeStart, rangeEnd))
+    .sort((a, b) => a.start - b.start);
+}
+
+function expandEvent(event, rangeStart, rangeEnd) {
+  const duration = event.end - event.start;
+  const overlaps = start => start < rangeEnd && start.getTime() + Math.max(duration, 1) > rangeStart;
+  const occurrence = start => ({
+    uid: event.uid,
+    summary: event.summary,
+    description: event.description,
+    location: event.location,
+    start,
+    end: new Date(start.getTime() + duration),
+    allDay: event.allDay,
+    recurring: Boolean(event.rrule)
+  });
+
+  if (!event.rrule) return overlaps(event.start) ? [occurrence(event.start)] : [];
+
+  let rule;
+  try {
+    rule = parseRRule(event.rrule);
+  } catch (error) {
+    // An unreadable rule still shows its first occurrence
+    return overlaps(event.start) ? [occurrence(event.start)] : [];
+  }
+
+  const excluded = new Set(event.exdates.map(date => date.getTime()));
+  const results = [];
+  let emitted = 0;
+
+  // Without COUNT nothing before the range matters, so skip straight to it
+  const skip = rule.count === null ? periodsBefore(event.start, rangeStart, rule) : 0;
+
+  for (const start of occurrenceStarts(event, rule, skip)) {
+    if (rule.until && start > rule.until) break;
+    if (rule.count !== null && emitted >= rule.count) break;
+    if (start >= rangeEnd) break;
+    emitted++;
+    if (!excluded.has(start.getTime()) && overlaps(start)) results.push(occurrence(start));
+  }
+
+  return results;
+}
+
+// Walks the rule period by period in the event's own timezone, so a
+// 09:00 weekly meeting stays at 09:00 across daylight-saving changes
+function* occurrenceStarts(event, rule, skip = 0) {
+  const timezone = event.timezone || 'UTC';
+  const first = utcToZonedTime(event.start, timezone);
+  const time = { hour: first.hour, minute: first.minute, second: first.second };
+
+  for (let period = skip; period < skip + MAX_RECURRENCE_PERIODS; period++) {
+    const days = candidateDays(first, rule, period * rule.interval)
+      .sort((a, b) => a.year - b.year || a.month - b.month || a.day - b.day);
+
+    for (const day of days) {
+      const start = zonedTimeToUtc({ ...day, ...time }, timezone);
+      if (start >= event.start) yield start;
+    }
+  }
+}
+
+// Whole periods that end before `rangeStart`, less one for safety
+function periodsBefore(start, rangeStart, rule) {
+  const days = (rangeStart - start) / DAY_MS;
+  if (days <= 0) return 0;
+
+  const units = { DAILY: days, WEEKLY: days / 7, MONTHLY: days / 31, YEARLY: days / 366 }[rule.freq];
+  return Math.max(0, Math.floor(units / rule.interval) - 1);
+}
+
+function candidateDays(first, rule, offset) {
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = addDays(first, offset);
+      return matchesFilters(day, rule) ? [day] : [];
+    }
+    case 'WEEKLY': {
+      // Weeks start on Monday (RFC 5545's default WKST)
+      const monday = addDays(first, offset * 7 - ((weekday(first) + 6) % 7));
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map(d => d.weekday) : [weekday(first)];
+      return weekdays.map(wd => addDays(monday, (wd + 6) % 7)).filter(day => matchesFilters(day, { ...rule, byDay: [] }));
+    }
+    case 'MONTHLY': {
+      const monthIndex = first.month - 1 + offset;
+      const year = first.year + Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      if (rule.byMonth.length > 0 && !rule.byMonth.includes(month)) return [];
+      return daysInMonthFor(year, month, first, rule);
+    }
+    case 'YEARLY': {
+      const year = first.year + offset;
+      const months = rule.byMonth.length > 0 ? rule.byMonth : [first.month];
+      return months.flatMap(month => daysInMonthFor(year, month, first, rule));
+    }
+    default:
+      return [];
+  }
+}
+
+function daysInMonthFor(year, month, first, rule) {
+  const length = daysInMonth(year, month);
+
+  if (rule.byMonthDay.length > 0) {
+    return rule.byMonthDay
+      .map(day => day < 0 ? length + day + 1 : day)
+      .filter(day => day >= 1 && day <= length)
+      .map(day => ({ year, month, day }));
+  }
+
+  if (rule.byDay.length > 0) {
+    return rule.byDay.flatMap(({ ordinal, weekday: wd }) => {
+      const matching = [];
+      for (let day = 1; day <= length; day++) {
+        if (weekday({ year, month, day }) === wd) matching.push({ year, month, day });
+      }
+      if (ordinal === null) return matching;
+      const picked = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+      return picked ? [picked] : [];
+    });
+  }
+
+  // Months without the start's day (e.g. the 31st) are skipped, per the RFC
+  return first.day <= length ? [{ year, month, day: first.day }] : [];
+}
+
+function matchesFilters(day, rule) {
+  if (rule.byMonth.length > 0 && !rule.byMonth.includes(day.month)) return false;
+  if (rule.byDay.length > 0 && !rule.byDay.some(d => d.weekday === weekday(day))) return false;
+  if (rule.byMonthDay.length > 0) {
+    const length = daysInMonth(day.year, day.month);
+    if (!rule.byMonthDay.some(d => (d < 0 ? length + d + 1 : d) === day.day)) return false;
+  }
+  return true;
+}
+
+function addDays({ year, month, day }, count) {
+  const date = new Date(Date.UTC(year, month - 1, day + count));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function weekday({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// TIME ZONES
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock fields in `timeZone` -> the UTC instant they name
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = 'UTC') {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (timeZone === 'UTC') return new Date(asUtc);
+
+  // Two passes settle the offset on either side of a DST change
+  let instant = asUtc - zoneOffset(asUtc, timeZone);
+  instant = asUtc - zoneOffset(instant, timeZone);
+  return new Date(instant);
+}
+
+export function utcToZonedTime(date, timeZone = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+
+  const get = type => Number(parts.find(part => part.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+function zoneOffset(instant, timeZone) {
+  const local = utcToZonedTime(new Date(instant), timeZone);
+  return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - instant;
+}
+
+// SERIALISATION
+
+export function serializeCalendar(events, { name = 'AI Brain', reminderMinutes = null } = {}) {
+  const stamp = formatUtc(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//AI Brain//Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  events.forEach(event => {
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+    lines.push(...formatDateProperty('DTSTART', event.start, event));
+    lines.push(...formatDateProperty('DTEND', event.end, event));
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+    (event.exdates || []).forEach(date => lines.push(...formatDateProperty('EXDATE', date, event)));
+    if (reminderMinutes) {
+      lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeText(event.summary)}`, `TRIGGER:-PT${reminderMinutes}M`, 'END:VALARM');
+    }
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+// Recurring events keep their TZID so expansion follows local time
+function formatDateProperty(name, date, event) {
+  if (event.allDay) {
+    const local = utcToZonedTime(date, event.timezone || 'UTC');
+    return [`${name};VALUE=DATE:${pad(local.year, 4)}${pad(local.month)}${pad(local.day)}`];
+  }
+  if (event.timezone && event.timezone !== 'UTC') {
+    const local = utcToZonedTime(date, event.timezone);
+    return [`${name};TZID=${event.timezone}:${pad(local.year, 4)}${pad(local.month)}${pad(local.day)}T${pad(local.hour)}${pad(local.minute)}${pad(local.second)}`];
+  }
+  return [`${name}:${formatUtc(date)}`];
+}
+
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 characters continue on the next line after a space
+function fold(line) {
+  if (line.length <= 75) return line;
+  const parts = [line.substring(0, 75)];
+  for (let i = 75; i < line.length; i += 74) parts.push(` ${line.substring(i, i + 74)}`);
+  return parts.join('\r\n');
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
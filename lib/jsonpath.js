@@ -0,0 +1,246 @@
+// lib/jsonpath.js - Small JSONPath evaluator for picking values out of API responses
+//
+// Supports the common subset:
+//   $.store.book[0].title      names and array indexes (negative counts from the end)
+//   $['odd key']["other"]      quoted names
+//   $.items[*].id, $.items.*   wildcards
+//   $..price                   recursive descent
+//   $.items[0,2], $.a['x','y'] unions
+//   $.items[1:3], $.items[-2:] slices
+//   $.items[?(@.price < 10)]   filters: ==, !=, <, <=, >, >= against a JSON
+//                              literal or 'string', or just @.field for "has field"
+// A path without the leading $ is read from the root ("data.items[0]").
+// Returns every match in document order.
+
+// Recursive descent over large documents stops here
+const MAX_VISITED_NODES = 50000;
+
+export function queryJsonPath(data, path) {
+  const segments = parseJsonPath(path);
+  let nodes = [data];
+
+  for (const { descend, selector } of segments) {
+    const candidates = descend ? nodes.flatMap(node => descendants(node)) : nodes;
+    nodes = candidates.flatMap(node => select(node, selector));
+  }
+  return nodes;
+}
+
+export function parseJsonPath(path) {
+  let text = String(path ?? '').trim();
+  if (!text) throw jsonPathError('The JSONPath is empty');
+  if (!text.startsWith('$')) text = /^[.[]/.test(text) ? `$${text}` : `$.${text}`;
+
+  const segments = [];
+  let position = 1;
+
+  while (position < text.length) {
+    let descend = false;
+    if (text.startsWith('..', position)) {
+      descend = true;
+      position += 2;
+    } else if (text[position] === '.') {
+      position += 1;
+    } else if (text[position] !== '[') {
+      throw jsonPathError(`Unexpected "${text[position]}" at position ${position} of ${text}`);
+    }
+
+    if (text[position] === '[') {
+      const end = closingBracket(text, position);
+      segments.push({ descend, selector: parseBracket(text.substring(position + 1, end).trim(), text) });
+      position = end + 1;
+      continue;
+    }
+
+    const name = /^(\*|[^.[\]\s]+)/.exec(text.substring(position));
+    if (!name) throw jsonPathError(`Expected a name at position ${position} of ${text}`);
+    segments.push({ descend, selector: name[1] === '*' ? { type: 'wildcard' } : { type: 'name', name: name[1] } });
+    position += name[1].length;
+  }
+
+  return segments;
+}
+
+// PARSING
+
+function closingBracket(text, start) {
+  let depth = 0;
+  let quote = null;
+
+  for (let index = start; index < text.length; index++) {
+    const char = text[index];
+    if (quote) {
+      if (char === '\\') index++;
+      else if (char === quote) quote = null;
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']' && --depth === 0) {
+      return index;
+    }
+  }
+  throw jsonPathError(`Unclosed [ in ${text}`);
+}
+
+function parseBracket(inner, text) {
+  if (inner === '*') return { type: 'wildcard' };
+
+  if (inner.startsWith('?')) {
+    const filter = /^\?\s*\((.*)\)$/s.exec(inner);
+    if (!filter) throw jsonPathError(`Filters look like [?(@.field == value)] in ${text}`);
+    return parseFilter(filter[1].trim(), text);
+  }
+
+  if (/^-?\d*\s*:\s*-?\d*(\s*:\s*\d*)?$/.test(inner)) {
+    const [start, end, step] = inner.split(':').map(part => (part.trim() === '' ? undefined : parseInt(part, 10)));
+    if (step !== undefined && step < 1) throw jsonPathError(`Slice steps must be positive in ${text}`);
+    return { type: 'slice', start, end, step: step || 1 };
+  }
+
+  const items = splitOutsideQuotes(inner, ',').map(item => parseBracketItem(item.trim(), text));
+  return items.length === 1 ? items[0] : { type: 'union', items };
+}
+
+function parseBracketItem(item, text) {
+  if (/^-?\d+$/.test(item)) return { type: 'index', index: parseInt(item, 10) };
+  const quoted = /^(['"])(.*)\1$/s.exec(item);
+  if (quoted) return { type: 'name', name: quoted[2].replace(/\\(.)/g, '$1') };
+  throw jsonPathError(`Cannot read [${item}] in ${text}; quote names, e.g. ['${item}']`);
+}
+
+function parseFilter(expression, text) {
+  const match = /^@((?:\.[^\s.[\]=!<>]+|\[[^\]]+\])*)\s*(?:(==|!=|<=|>=|<|>)\s*(.+))?$/s.exec(expression);
+  if (!match) throw jsonPathError(`Cannot read the filter ${expression} in ${text}`);
+
+  const [, fieldPath, operator, literal] = match;
+  const field = fieldPath ? parseJsonPath(`$${fieldPath}`) : [];
+  if (field.some(segment => segment.descend || !['name', 'index'].includes(segment.selector.type))) {
+    throw jsonPathError(`Filters compare plain fields, e.g. @.price or @['a b'], in ${text}`);
+  }
+
+  return {
+    type: 'filter',
+    field: field.map(segment => segment.selector),
+    operator: operator || null,
+    value: operator ? parseLiteral(literal.trim(), text) : undefined
+  };
+}
+
+function parseLiteral(literal, text) {
+  const quoted = /^'(.*)'$/s.exec(literal);
+  if (quoted) return quoted[1].replace(/\\(.)/g, '$1');
+  try {
+    return JSON.parse(literal);
+  } catch (error) {
+    throw jsonPathError(`Cannot read the value ${literal} in ${text}; quote strings`);
+  }
+}
+
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quote) {
+      if (char === '\\') current += text[index++];
+      else if (char === quote) quote = null;
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === separator) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+}
+
+// EVALUATION
+
+function select(node, selector) {
+  if (node === null || typeof node !== 'object') return [];
+
+  switch (selector.type) {
+    case 'name':
+      return !Array.isArray(node) && Object.hasOwn(node, selector.name) ? [node[selector.name]] : [];
+    case 'index': {
+      if (!Array.isArray(node)) return [];
+      const index = selector.index < 0 ? node.length + selector.index : selector.index;
+      return index >= 0 && index < node.length ? [node[index]] : [];
+    }
+    case 'wildcard':
+      return Array.isArray(node) ? node : Object.values(node);
+    case 'union':
+      return selector.items.flatMap(item => select(node, item));
+    case 'slice':
+      return Array.isArray(node) ? sliceArray(node, selector) : [];
+    case 'filter':
+      return (Array.isArray(node) ? node : Object.values(node)).filter(item => matchesFilter(item, selector));
+    default:
+      return [];
+  }
+}
+
+function sliceArray(array, { start, end, step }) {
+  const bound = (value, fallback) => {
+    if (value === undefined) return fallback;
+    return value < 0 ? Math.max(0, array.length + value) : Math.min(value, array.length);
+  };
+  const from = bound(start, 0);
+  const to = bound(end, array.length);
+
+  const picked = [];
+  for (let index = from; index < to; index += step) picked.push(array[index]);
+  return picked;
+}
+
+function matchesFilter(item, { field, operator, value }) {
+  let current = [item];
+  for (const selector of field) current = current.flatMap(node => select(node, selector));
+  if (current.length === 0) return false;
+
+  const actual = current[0];
+  switch (operator) {
+    case null: return actual !== undefined && actual !== null;
+    case '==': return actual === value;
+    case '!=': return actual !== value;
+    case '<': return comparable(actual, value) && actual < value;
+    case '<=': return comparable(actual, value) && actual <= value;
+    case '>': return comparable(actual, value) && actual > value;
+    case '>=': return comparable(actual, value) && actual >= value;
+    default: return false;
+  }
+}
+
+function comparable(a, b) {
+  return (typeof a === 'number' && typeof b === 'number') || (typeof a === 'string' && typeof b === 'string');
+}
+
+// The node and everything below it, parents before children
+function descendants(node) {
+  const found = [];
+  const stack = [node];
+
+  while (stack.length > 0 && found.length < MAX_VISITED_NODES) {
+    const current = stack.pop();
+    found.push(current);
+    if (current !== null && typeof current === 'object') {
+      const children = Array.isArray(current) ? current : Object.values(current);
+      for (let index = children.length - 1; index >= 0; index--) stack.push(children[index]);
+    }
+  }
+  return found;
+}
+
+// Bad expressions come from the caller
+export function jsonPathError(message) {
+  const error = new Error(message);
+  error.code = 'invalid_params';
+  error.details = { errors: [message] };
+  return error;
+}
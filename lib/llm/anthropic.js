@@ -0,0 +1,157 @@
+// lib/llm/anthropic.js - Adapter for the Anthropic Messages API
+import { readEventStream } from '../sse.js';
+import { parseToolArguments } from './tool-calls.js';
+import { fetchWithTimeout, llmTimeoutMs } from './timeout.js';
+
+export function createAnthropicProvider({
+  baseUrl = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
+  apiKey = process.env.ANTHROPIC_API_KEY,
+  defaultModel = 'claude-3-5-sonnet-latest',
+  timeoutMs = llmTimeoutMs('ANTHROPIC')
+} = {}) {
+  async function request(body, signal) {
+    const response = await fetchWithTimeout('anthropic', `${baseUrl}/messages`, {
+      method: 'POST',
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    }, { timeoutMs, signal });
+
+    if (!response.ok) {
+      throw new Error(`anthropic request failed with status ${response.status}`);
+    }
+
+    return response;
+  }
+
+  // Anthropic takes the system prompt separately and only user/assistant turns
+  function buildBody({ model, messages, temperature, maxTokens, tools }) {
+    const system = messages
+      .filter(m => m.role === 'system')
+      .map(m => m.content)
+      .join('\n\n');
+
+    const body = {
+      model,
+      system: system || undefined,
+      messages: toAnthropicMessages(messages.filter(m => m.role !== 'system')),
+      max_tokens: maxTokens,
+      temperature,
+    };
+
+    if (tools?.length) {
+      body.tools = tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }));
+    }
+
+    return body;
+  }
+
+  return {
+    name: 'anthropic',
+    defaultModel,
+    supportsTools: true,
+
+    async complete(params) {
+      const response = await request(buildBody(params), params.signal);
+      const data = await response.json();
+      const blocks = data.content || [];
+
+      return {
+        content: blocks
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        toolCalls: blocks
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+        model: data.model,
+        usage: {
+          inputTokens: data.usage?.input_tokens,
+          outputTokens: data.usage?.output_tokens
+        }
+      };
+    },
+
+    async stream(params, onToken) {
+      const response = await request({ ...buildBody(params), stream: true }, params.signal);
+
+      let content = '';
+      let model = params.model;
+      // tool_use blocks stream their input as partial JSON, keyed by block index
+      const toolBlocks = {};
+
+      for await (const { event, data } of readEventStream(response)) {
+        if (event === 'message_start' && data?.message?.model) model = data.message.model;
+        if (event === 'message_stop') break;
+
+        if (event === 'content_block_start' && data?.content_block?.type === 'tool_use') {
+          toolBlocks[data.index] = { id: data.content_block.id, name: data.content_block.name, json: '' };
+        }
+
+        if (event === 'content_block_delta') {
+          if (data?.delta?.type === 'input_json_delta' && toolBlocks[data.index]) {
+            toolBlocks[data.index].json += data.delta.partial_json || '';
+          }
+
+          const token = data?.delta?.text;
+          if (token) {
+            content += token;
+            onToken(token);
+          }
+        }
+      }
+
+      return {
+        content,
+        toolCalls: Object.values(toolBlocks).map(block => ({
+          id: block.id,
+          name: block.name,
+          arguments: parseToolArguments(block.json)
+        })),
+        model,
+        usage: {}
+      };
+    }
+  };
+}
+
+// Tool calls become tool_use blocks; consecutive tool results are grouped
+// into one user turn of tool_result blocks, as the API requires
+function toAnthropicMessages(messages) {
+  const converted = [];
+
+  messages.forEach(message => {
+    if (message.role === 'tool') {
+      const block = { type: 'tool_result', tool_use_id: message.toolCallId, content: message.content };
+      const last = converted[converted.length - 1];
+      if (last?.role === 'user' && Array.isArray(last.content) && last.content.every(b => b.type === 'tool_result')) {
+        last.content.push(block);
+      } else {
+        converted.push({ role: 'user', content: [block] });
+      }
+      return;
+    }
+
+    if (message.role === 'assistant' && message.toolCalls?.length) {
+      converted.push({
+        role: 'assistant',
+        content: [
+          ...(message.content ? [{ type: 'text', text: message.content }] : []),
+          ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} }))
+        ]
+      });
+      return;
+    }
+
+    converted.push({ role: message.role === 'assistant' ? 'assistant' : 'user', content: message.content });
+  });
+
+  return converted;
+}
@@ -0,0 +1,98 @@
+// lib/llm/index.js - LLM provider registry and per-user provider selection
+import { createOpenAIProvider } from './openai.js';
+import { createAnthropicProvider } from './anthropic.js';
+import { createOllamaProvider } from './ollama.js';
+import { createMockProvider } from './mock.js';
+import { llmTimeoutMs } from './timeout.js';
+
+const providers = {
+  openai: () => createOpenAIProvider(),
+  // llama.cpp's server speaks the OpenAI chat completions protocol
+  llamacpp: () => createOpenAIProvider({
+    name: 'llamacpp',
+    baseUrl: process.env.LLAMACPP_BASE_URL || 'http://localhost:8080/v1',
+    apiKey: process.env.LLAMACPP_API_KEY,
+    defaultModel: 'local',
+    timeoutMs: llmTimeoutMs('LLAMACPP')
+  }),
+  anthropic: () => createAnthropicProvider(),
+  ollama: () => createOllamaProvider(),
+  mock: () => createMockProvider()
+};
+
+const DEFAULT_TEMPERATURE = 0.7;
+const DEFAULT_MAX_TOKENS = 500;
+
+export function registerLLMProvider(name, factory) {
+  providers[name] = factory;
+}
+
+export function listLLMProviders() {
+  return Object.keys(providers);
+}
+
+export function getLLMProvider(name) {
+  const factory = providers[name];
+  if (!factory) throw new Error(`Unknown LLM provider: ${name}`);
+  return factory();
+}
+
+// Picks provider/model/sampling settings for a request. Later sources win:
+// environment defaults < user_preferences < the model record being used.
+// Endpoints and API keys only ever come from the environment so a user
+// setting can't redirect our credentials to another host.
+export function resolveLLMSettings({ preferences = null, model = null } = {}) {
+  const userLLM = preferences?.preferences?.llm || {};
+  const modelConfig = model?.model_config || {};
+
+  const provider = modelConfig.provider || userLLM.provider || process.env.LLM_PROVIDER || defaultProvider();
+  if (!provider || !providers[provider]) return null;
+
+  return {
+    provider,
+    model: modelConfig.base_model || userLLM.model || process.env.LLM_MODEL || null,
+    temperature: firstNumber(modelConfig.temperature, userLLM.temperature, DEFAULT_TEMPERATURE),
+    maxTokens: firstNumber(modelConfig.max_tokens, userLLM.max_tokens, preferences?.max_response_length, DEFAULT_MAX_TOKENS)
+  };
+}
+
+// Runs one chat completion. With `onToken` the provider streams and the
+// callback receives each text delta as it arrives. `tools` are offered as
+// function definitions when the provider supports them; any calls the model
+// makes come back as `toolCalls` (see tool-calls.js for the shapes).
+// `signal` aborts the request early; each provider also gives up after its
+// own timeout (see timeout.js), so a hung endpoint reaches the callers'
+// fallbacks before the function's time runs out.
+export async function generateChat(settings, { messages, tools = null, signal = null }, onToken = null) {
+  const provider = getLLMProvider(settings.provider);
+  const request = {
+    model: settings.model || provider.defaultModel,
+    messages,
+    temperature: settings.temperature,
+    maxTokens: settings.maxTokens,
+    signal
+  };
+  if (tools?.length && provider.supportsTools) request.tools = tools;
+
+  const result = onToken
+    ? await provider.stream(request, onToken)
+    : await provider.complete(request);
+
+  return { toolCalls: [], ...result, provider: provider.name, model: result.model || request.model };
+}
+
+export function supportsTools(settings) {
+  if (!settings || !providers[settings.provider]) return false;
+  return Boolean(getLLMProvider(settings.provider).supportsTools);
+}
+
+function defaultProvider() {
+  if (process.env.OPENAI_API_KEY) return 'openai';
+  if (process.env.ANTHROPIC_API_KEY) return 'anthropic';
+  return null;
+}
+
+function firstNumber(...values) {
+  const found = values.find(value => value !== undefined && value !== null && Number.isFinite(Number(value)));
+  return found === undefined ? undefined : Number(found);
+}
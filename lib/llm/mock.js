@@ -0,0 +1,56 @@
+// lib/llm/mock.js - Deterministic provider for tests and offline development
+import { chunkText } from '../sse.js';
+
+export function createMockProvider({ defaultModel = 'mock-1' } = {}) {
+  function respond({ model, messages, tools = [] }) {
+    const lastUserIndex = messages.map(m => m.role).lastIndexOf('user');
+    const lastUser = messages[lastUserIndex];
+    const toolResults = messages.slice(lastUserIndex + 1).filter(m => m.role === 'tool');
+
+    // Calls a tool when the user names it, e.g. "use memory_search for ...",
+    // once per user turn; then answers from the results
+    const named = tools.find(tool => (lastUser?.content || '').toLowerCase().includes(tool.name));
+    if (named && toolResults.length === 0) {
+      return {
+        content: '',
+        toolCalls: [{ id: 'mock_call_1', name: named.name, arguments: { query: lastUser.content } }],
+        model,
+        usage: { inputTokens: countTokens(messages), outputTokens: 0 }
+      };
+    }
+
+    const content = toolResults.length > 0
+      ? `[${model}] Tool results: ${toolResults.map(m => `${m.name}: ${m.content.substring(0, 100)}`).join('; ')}`
+      : `[${model}] You said: ${lastUser?.content || ''}`;
+
+    return {
+      content,
+      toolCalls: [],
+      model,
+      usage: {
+        inputTokens: countTokens(messages),
+        outputTokens: chunkText(content).length
+      }
+    };
+  }
+
+  return {
+    name: 'mock',
+    defaultModel,
+    supportsTools: true,
+
+    async complete(params) {
+      return respond(params);
+    },
+
+    async stream(params, onToken) {
+      const result = respond(params);
+      chunkText(result.content).forEach(token => onToken(token));
+      return result;
+    }
+  };
+}
+
+function countTokens(messages) {
+  return messages.reduce((sum, m) => sum + chunkText(m.content || '').length, 0);
+}
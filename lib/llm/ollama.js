@@ -0,0 +1,117 @@
+// lib/llm/ollama.js - Adapter for a local Ollama server (/api/chat)
+import { parseToolArguments, toFunctionTools } from './tool-calls.js';
+import { fetchWithTimeout, llmTimeoutMs } from './timeout.js';
+
+export function createOllamaProvider({
+  baseUrl = process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+  defaultModel = 'llama3.1',
+  timeoutMs = llmTimeoutMs('OLLAMA')
+} = {}) {
+  async function request(body, signal) {
+    const response = await fetchWithTimeout('ollama', `${baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    }, { timeoutMs, signal });
+
+    if (!response.ok) {
+      throw new Error(`ollama request failed with status ${response.status}`);
+    }
+
+    return response;
+  }
+
+  function buildBody({ model, messages, temperature, maxTokens, tools }, stream) {
+    const body = {
+      model,
+      messages: messages.map(toOllamaMessage),
+      stream,
+      options: {
+        temperature,
+        num_predict: maxTokens
+      }
+    };
+    if (tools?.length) body.tools = toFunctionTools(tools);
+    return body;
+  }
+
+  return {
+    name: 'ollama',
+    defaultModel,
+    supportsTools: true,
+
+    async complete(params) {
+      const response = await request(buildBody(params, false), params.signal);
+      const data = await response.json();
+
+      return {
+        content: data.message?.content || '',
+        toolCalls: fromOllamaToolCalls(data.message?.tool_calls),
+        model: data.model,
+        usage: {
+          inputTokens: data.prompt_eval_count,
+          outputTokens: data.eval_count
+        }
+      };
+    },
+
+    // Ollama streams newline-delimited JSON rather than SSE
+    async stream(params, onToken) {
+      const response = await request(buildBody(params, true), params.signal);
+      const decoder = new TextDecoder();
+
+      let buffer = '';
+      let content = '';
+      let model = params.model;
+      const toolCalls = [];
+
+      const handleLine = line => {
+        if (!line.trim()) return;
+        const data = JSON.parse(line);
+        if (data.model) model = data.model;
+        // Ollama sends tool calls whole, in a single chunk
+        toolCalls.push(...fromOllamaToolCalls(data.message?.tool_calls, toolCalls.length));
+        const token = data.message?.content;
+        if (token) {
+          content += token;
+          onToken(token);
+        }
+      };
+
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      }
+      handleLine(buffer);
+
+      return { content, toolCalls, model, usage: {} };
+    }
+  };
+}
+
+// Ollama's tool calls carry no ids, so we number them
+function fromOllamaToolCalls(calls = [], offset = 0) {
+  return (calls || []).map((call, index) => ({
+    id: `call_${offset + index}`,
+    name: call.function?.name,
+    arguments: parseToolArguments(call.function?.arguments)
+  }));
+}
+
+function toOllamaMessage(message) {
+  if (message.role === 'tool') {
+    return { role: 'tool', content: message.content };
+  }
+
+  if (message.role === 'assistant' && message.toolCalls?.length) {
+    return {
+      role: 'assistant',
+      content: message.content || '',
+      tool_calls: message.toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments || {} } }))
+    };
+  }
+
+  return { role: message.role, content: message.content };
+}
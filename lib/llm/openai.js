@@ -0,0 +1,125 @@
+// lib/llm/openai.js - Adapter for OpenAI and OpenAI-compatible chat completion APIs
+import { readEventStream } from '../sse.js';
+import { parseToolArguments, toFunctionTools } from './tool-calls.js';
+import { fetchWithTimeout, llmTimeoutMs } from './timeout.js';
+
+export function createOpenAIProvider({
+  name = 'openai',
+  baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  apiKey = process.env.OPENAI_API_KEY,
+  defaultModel = 'gpt-4',
+  timeoutMs = llmTimeoutMs('OPENAI')
+} = {}) {
+  async function request(body, signal) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+    const response = await fetchWithTimeout(name, `${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+    }, { timeoutMs, signal });
+
+    if (!response.ok) {
+      throw new Error(`${name} request failed with status ${response.status}`);
+    }
+
+    return response;
+  }
+
+  function buildBody({ model, messages, temperature, maxTokens, tools }) {
+    const body = {
+      model,
+      messages: messages.map(toOpenAIMessage),
+      max_tokens: maxTokens,
+      temperature,
+    };
+    if (tools?.length) body.tools = toFunctionTools(tools);
+    return body;
+  }
+
+  return {
+    name,
+    defaultModel,
+    supportsTools: true,
+
+    async complete(params) {
+      const response = await request(buildBody(params), params.signal);
+      const data = await response.json();
+      const message = data.choices[0].message;
+
+      return {
+        content: message.content || '',
+        toolCalls: (message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function.name,
+          arguments: parseToolArguments(call.function.arguments)
+        })),
+        model: data.model,
+        usage: {
+          inputTokens: data.usage?.prompt_tokens,
+          outputTokens: data.usage?.completion_tokens
+        }
+      };
+    },
+
+    async stream(params, onToken) {
+      const response = await request({ ...buildBody(params), stream: true }, params.signal);
+
+      let content = '';
+      let model = params.model;
+      // Tool call fragments arrive keyed by index and are stitched together
+      const partialCalls = [];
+
+      for await (const { data } of readEventStream(response)) {
+        if (data === '[DONE]') break;
+        if (data?.model) model = data.model;
+
+        const delta = data?.choices?.[0]?.delta;
+        (delta?.tool_calls || []).forEach(fragment => {
+          const call = partialCalls[fragment.index] || (partialCalls[fragment.index] = { id: null, name: '', arguments: '' });
+          if (fragment.id) call.id = fragment.id;
+          if (fragment.function?.name) call.name += fragment.function.name;
+          if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+        });
+
+        const token = delta?.content;
+        if (token) {
+          content += token;
+          onToken(token);
+        }
+      }
+
+      return {
+        content,
+        toolCalls: partialCalls.filter(Boolean).map(call => ({
+          id: call.id,
+          name: call.name,
+          arguments: parseToolArguments(call.arguments)
+        })),
+        model,
+        usage: {}
+      };
+    }
+  };
+}
+
+function toOpenAIMessage(message) {
+  if (message.role === 'tool') {
+    return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+  }
+
+  if (message.role === 'assistant' && message.toolCalls?.length) {
+    return {
+      role: 'assistant',
+      content: message.content || null,
+      tool_calls: message.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+      }))
+    };
+  }
+
+  return { role: message.role, content: message.content };
+}
@@ -0,0 +1,22 @@
+// lib/llm/timeout.js - Time limits for provider requests
+//
+// Each provider reads <PROVIDER>_TIMEOUT_MS (e.g. OPENAI_TIMEOUT_MS), then
+// LLM_TIMEOUT_MS, then the default, which stays under the 30s the API
+// functions get on Vercel. The limit covers the whole request, streamed
+// body included.
+const DEFAULT_TIMEOUT_MS = 20000;
+
+export function llmTimeoutMs(prefix, env = process.env) {
+  return parseInt(env[`${prefix}_TIMEOUT_MS`], 10) || parseInt(env.LLM_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+}
+
+// fetch that aborts after timeoutMs or when the caller's signal fires
+export async function fetchWithTimeout(name, url, options, { timeoutMs, signal = null }) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: signal ? AbortSignal.any([timeout, signal]) : timeout });
+  } catch (error) {
+    if (timeout.aborted) throw new Error(`${name} request timed out after ${timeoutMs}ms`);
+    throw error;
+  }
+}
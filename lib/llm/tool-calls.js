@@ -0,0 +1,31 @@
+// lib/llm/tool-calls.js - Shared helpers for provider tool/function calling
+//
+// Provider-neutral shapes used across adapters:
+//   request:   tools: [{ name, description, parameters }]
+//   assistant: { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }
+//   result:    { role: 'tool', toolCallId, name, content }
+// Adapters translate these to and from their wire formats.
+
+export function parseToolArguments(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// OpenAI-style tools/messages, shared by the OpenAI and Ollama adapters
+export function toFunctionTools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }
+  }));
+}
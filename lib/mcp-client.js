@@ -0,0 +1,316 @@
+// lib/mcp-client.js - Minimal MCP client: lists and calls tools on remote (HTTP) or local (stdio) servers
+//
+// Every operation opens its own session (initialize, initialized, the
+// request, close), which suits serverless handlers that keep no state
+// between requests. HTTP servers are spoken to with the streamable HTTP
+// transport; replies may come back as JSON or as an event stream.
+// Local commands only run when MCP_STDIO_COMMANDS lists their full command
+// line; they run with this server's privileges, so only list commands on
+// deployments where every user is trusted (self-hosted, single team).
+// Users can only pass the environment variables MCP_STDIO_ENV names.
+import { spawn } from 'child_process';
+import { guardedFetch } from './net-guard.js';
+
+// Newest first; the first is what we ask for
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const CLIENT_INFO = { name: 'ai-brain', version: '1.0.0' };
+
+const MAX_TOOL_PAGES = 10;
+const MAX_STDIO_LINE_CHARS = 4 * 1024 * 1024;
+
+// Command lines local MCP servers may be started with, e.g.
+// "npx -y @modelcontextprotocol/server-memory,uvx mcp-server-time". A
+// trailing * accepts any further arguments ("uvx *"); use it only where
+// the command can't be made to run arbitrary code.
+export function allowedStdioCommands(env = process.env) {
+  return (env.MCP_STDIO_COMMANDS || '').split(',').map(command => command.trim()).filter(Boolean);
+}
+
+export function isStdioCommandAllowed(command, args = [], env = process.env) {
+  return allowedStdioCommands(env).some(entry => {
+    const [executable, ...allowedArgs] = entry.split(/\s+/);
+    if (executable !== command) return false;
+    if (allowedArgs[allowedArgs.length - 1] === '*') {
+      const fixed = allowedArgs.slice(0, -1);
+      return fixed.every((arg, index) => args[index] === arg);
+    }
+    return allowedArgs.length === args.length && allowedArgs.every((arg, index) => args[index] === arg);
+  });
+}
+
+// Variables users may give a local server, e.g. "GITHUB_TOKEN,SLACK_BOT_TOKEN".
+// Anything else is refused: names like HOME, BASH_ENV, PYTHONPATH or
+// npm_config_* would let a user change what an allowed command runs.
+export function allowedStdioEnv(env = process.env) {
+  return (env.MCP_STDIO_ENV || '').split(',').map(name => name.trim()).filter(Boolean);
+}
+
+// Names in a local server's env that MCP_STDIO_ENV doesn't allow
+export function refusedStdioEnv(userEnv = {}, env = process.env) {
+  const allowed = allowedStdioEnv(env);
+  return Object.keys(userEnv || {}).filter(name => !allowed.includes(name));
+}
+
+// server: { transport, url, command, args }; credentials: { headers, bearer_token, env }
+export async function discoverMcpTools(server, credentials = {}, { signal } = {}) {
+  return withSession(server, credentials, signal, async session => {
+    const tools = [];
+    let cursor;
+    for (let page = 0; page < MAX_TOOL_PAGES; page++) {
+      const result = await session.request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(result?.tools || []));
+      cursor = result?.nextCursor;
+      if (!cursor) break;
+    }
+
+    return tools
+      .filter(tool => typeof tool?.name === 'string')
+      .map(tool => ({
+        name: tool.name,
+        title: tool.title || tool.annotations?.title || null,
+        description: tool.description || '',
+        inputSchema: tool.inputSchema || { type: 'object', properties: {} },
+        annotations: tool.annotations || {}
+      }));
+  });
+}
+
+// Returns the server's CallToolResult: { content, structuredContent, isError }
+export async function callMcpTool(server, credentials, name, args = {}, { signal } = {}) {
+  return withSession(server, credentials, signal, session => session.request('tools/call', { name, arguments: args }));
+}
+
+async function withSession(server, credentials, signal, task) {
+  const session = server.transport === 'stdio'
+    ? openStdioSession(server, credentials, signal)
+    : openHttpSession(server, credentials, signal);
+
+  try {
+    const initialized = await session.request('initialize', {
+      protocolVersion: PROTOCOL_VERSIONS[0],
+      capabilities: {},
+      clientInfo: CLIENT_INFO
+    });
+    if (!PROTOCOL_VERSIONS.includes(initialized?.protocolVersion)) {
+      throw mcpClientError('mcp_unsupported', `The server speaks MCP ${initialized?.protocolVersion}, which is not supported`);
+    }
+    session.protocolVersion = initialized.protocolVersion;
+    await session.notify('notifications/initialized');
+
+    return await task(session);
+  } finally {
+    await session.close();
+  }
+}
+
+// STREAMABLE HTTP
+
+function openHttpSession(server, credentials = {}, signal) {
+  if (!/^https?:\/\//i.test(server.url || '')) {
+    throw mcpClientError('invalid_params', 'MCP servers over HTTP need an http(s) url', { errors: ['configuration.url must be an http(s) URL'] });
+  }
+
+  let sessionId = null;
+  let nextId = 1;
+  const session = { protocolVersion: null };
+
+  const headers = () => ({
+    ...(credentials.headers || {}),
+    ...(credentials.bearer_token ? { Authorization: `Bearer ${credentials.bearer_token}` } : {}),
+    ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {}),
+    ...(session.protocolVersion ? { 'MCP-Protocol-Version': session.protocolVersion } : {})
+  });
+
+  const post = async message => {
+    const response = await guardedFetch(server.url, {
+      method: 'POST',
+      headers: { ...headers(), 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: JSON.stringify(message),
+      redirect: 'error',
+      signal,
+      label: 'The MCP server URL'
+    });
+
+    sessionId = response.headers.get('mcp-session-id') || sessionId;
+
+    if (message.id === undefined) {
+      await response.body?.cancel();
+      if (!response.ok) throw mcpClientError('mcp_unavailable', `The MCP server answered ${response.status}`);
+      return null;
+    }
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw mcpClientError('mcp_unavailable', `The MCP server answered ${response.status}`);
+    }
+
+    const type = response.headers.get('content-type') || '';
+    const reply = type.includes('text/event-stream')
+      ? await readEventStreamReply(response, message.id)
+      : findReply(await response.json(), message.id);
+    return unwrapReply(reply);
+  };
+
+  return Object.assign(session, {
+    request: (method, params) => post({ jsonrpc: '2.0', id: nextId++, method, params }),
+    notify: (method, params) => post({ jsonrpc: '2.0', method, ...(params ? { params } : {}) }),
+    // Ending the session is a courtesy; servers expire idle ones anyway
+    close: async () => {
+      if (!sessionId) return;
+      try {
+        const response = await guardedFetch(server.url, { method: 'DELETE', headers: headers(), redirect: 'error', signal: AbortSignal.timeout(2000) });
+        await response.body?.cancel();
+      } catch (error) {
+        // ignored
+      }
+    }
+  });
+}
+
+// Reads server-sent events until the reply to `id` arrives; requests and
+// notifications the server interleaves are skipped
+async function readEventStreamReply(response, id) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n?/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+      const event = buffer.substring(0, boundary);
+      buffer = buffer.substring(boundary + 2);
+
+      const data = event.split('\n').filter(line => line.startsWith('data:')).map(line => line.substring(5).replace(/^ /, '')).join('\n');
+      if (!data) continue;
+
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        continue;
+      }
+      const reply = findReply(message, id);
+      if (reply) {
+        await response.body.cancel().catch(() => {});
+        return reply;
+      }
+    }
+  }
+
+  throw mcpClientError('mcp_unavailable', 'The MCP server closed the stream without replying');
+}
+
+// STDIO
+
+function openStdioSession(server, credentials = {}, signal) {
+  const allowed = allowedStdioCommands();
+  if (!server.command || !isStdioCommandAllowed(server.command, server.args || [])) {
+    throw mcpClientError('invalid_params', 'Local MCP servers are not enabled for this command on this deployment', {
+      errors: [allowed.length > 0 ? `configuration.command and args must match one of: ${allowed.join(', ')}` : 'MCP_STDIO_COMMANDS is not set']
+    });
+  }
+
+  // The user's variables MCP_STDIO_ENV allows, then what the server needs
+  // to start, which the user can't override
+  const allowedEnv = allowedStdioEnv();
+  const userEnv = Object.fromEntries(Object.entries(credentials.env || {}).filter(([name]) => allowedEnv.includes(name)));
+  const child = spawn(server.command, server.args || [], {
+    env: { ...userEnv, PATH: process.env.PATH, HOME: process.env.HOME },
+    stdio: ['pipe', 'pipe', 'ignore']
+  });
+
+  const waiting = new Map();
+  let nextId = 1;
+  let buffer = '';
+  let failure = null;
+
+  const failAll = error => {
+    failure = failure || error;
+    waiting.forEach(({ reject }) => reject(failure));
+    waiting.clear();
+  };
+
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', chunk => {
+    buffer += chunk;
+    if (buffer.length > MAX_STDIO_LINE_CHARS) {
+      failAll(mcpClientError('mcp_unavailable', 'The MCP server sent an oversized message'));
+      child.kill();
+      return;
+    }
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.substring(0, newline).trim();
+      buffer = buffer.substring(newline + 1);
+      if (!line) continue;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+      const pending = waiting.get(message?.id);
+      if (pending && (message.result !== undefined || message.error)) {
+        waiting.delete(message.id);
+        pending.resolve(message);
+      }
+    }
+  });
+
+  child.on('error', error => failAll(mcpClientError('mcp_unavailable', `Could not start ${server.command}: ${error.message}`)));
+  child.on('exit', code => failAll(mcpClientError('mcp_unavailable', `The MCP server exited (code ${code})`)));
+  child.stdin.on('error', () => {});
+
+  const abort = () => {
+    failAll(mcpClientError('mcp_unavailable', 'The MCP call was cancelled'));
+    child.kill();
+  };
+  signal?.addEventListener('abort', abort);
+
+  const write = message => child.stdin.write(`${JSON.stringify(message)}\n`);
+
+  return {
+    protocolVersion: null,
+    request: (method, params) => {
+      if (failure) return Promise.reject(failure);
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        waiting.set(id, { resolve, reject });
+        write({ jsonrpc: '2.0', id, method, params });
+      }).then(unwrapReply);
+    },
+    notify: async (method, params) => {
+      if (failure) throw failure;
+      write({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+    },
+    close: async () => {
+      signal?.removeEventListener('abort', abort);
+      child.stdin.end();
+      child.kill();
+    }
+  };
+}
+
+// JSON-RPC
+
+function findReply(message, id) {
+  const candidates = Array.isArray(message) ? message : [message];
+  return candidates.find(entry => entry && entry.id === id && (entry.result !== undefined || entry.error)) || null;
+}
+
+function unwrapReply(reply) {
+  if (!reply) throw mcpClientError('mcp_unavailable', 'The MCP server sent no reply');
+  if (reply.error) {
+    throw mcpClientError('mcp_error', `MCP error ${reply.error.code}: ${reply.error.message}`, { rpcCode: reply.error.code });
+  }
+  return reply.result;
+}
+
+export function mcpClientError(code, message, details = null) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
@@ -0,0 +1,308 @@
+// lib/mcp.js - Model Context Protocol server for the brain's memory, training data and tools
+//
+// Transport-independent: handleMcpMessage takes a parsed JSON-RPC message (or
+// batch) and returns the reply, or null when there is nothing to send back.
+// api/ai/brain.js serves it over streamable HTTP and scripts/mcp-stdio.mjs
+// over stdio. Every call runs as the authenticated user.
+import { searchRankedMemories } from './memory-ranking.js';
+import { withoutEmbedding, storeMemory, searchTrainingData } from './memory-search.js';
+import { getEnabledTools, findUserTool, executeTool, AGENT_PERMISSIONS } from './tools/index.js';
+import { validateParams } from './tools/validate.js';
+
+export const MCP_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+export const MCP_SERVER_INFO = { name: 'ai-brain', title: 'AI Brain', version: '1.0.0' };
+
+const RPC_ERRORS = {
+  parseError: -32700,
+  invalidRequest: -32600,
+  methodNotFound: -32601,
+  invalidParams: -32602,
+  internalError: -32603
+};
+
+const RESOURCE_PAGE_SIZE = 50;
+const MEMORY_TYPES = ['episodic', 'semantic', 'procedural', 'conversation', 'fact', 'event'];
+
+// Served directly rather than through the tool registry; registry tools with
+// the same name are left out of tools/list
+const BRAIN_TOOLS = [
+  {
+    name: 'memory_search',
+    title: 'Search memories',
+    description: 'Search the user\'s brain memories (facts, preferences, past conversations), best matches first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to look for; omit to list the most important memories' },
+        category: { type: 'string', description: 'Only this memory category' },
+        limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 },
+        min_importance: { type: 'number', minimum: 0, maximum: 1, default: 0.3 }
+      }
+    },
+    annotations: { readOnlyHint: true },
+    async call({ query, category, limit, min_importance }, { supabase, userId }) {
+      const memories = await searchRankedMemories(supabase, userId, query, {
+        limit,
+        minImportance: min_importance,
+        category
+      });
+      return { memories: memories.map(withoutEmbedding), total: memories.length };
+    }
+  },
+  {
+    name: 'memory_create',
+    title: 'Store a memory',
+    description: 'Store something worth remembering about the user so every connected client can recall it later.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        content: { type: 'string', description: 'The memory itself', minLength: 1, maxLength: 10000 },
+        summary: { type: 'string', description: 'One-line summary', maxLength: 500 },
+        type: { type: 'string', enum: MEMORY_TYPES, default: 'fact' },
+        importance: { type: 'number', minimum: 0, maximum: 1, default: 0.5 },
+        category: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['content']
+    },
+    async call(params, { supabase, userId }) {
+      return { memory: await storeMemory(supabase, userId, params) };
+    }
+  },
+  {
+    name: 'training_search',
+    title: 'Search training data',
+    description: 'Look up the user\'s curated question/answer training examples by text or category.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Text to match in the input, output or category' },
+        category: { type: 'string' },
+        limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 }
+      }
+    },
+    annotations: { readOnlyHint: true },
+    async call(params, { supabase, userId }) {
+      const examples = (await searchTrainingData(supabase, userId, params)).map(describeTrainingExample);
+      return { examples, total: examples.length };
+    }
+  }
+];
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'brain://memories/{id}',
+    name: 'memory',
+    title: 'Brain memory',
+    description: 'A stored memory with its summary, category and tags',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'brain://training/{id}',
+    name: 'training-example',
+    title: 'Training example',
+    description: 'A question/answer pair from the user\'s training data',
+    mimeType: 'application/json'
+  }
+];
+
+const METHODS = {
+  initialize: async params => ({
+    protocolVersion: MCP_PROTOCOL_VERSIONS.includes(params?.protocolVersion) ? params.protocolVersion : MCP_PROTOCOL_VERSIONS[0],
+    capabilities: {
+      tools: { listChanged: false },
+      resources: { subscribe: false, listChanged: false }
+    },
+    serverInfo: MCP_SERVER_INFO,
+    instructions: 'Tools and resources from the user\'s AI brain. Search memories before asking the user ' +
+      'something they may have said before, and store lasting facts with memory_create.'
+  }),
+
+  ping: async () => ({}),
+
+  'tools/list': async (params, session) => ({ tools: (await listMcpTools(session)).map(({ call, ...tool }) => tool) }),
+
+  'tools/call': async (params, session) => callMcpTool(params?.name, params?.arguments || {}, session),
+
+  'resources/list': async (params, session) => listResources(params?.cursor, session),
+
+  'resources/templates/list': async () => ({ resourceTemplates: RESOURCE_TEMPLATES }),
+
+  'resources/read': async (params, session) => readResource(params?.uri, session)
+};
+
+// session: { supabase, userId }
+export async function handleMcpMessage(message, session) {
+  if (Array.isArray(message)) {
+    if (message.length === 0) return rpcError(null, RPC_ERRORS.invalidRequest, 'Empty batch');
+    const replies = (await Promise.all(message.map(entry => handleOne(entry, session)))).filter(Boolean);
+    return replies.length > 0 ? replies : null;
+  }
+  return handleOne(message, session);
+}
+
+// For transports that read raw text
+export function parseMcpMessage(text) {
+  try {
+    return { message: JSON.parse(text) };
+  } catch (error) {
+    return { error: rpcError(null, RPC_ERRORS.parseError, 'Parse error') };
+  }
+}
+
+async function handleOne(message, session) {
+  if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+    return rpcError(message?.id ?? null, RPC_ERRORS.invalidRequest, 'Expected a JSON-RPC 2.0 message');
+  }
+
+  // Responses to our requests and notifications need no reply; this server
+  // sends no requests of its own
+  if (!message.method) return null;
+  const isNotification = message.id === undefined;
+  if (isNotification) return null;
+
+  const method = Object.hasOwn(METHODS, message.method) ? METHODS[message.method] : null;
+  if (!method) return rpcError(message.id, RPC_ERRORS.methodNotFound, `Method not found: ${message.method}`);
+
+  try {
+    return { jsonrpc: '2.0', id: message.id, result: await method(message.params, session) };
+  } catch (error) {
+    if (error.rpcCode) return rpcError(message.id, error.rpcCode, error.message, error.data);
+    console.error(`MCP ${message.method} failed:`, error);
+    return rpcError(message.id, RPC_ERRORS.internalError, 'Internal error');
+  }
+}
+
+// The brain's own tools plus the registry tools the user has enabled
+async function listMcpTools(session) {
+  const { tools, userTools } = await getEnabledTools(session.supabase, session.userId);
+  const taken = new Set(BRAIN_TOOLS.map(tool => tool.name));
+
+  return [
+    ...BRAIN_TOOLS,
+    ...tools
+      // Tools proxied from the user's own MCP servers aren't passed on
+      .filter(tool => !taken.has(tool.name) && !tool.remote)
+      .map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        inputSchema: tool.parameters,
+        call: (params, { supabase, userId }) => executeTool(tool.name, params, {
+          supabase,
+          userId,
+          actionType: 'mcp',
+          permissions: AGENT_PERMISSIONS,
+          userTools,
+          toolConfig: findUserTool(tool, userTools)
+        }).then(({ result }) => result)
+      }))
+  ];
+}
+
+// Tool failures are results with isError set, so the calling model sees
+// them; only an unknown tool is a protocol error
+async function callMcpTool(name, args, session) {
+  const tool = (await listMcpTools(session)).find(entry => entry.name === name);
+  if (!tool) throw rpcFailure(RPC_ERRORS.invalidParams, `Unknown tool: ${name}`);
+
+  try {
+    let params = args;
+    if (BRAIN_TOOLS.includes(tool)) {
+      const validated = validateParams(tool.inputSchema, args);
+      if (validated.errors.length > 0) {
+        return toolFailure(`Invalid arguments: ${validated.errors.join('; ')}`);
+      }
+      params = validated.value;
+    }
+
+    const result = await tool.call(params, session);
+    const text = result?.confirmation
+      ? `${JSON.stringify(result, null, 2)}\n\nThis action is waiting for the user to confirm it in the brain app.`
+      : JSON.stringify(result, null, 2);
+
+    return {
+      content: [{ type: 'text', text }],
+      structuredContent: result && typeof result === 'object' && !Array.isArray(result) ? result : { result },
+      isError: false
+    };
+  } catch (error) {
+    const details = error.details?.errors ? `: ${error.details.errors.join('; ')}` : '';
+    return toolFailure(`${error.message}${details}`);
+  }
+}
+
+async function listResources(cursor, { supabase, userId }) {
+  const offset = Math.max(0, parseInt(cursor, 10) || 0);
+
+  const { data, error } = await supabase
+    .from('brain_memories')
+    .select('id, type, summary, category, importance, updated_at')
+    .eq('user_id', userId)
+    .order('importance', { ascending: false })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + RESOURCE_PAGE_SIZE - 1);
+
+  if (error) throw error;
+
+  const resources = (data || []).map(memory => ({
+    uri: `brain://memories/${memory.id}`,
+    name: `memory-${memory.id}`,
+    title: memory.summary?.substring(0, 80) || `${memory.type} memory`,
+    description: [memory.type, memory.category].filter(Boolean).join(', '),
+    mimeType: 'application/json',
+    annotations: { priority: memory.importance ?? 0.5, lastModified: memory.updated_at }
+  }));
+
+  return {
+    resources,
+    ...(resources.length === RESOURCE_PAGE_SIZE ? { nextCursor: String(offset + RESOURCE_PAGE_SIZE) } : {})
+  };
+}
+
+async function readResource(uri, { supabase, userId }) {
+  const match = /^brain:\/\/(memories|training)\/([^/?#]+)$/.exec(uri || '');
+  if (!match) throw rpcFailure(RPC_ERRORS.invalidParams, `Unknown resource: ${uri}`);
+  const [, kind, id] = match;
+
+  const { data, error } = await supabase
+    .from(kind === 'memories' ? 'brain_memories' : 'training_data')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error && error.code !== '22P02') throw error;
+  // -32002 is the protocol's "resource not found"
+  if (!data) throw rpcFailure(-32002, 'Resource not found', { uri });
+
+  const body = kind === 'memories' ? withoutEmbedding(data) : describeTrainingExample(data);
+  return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(body, null, 2) }] };
+}
+
+function describeTrainingExample(row) {
+  return {
+    id: row.id,
+    uri: `brain://training/${row.id}`,
+    input: row.input,
+    output: row.output,
+    category: row.category,
+    quality_score: row.quality_score,
+    tags: row.tags || [],
+    created_at: row.created_at
+  };
+}
+
+function toolFailure(message) {
+  return { content: [{ type: 'text', text: message }], isError: true };
+}
+
+function rpcError(id, code, message, data) {
+  return { jsonrpc: '2.0', id, error: { code, message, ...(data !== undefined ? { data } : {}) } };
+}
+
+function rpcFailure(code, message, data) {
+  const error = new Error(message);
+  error.rpcCode = code;
+  error.data = data;
+  return error;
+}
@@ -0,0 +1,503 @@
+// lib/memory-consolidation.js - Distils clusters of episodic memories into lasting semantic/fact memories
+//
+// chat.js stores one episodic memory per confident turn ("User asked: ...
+// and I responded: ..."), so related exchanges pile up as near-duplicates.
+// A consolidation run, per user:
+//   1. loads episodic memories older than minAgeHours that no earlier run
+//      consolidated or set aside,
+//   2. clusters them within each category by embedding similarity (word
+//      overlap when two memories have no comparable vectors),
+//   3. distils every cluster of at least minClusterSize into up to three
+//      semantic/fact memories, with the LLM when one is configured and the
+//      extractive summariser otherwise,
+//   4. links each new memory to its sources in context_connections
+//      (connection_type 'consolidated_from') and demotes the sources: their
+//      importance is lowered, and with sourceAction 'expire' they also get
+//      an expires_at and are deleted by a later run. A cluster distilling
+//      finds nothing lasting in is marked consolidation_skipped_at so it
+//      isn't distilled again on every run.
+// A cluster is written all or nothing: when a step fails, what it already
+// wrote is undone, so a retry doesn't create the memories twice.
+// With dryRun nothing is written; the result lists the proposed merges.
+import { generateChat } from './llm/index.js';
+import { cosineSimilarity, parseEmbedding, tokenize } from './embeddings.js';
+import { buildMemoryEmbedding } from './memory-search.js';
+import { summarizeExtractive } from './summarizer.js';
+
+export const CONSOLIDATION_DEFAULTS = {
+  similarity: parseFloat(process.env.MEMORY_CONSOLIDATION_SIMILARITY) || 0.6,
+  minClusterSize: 3,
+  maxEpisodes: 500,
+  minAgeHours: 24,
+  sourceAction: 'demote',
+  retentionDays: parseInt(process.env.MEMORY_EPISODE_RETENTION_DAYS, 10) || 30
+};
+
+export const SOURCE_ACTIONS = ['demote', 'expire'];
+
+// Jaccard overlap is much lower than cosine for the same pair; this is the
+// threshold used when vectors can't be compared
+const LEXICAL_SIMILARITY = 0.3;
+const MAX_CLUSTER_SIZE = 20;
+const MAX_DISTILLED_PER_CLUSTER = 3;
+// Sources keep this share of their importance
+const DEMOTION_FACTOR = 0.4;
+const MAX_EPISODE_CHARS = 600;
+
+// options: { dryRun, llmSettings, similarity, minClusterSize, maxEpisodes,
+// minAgeHours, sourceAction, retentionDays }
+export async function consolidateMemories(supabase, userId, options = {}) {
+  const settings = { ...CONSOLIDATION_DEFAULTS, ...definedOnly(options) };
+  if (!SOURCE_ACTIONS.includes(settings.sourceAction)) {
+    throw consolidationError(`sourceAction must be one of: ${SOURCE_ACTIONS.join(', ')}`);
+  }
+
+  const dryRun = Boolean(options.dryRun);
+  const purged = await purgeExpiredEpisodes(supabase, userId, { dryRun });
+  const episodes = await loadEpisodes(supabase, userId, settings);
+  const clusters = clusterEpisodes(episodes, settings);
+
+  const results = [];
+  for (const cluster of clusters) {
+    const distilled = await distilCluster(cluster, options.llmSettings);
+    const proposal = describeCluster(cluster, distilled);
+
+    if (!dryRun) {
+      try {
+        if (distilled.memories.length > 0) {
+          proposal.created = await applyCluster(supabase, userId, cluster, distilled, settings);
+        } else {
+          await markSkipped(supabase, userId, cluster);
+        }
+      } catch (error) {
+        console.error(`Consolidating ${cluster.members.length} memories failed:`, error);
+        proposal.error = error.message;
+      }
+    }
+    results.push(proposal);
+  }
+
+  const applied = results.filter(result => result.created);
+  return {
+    dryRun,
+    scanned: episodes.length,
+    clusters: results,
+    created: applied.reduce((sum, result) => sum + result.created.length, 0),
+    consolidatedSources: applied.reduce((sum, result) => sum + result.sources.length, 0),
+    sourceAction: settings.sourceAction,
+    purged
+  };
+}
+
+// LOADING
+
+async function loadEpisodes(supabase, userId, { maxEpisodes, minAgeHours }) {
+  const before = new Date(Date.now() - minAgeHours * 60 * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('brain_memories')
+    .select('id, type, content, summary, importance, category, tags, embedding, metadata, source_id, source_type, expires_at, created_at')
+    .eq('user_id', userId)
+    .eq('type', 'episodic')
+    .is('metadata->>consolidated_into', null)
+    .is('metadata->>consolidation_skipped_at', null)
+    .lte('created_at', before)
+    .order('created_at', { ascending: false })
+    .limit(maxEpisodes);
+
+  if (error) throw error;
+
+  return (data || []).reverse().map(memory => {
+    const { question, answer } = splitExchange(memory.content);
+    return {
+      ...memory,
+      question,
+      answer,
+      vector: parseEmbedding(memory.embedding),
+      terms: new Set(tokenize(question || memory.content))
+    };
+  });
+}
+
+// Sources an earlier run marked to expire; their links go with them
+async function purgeExpiredEpisodes(supabase, userId, { dryRun }) {
+  const { data, error } = await supabase
+    .from('brain_memories')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('type', 'episodic')
+    .not('metadata->>consolidated_into', 'is', null)
+    .lte('expires_at', new Date().toISOString())
+    .limit(1000);
+
+  if (error) throw error;
+  const ids = (data || []).map(row => row.id);
+  if (dryRun || ids.length === 0) return ids.length;
+
+  const { error: linkError } = await supabase
+    .from('context_connections')
+    .delete()
+    .eq('user_id', userId)
+    .in('target_id', ids);
+  if (linkError) console.error('Failed to remove links to expired memories:', linkError);
+
+  const { error: deleteError } = await supabase
+    .from('brain_memories')
+    .delete()
+    .eq('user_id', userId)
+    .in('id', ids);
+  if (deleteError) throw deleteError;
+
+  return ids.length;
+}
+
+// "User asked: "..." and I responded: "..."" -> its two halves
+function splitExchange(content = '') {
+  const match = /^User asked: "([\s\S]*)" and I responded: "([\s\S]*)"$/.exec(content.trim());
+  return match ? { question: match[1], answer: match[2] } : { question: null, answer: null };
+}
+
+// CLUSTERING
+
+// Greedy clustering within each category, oldest first: an episode joins
+// the cluster it is most alike on average, provided it is alike enough to
+// every member. Returns clusters of at least minClusterSize:
+// { category, members, similarity (the average similarity of the joins) }.
+export function clusterEpisodes(episodes, { similarity = CONSOLIDATION_DEFAULTS.similarity, minClusterSize = CONSOLIDATION_DEFAULTS.minClusterSize } = {}) {
+  const byCategory = new Map();
+  episodes.forEach(episode => {
+    const key = episode.category || null;
+    if (!byCategory.has(key)) byCategory.set(key, []);
+    byCategory.get(key).push(episode);
+  });
+
+  const clusters = [];
+  byCategory.forEach((members, category) => {
+    const groups = [];
+
+    members.forEach(episode => {
+      let best = null;
+      let bestScore = 0;
+
+      groups.filter(group => group.members.length < MAX_CLUSTER_SIZE).forEach(group => {
+        const scores = group.members.map(member => relatedness(episode, member));
+        if (scores.some(score => !score.related)) return;
+
+        const average = scores.reduce((sum, score) => sum + score.relative, 0) / scores.length;
+        if (average > bestScore) {
+          best = { group, similarity: scores.reduce((sum, score) => sum + score.similarity, 0) / scores.length };
+          bestScore = average;
+        }
+      });
+
+      if (best) {
+        best.group.scores.push(best.similarity);
+        best.group.members.push(episode);
+      } else {
+        groups.push({ category, members: [episode], scores: [] });
+      }
+    });
+
+    groups
+      .filter(group => group.members.length >= minClusterSize)
+      .forEach(group => clusters.push({
+        category,
+        members: group.members,
+        similarity: round(group.scores.reduce((sum, score) => sum + score, 0) / group.scores.length)
+      }));
+  });
+
+  return clusters;
+
+  // Cosine and word overlap have different thresholds, so scores are also
+  // given relative to theirs (1 = just alike enough)
+  function relatedness(a, b) {
+    const comparable = a.vector && b.vector && a.vector.length === b.vector.length &&
+      a.metadata?.embedding_model === b.metadata?.embedding_model;
+    const score = comparable ? cosineSimilarity(a.vector, b.vector) : jaccard(a.terms, b.terms);
+    const relative = score / (comparable ? similarity : LEXICAL_SIMILARITY);
+    return { similarity: score, relative, related: relative >= 1 };
+  }
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(term => { if (b.has(term)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+// DISTILLING
+
+// Returns { method, memories: [{ type, summary, content, importance, tags }] }
+async function distilCluster(cluster, llmSettings) {
+  if (llmSettings) {
+    try {
+      return await distilWithLLM(cluster, llmSettings);
+    } catch (error) {
+      console.error('LLM consolidation failed, using extractive summary:', error.message);
+    }
+  }
+  return distilExtractive(cluster);
+}
+
+async function distilWithLLM(cluster, llmSettings) {
+  const episodes = cluster.members.map((member, index) =>
+    `${index + 1}. (${member.created_at?.substring(0, 10) || 'undated'}) ${clip(member.content, MAX_EPISODE_CHARS)}`).join('\n');
+
+  const prompt = `Below are ${cluster.members.length} related memories of past exchanges with the user${cluster.category ? ` about ${cluster.category}` : ''}.
+Distil what they say that will stay useful: the user's lasting interests, preferences, facts about them or their work, and answers they keep needing.
+Reply with JSON only, no prose, in this shape:
+{"memories": [{"type": "fact" | "semantic", "summary": "<one line>", "content": "<1-3 sentences, written about the user>", "importance": <0.0-1.0>, "tags": ["<lowercase tag>", ...]}]}
+
+Use "fact" for a specific fact about the user and "semantic" for general knowledge or a recurring topic. Give at most ${MAX_DISTILLED_PER_CLUSTER} memories, and an empty list if nothing is worth keeping.
+
+MEMORIES:
+${episodes}`;
+
+  const generation = await generateChat(
+    { ...llmSettings, temperature: 0.2, maxTokens: 600 },
+    { messages: [{ role: 'user', content: prompt }] }
+  );
+
+  const parsed = parseJSONObject(generation.content);
+  if (!parsed || !Array.isArray(parsed.memories)) {
+    throw new Error('consolidation response was not valid JSON');
+  }
+
+  const fallbackImportance = distilledImportance(cluster);
+  return {
+    method: 'llm',
+    memories: parsed.memories
+      .filter(memory => typeof memory?.content === 'string' && memory.content.trim())
+      .slice(0, MAX_DISTILLED_PER_CLUSTER)
+      .map(memory => ({
+        type: memory.type === 'fact' ? 'fact' : 'semantic',
+        summary: clip(String(memory.summary || memory.content).trim(), 200),
+        content: memory.content.trim(),
+        importance: clampImportance(Number(memory.importance), fallbackImportance),
+        tags: normalizeTags(memory.tags, cluster.category)
+      }))
+  };
+}
+
+// Offline: topic tags from the extractive summariser, a few of the
+// questions and the latest answer
+function distilExtractive(cluster) {
+  const messages = cluster.members.flatMap(member => member.question
+    ? [{ type: 'user', content: member.question }, { type: 'assistant', content: member.answer }]
+    : [{ type: 'user', content: member.content }]);
+  const { topic_tags: topicTags } = summarizeExtractive(messages);
+
+  const dates = cluster.members.map(member => member.created_at?.substring(0, 10)).filter(Boolean).sort();
+  const when = dates.length === 0 ? ''
+    : dates[0] === dates[dates.length - 1] ? ` on ${dates[0]}` : ` between ${dates[0]} and ${dates[dates.length - 1]}`;
+  const examples = cluster.members
+    .slice(-3)
+    .map(member => `"${clip(member.question || member.summary || member.content, 120)}"`)
+    .join('; ');
+  const latestAnswer = [...cluster.members].reverse().find(member => member.answer)?.answer;
+  const topic = topicTags.slice(0, 3).join(', ') || cluster.category || 'one topic';
+
+  return {
+    method: 'extractive',
+    memories: [{
+      type: 'semantic',
+      summary: `Recurring topic: ${topic}`,
+      content: `The user asked about ${topic} ${cluster.members.length} times${when}, for example ${examples}.` +
+        (latestAnswer ? ` The latest answer was: "${clip(latestAnswer, 300)}"` : ''),
+      importance: distilledImportance(cluster),
+      tags: normalizeTags(topicTags, cluster.category)
+    }]
+  };
+}
+
+// A topic that keeps coming back matters more than any one exchange
+function distilledImportance(cluster) {
+  const highest = Math.max(...cluster.members.map(member => member.importance ?? 0.5));
+  return round(Math.min(0.9, highest + 0.05 * Math.log2(cluster.members.length)));
+}
+
+// WRITING
+
+async function applyCluster(supabase, userId, cluster, distilled, settings) {
+  const now = new Date();
+  const sourceIds = cluster.members.map(member => member.id);
+  const created = [];
+  const demoted = [];
+
+  try {
+    for (const memory of distilled.memories) {
+      const { embedding, embedding_model } = await buildMemoryEmbedding(memory.content, memory.summary);
+      const { data, error } = await supabase
+        .from('brain_memories')
+        .insert({
+          user_id: userId,
+          type: memory.type,
+          content: memory.content,
+          summary: memory.summary,
+          importance: memory.importance,
+          confidence: distilled.method === 'llm' ? 0.8 : 0.6,
+          category: cluster.category,
+          tags: memory.tags,
+          source_type: 'consolidation',
+          embedding,
+          metadata: { embedding_model, consolidated_from: sourceIds, consolidation_method: distilled.method },
+          created_at: now.toISOString()
+        })
+        .select('id, type, summary, importance')
+        .single();
+
+      if (error) throw error;
+      created.push(data);
+    }
+
+    const { error: linkError } = await supabase
+      .from('context_connections')
+      .insert(created.flatMap(memory => cluster.members.map(member => ({
+        user_id: userId,
+        source_id: memory.id,
+        target_id: member.id,
+        source_type: 'memory',
+        target_type: 'memory',
+        connection_type: 'consolidated_from',
+        strength: round(Math.min(1, cluster.similarity || 1)),
+        confidence: distilled.method === 'llm' ? 0.8 : 0.6,
+        metadata: { method: distilled.method }
+      }))));
+    if (linkError) throw linkError;
+
+    // Each source keeps its own metadata, so they are updated one by one
+    const expiresAt = settings.sourceAction === 'expire'
+      ? new Date(now.getTime() + settings.retentionDays * 24 * 60 * 60 * 1000).toISOString()
+      : undefined;
+
+    for (const member of cluster.members) {
+      const { error } = await supabase
+        .from('brain_memories')
+        .update({
+          importance: round(Math.min(member.importance ?? 0.5, (member.importance ?? 0.5) * DEMOTION_FACTOR)),
+          metadata: { ...(member.metadata || {}), consolidated_into: created[0].id, consolidated_at: now.toISOString() },
+          ...(expiresAt ? { expires_at: expiresAt } : {}),
+          updated_at: now.toISOString()
+        })
+        .eq('id', member.id)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+      demoted.push(member);
+    }
+  } catch (error) {
+    await rollbackCluster(supabase, userId, created, demoted);
+    throw error;
+  }
+
+  return created;
+}
+
+// Undoes a half-applied cluster: restores the sources already demoted and
+// deletes the new memories with their links. Failures here are only
+// logged; the original error is what the run reports.
+async function rollbackCluster(supabase, userId, created, demoted) {
+  for (const member of demoted) {
+    const { error } = await supabase
+      .from('brain_memories')
+      .update({ importance: member.importance, metadata: member.metadata, expires_at: member.expires_at ?? null })
+      .eq('id', member.id)
+      .eq('user_id', userId);
+    if (error) console.error(`Failed to restore memory ${member.id} after a failed consolidation:`, error);
+  }
+
+  if (created.length === 0) return;
+  const ids = created.map(memory => memory.id);
+
+  const { error: linkError } = await supabase
+    .from('context_connections')
+    .delete()
+    .eq('user_id', userId)
+    .in('source_id', ids);
+  if (linkError) console.error('Failed to remove links of a failed consolidation:', linkError);
+
+  const { error: deleteError } = await supabase
+    .from('brain_memories')
+    .delete()
+    .eq('user_id', userId)
+    .in('id', ids);
+  if (deleteError) console.error('Failed to remove memories of a failed consolidation:', deleteError);
+}
+
+// Sources of a cluster with nothing worth keeping are left as they are,
+// apart from a marker that keeps later runs from distilling them again
+async function markSkipped(supabase, userId, cluster) {
+  const now = new Date().toISOString();
+
+  for (const member of cluster.members) {
+    const { error } = await supabase
+      .from('brain_memories')
+      .update({ metadata: { ...(member.metadata || {}), consolidation_skipped_at: now } })
+      .eq('id', member.id)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  }
+}
+
+// What a run reports for a cluster; the same shape with and without dryRun
+function describeCluster(cluster, distilled) {
+  return {
+    category: cluster.category,
+    similarity: cluster.similarity,
+    method: distilled.method,
+    sources: cluster.members.map(member => ({
+      id: member.id,
+      summary: member.summary,
+      content: clip(member.content, 200),
+      importance: member.importance,
+      created_at: member.created_at
+    })),
+    proposed: distilled.memories,
+    ...(distilled.memories.length === 0 ? { skipped: 'Nothing lasting to keep' } : {})
+  };
+}
+
+// HELPERS
+
+function parseJSONObject(text) {
+  const match = (text || '').match(/\{[\s\S]*\}/);
+  if (!match) return null;
+
+  try {
+    return JSON.parse(match[0]);
+  } catch (error) {
+    return null;
+  }
+}
+
+function normalizeTags(tags, category) {
+  const list = Array.isArray(tags) ? tags : [];
+  return [...new Set([...list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean), 'consolidated', category].filter(Boolean))].slice(0, 8);
+}
+
+function clampImportance(value, fallback) {
+  return Number.isFinite(value) ? round(Math.min(1, Math.max(0, value))) : fallback;
+}
+
+function clip(text, length) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > length ? `${value.substring(0, length)}...` : value;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function definedOnly(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null));
+}
+
+// Bad options from the caller
+export function consolidationError(message) {
+  const error = new Error(message);
+  error.code = 'invalid_params';
+  return error;
+}
@@ -0,0 +1,260 @@
+// lib/memory-ranking.js - Hybrid memory ranking (lexical + vector + importance + recency + access)
+import { embedText, tokenize, cosineSimilarity, parseEmbedding } from './embeddings.js';
+import { semanticMemorySearch } from './memory-search.js';
+
+export const DEFAULT_RANKING_WEIGHTS = {
+  lexical: 0.3,
+  vector: 0.35,
+  importance: 0.15,
+  recency: 0.1,
+  access: 0.1
+};
+
+const DEFAULT_RECENCY_HALF_LIFE_DAYS = 30;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Merges brain_profile.retrieval_settings over the defaults, ignoring junk values
+export function resolveRankingSettings(retrievalSettings = {}) {
+  const weights = { ...DEFAULT_RANKING_WEIGHTS };
+  const overrides = retrievalSettings?.ranking_weights || {};
+
+  Object.keys(weights).forEach(key => {
+    const value = Number(overrides[key]);
+    if (overrides[key] !== undefined && Number.isFinite(value) && value >= 0) {
+      weights[key] = value;
+    }
+  });
+
+  const halfLife = Number(retrievalSettings?.recency_half_life_days);
+
+  return {
+    weights,
+    recencyHalfLifeDays: Number.isFinite(halfLife) && halfLife > 0 ? halfLife : DEFAULT_RECENCY_HALF_LIFE_DAYS
+  };
+}
+
+// Layers per-request overrides (e.g. an active model's retrieval config) on
+// top of already resolved settings
+export function applyRankingOverrides(settings, overrides = {}) {
+  if (!overrides.ranking_weights && overrides.recency_half_life_days === undefined) return settings;
+
+  return resolveRankingSettings({
+    ranking_weights: { ...settings.weights, ...(overrides.ranking_weights || {}) },
+    recency_half_life_days: overrides.recency_half_life_days ?? settings.recencyHalfLifeDays
+  });
+}
+
+export async function getRankingSettings(supabase, userId) {
+  const { data: profile } = await supabase
+    .from('brain_profile')
+    .select('retrieval_settings')
+    .eq('user_id', userId)
+    .single();
+
+  return resolveRankingSettings(profile?.retrieval_settings);
+}
+
+// Ranks candidate memories and attaches a per-component breakdown to each one.
+// Candidates may come from brain_memories or be training_data mapped into the
+// same shape; components a candidate has no signal for are left out and the
+// remaining weights are renormalised, so they are not penalised for it.
+export function rankMemories(query, candidates, options = {}) {
+  const {
+    queryEmbedding = null,
+    embeddingModel = null,
+    weights = DEFAULT_RANKING_WEIGHTS,
+    recencyHalfLifeDays = DEFAULT_RECENCY_HALF_LIFE_DAYS,
+    now = Date.now(),
+    limit = candidates.length
+  } = options;
+
+  const queryTerms = query ? tokenize(query) : [];
+  const lexicalScores = bm25Scores(queryTerms, candidates.map(documentText));
+  const maxLexical = Math.max(0, ...lexicalScores);
+
+  const ranked = candidates.map((memory, index) => {
+    const components = {
+      lexical: queryTerms.length > 0 ? (maxLexical > 0 ? lexicalScores[index] / maxLexical : 0) : null,
+      vector: vectorScore(memory, queryEmbedding, embeddingModel),
+      importance: clamp(memory.importance ?? 0.5),
+      recency: recencyScore(memory, now, recencyHalfLifeDays),
+      access: 1 - Math.exp(-(memory.access_count || 0) / 5)
+    };
+
+    const activeWeight = Object.keys(components)
+      .filter(key => components[key] !== null)
+      .reduce((sum, key) => sum + (weights[key] || 0), 0);
+
+    const breakdown = {};
+    let score = 0;
+    Object.keys(components).forEach(key => {
+      const value = components[key];
+      const weight = value === null || activeWeight === 0 ? 0 : (weights[key] || 0) / activeWeight;
+      const contribution = value === null ? 0 : value * weight;
+      breakdown[key] = {
+        value: value === null ? null : round(value),
+        weight: round(weight),
+        contribution: round(contribution)
+      };
+      score += contribution;
+    });
+
+    return { ...memory, score: round(score), score_breakdown: breakdown };
+  });
+
+  return ranked
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// Candidate retrieval + ranking in one call, using the user's configured weights
+export async function searchRankedMemories(supabase, userId, query, options = {}) {
+  const { limit = 10, minImportance = 0, category = null, minScore = 0, rankingOverrides = {} } = options;
+
+  const settings = applyRankingOverrides(await getRankingSettings(supabase, userId), rankingOverrides);
+  const queryEmbedding = query ? await embedQuery(query) : null;
+  const candidates = await retrieveMemoryCandidates(supabase, userId, query, {
+    minImportance,
+    category,
+    queryEmbedding
+  });
+
+  return rankMemories(query, candidates, {
+    ...settings,
+    queryEmbedding: queryEmbedding?.embedding,
+    embeddingModel: queryEmbedding?.model
+  })
+    .filter(memory => memory.score >= minScore)
+    .slice(0, limit);
+}
+
+export async function embedQuery(query) {
+  try {
+    return await embedText(query);
+  } catch (error) {
+    console.error('Query embedding failed:', error);
+    return null;
+  }
+}
+
+// Pulls a candidate pool from brain_memories: nearest neighbours by embedding
+// plus anything sharing a keyword with the query.
+export async function retrieveMemoryCandidates(supabase, userId, query, options = {}) {
+  const { minImportance = 0, category = null, poolSize = 50, queryEmbedding = null } = options;
+  const byId = new Map();
+
+  if (query) {
+    try {
+      const nearest = queryEmbedding ? await semanticMemorySearch(supabase, userId, query, {
+        limit: poolSize,
+        minImportance,
+        minSimilarity: 0,
+        category,
+        queryEmbedding
+      }) : [];
+      nearest.forEach(memory => byId.set(memory.id, memory));
+    } catch (error) {
+      console.error('Vector candidate search failed:', error);
+    }
+
+    const keywords = [...new Set(tokenize(query))].slice(0, 8);
+    if (keywords.length > 0) {
+      let keywordQuery = supabase
+        .from('brain_memories')
+        .select('*')
+        .eq('user_id', userId)
+        .gte('importance', minImportance)
+        .or(keywords.map(k => `content.ilike.%${k}%,summary.ilike.%${k}%`).join(','))
+        .limit(poolSize);
+
+      if (category) keywordQuery = keywordQuery.eq('category', category);
+
+      const { data: keywordMatches, error } = await keywordQuery;
+      if (error) throw error;
+      (keywordMatches || []).forEach(memory => {
+        if (!byId.has(memory.id)) byId.set(memory.id, memory);
+      });
+    }
+  } else {
+    let recentQuery = supabase
+      .from('brain_memories')
+      .select('*')
+      .eq('user_id', userId)
+      .gte('importance', minImportance)
+      .order('created_at', { ascending: false })
+      .limit(poolSize);
+
+    if (category) recentQuery = recentQuery.eq('category', category);
+
+    const { data: recent, error } = await recentQuery;
+    if (error) throw error;
+    (recent || []).forEach(memory => byId.set(memory.id, memory));
+  }
+
+  return [...byId.values()];
+}
+
+// HELPERS
+function documentText(memory) {
+  return [memory.summary, memory.content, memory.category, ...(memory.tags || [])]
+    .filter(Boolean)
+    .join(' ');
+}
+
+function bm25Scores(queryTerms, documents) {
+  if (queryTerms.length === 0 || documents.length === 0) {
+    return documents.map(() => 0);
+  }
+
+  const tokenized = documents.map(tokenize);
+  const avgLength = tokenized.reduce((sum, doc) => sum + doc.length, 0) / tokenized.length || 1;
+  const uniqueTerms = [...new Set(queryTerms)];
+
+  const documentFrequency = {};
+  uniqueTerms.forEach(term => {
+    documentFrequency[term] = tokenized.filter(doc => doc.includes(term)).length;
+  });
+
+  return tokenized.map(doc => {
+    const termCounts = {};
+    doc.forEach(token => { termCounts[token] = (termCounts[token] || 0) + 1; });
+
+    return uniqueTerms.reduce((score, term) => {
+      const tf = termCounts[term] || 0;
+      if (tf === 0) return score;
+      const df = documentFrequency[term];
+      const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+      const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (doc.length / avgLength));
+      return score + idf * ((tf * (BM25_K1 + 1)) / norm);
+    }, 0);
+  });
+}
+
+function vectorScore(memory, queryEmbedding, embeddingModel) {
+  if (typeof memory.similarity === 'number') return clamp(memory.similarity);
+
+  // Vectors from different embedding models are not comparable
+  const memoryModel = memory.metadata?.embedding_model;
+  if (embeddingModel && memoryModel && memoryModel !== embeddingModel) return null;
+
+  const embedding = parseEmbedding(memory.embedding);
+  if (!queryEmbedding || !embedding) return null;
+  return clamp(cosineSimilarity(queryEmbedding, embedding));
+}
+
+function recencyScore(memory, now, halfLifeDays) {
+  const timestamp = Date.parse(memory.created_at);
+  if (Number.isNaN(timestamp)) return null;
+
+  const ageDays = Math.max(0, now - timestamp) / (24 * 60 * 60 * 1000);
+  return Math.pow(0.5, ageDays / halfLifeDays);
+}
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,189 @@
+// lib/memory-search.js - Embedding-backed storage and search for brain_memories
+import { embedText, cosineSimilarity, parseEmbedding } from './embeddings.js';
+
+// Builds the embedding fields for a brain_memories insert. Embedding failures
+// must never block the memory from being stored, so they degrade to no vector.
+export async function buildMemoryEmbedding(content, summary) {
+  try {
+    const text = summary ? `${summary}\n${content}` : content;
+    const { embedding, model } = await embedText(text);
+    return { embedding, embedding_model: model };
+  } catch (error) {
+    console.error('Memory embedding failed:', error);
+    return { embedding: null, embedding_model: null };
+  }
+}
+
+export async function semanticMemorySearch(supabase, userId, query, options = {}) {
+  const {
+    limit = 10,
+    minImportance = 0,
+    minSimilarity = 0.1,
+    category = null,
+    candidateLimit = 200,
+    queryEmbedding = null
+  } = options;
+
+  const { embedding, model } = queryEmbedding || await embedText(query);
+
+  // Preferred path: pgvector does the ranking in the database
+  const { data: matches, error } = await supabase.rpc('match_brain_memories', {
+    query_embedding: embedding,
+    match_user_id: userId,
+    match_count: limit,
+    min_importance: minImportance,
+    embedding_model: model,
+    match_category: category
+  });
+
+  if (!error) {
+    return (matches || []).filter(m => m.similarity >= minSimilarity);
+  }
+
+  if (error.code !== 'PGRST202') throw error;
+
+  // RPC not installed yet: rank a bounded candidate set in memory
+  console.log('match_brain_memories not available, ranking embeddings locally');
+
+  let candidateQuery = supabase
+    .from('brain_memories')
+    .select('*')
+    .eq('user_id', userId)
+    .gte('importance', minImportance)
+    .not('embedding', 'is', null)
+    .eq('metadata->>embedding_model', model)
+    .order('importance', { ascending: false })
+    .limit(candidateLimit);
+
+  if (category) candidateQuery = candidateQuery.eq('category', category);
+
+  const { data: candidates, error: candidateError } = await candidateQuery;
+  if (candidateError) throw candidateError;
+
+  return (candidates || [])
+    .map(memory => ({
+      ...memory,
+      similarity: cosineSimilarity(embedding, parseEmbedding(memory.embedding))
+    }))
+    .filter(m => m.similarity >= minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+// Counts a recall of these memories. Uses the record_memory_access RPC when
+// it is installed, otherwise writes each row's count + 1 (a concurrent
+// recall can then be missed, which only nudges ranking).
+export async function recordMemoryAccess(supabase, userId, memories) {
+  if (memories.length === 0) return;
+
+  const { error } = await supabase.rpc('record_memory_access', {
+    memory_ids: memories.map(memory => memory.id),
+    accessing_user_id: userId
+  });
+  if (!error) return;
+  if (error.code !== 'PGRST202') throw error;
+
+  const lastAccessed = new Date().toISOString();
+  const results = await Promise.all(memories.map(memory => supabase
+    .from('brain_memories')
+    .update({ access_count: (memory.access_count || 0) + 1, last_accessed: lastAccessed })
+    .eq('id', memory.id)
+    .eq('user_id', userId)));
+
+  const failed = results.find(result => result.error);
+  if (failed) throw failed.error;
+}
+
+// Strip the raw vector before sending memories to clients
+export function withoutEmbedding(memory) {
+  const { embedding, ...rest } = memory;
+  return rest;
+}
+
+// Inserts a brain_memories row, falling back to training_data where the
+// memories table is missing. Returns the stored memory without its vector.
+export async function storeMemory(supabase, userId, { type = 'episodic', content, summary, importance = 0.5, category, tags = [] }) {
+  try {
+    const memorySummary = summary || content.substring(0, 200) + '...';
+    const { embedding, embedding_model } = await buildMemoryEmbedding(content, memorySummary);
+
+    const { data: memoryData, error } = await supabase
+      .from('brain_memories')
+      .insert({
+        user_id: userId,
+        type,
+        content,
+        summary: memorySummary,
+        importance,
+        category,
+        tags,
+        embedding,
+        metadata: { embedding_model },
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error && error.code === 'PGRST116') {
+      throw new Error('brain_memories table not found');
+    } else if (error) {
+      throw error;
+    }
+
+    return withoutEmbedding(memoryData);
+
+  } catch (fallbackError) {
+    // Fallback: Store as training data
+    const { data: trainingData, error: trainingError } = await supabase
+      .from('training_data')
+      .insert({
+        user_id: userId,
+        input: summary || content.substring(0, 200),
+        output: content,
+        category: category,
+        quality_score: Math.min(5.0, Math.max(1.0, importance * 5)),
+        tags: tags,
+        auto_generated: false,
+        used_in_training: false,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (trainingError) throw trainingError;
+    return trainingAsMemory(trainingData);
+  }
+}
+
+// Best-rated training_data rows, optionally matching a query and category
+export async function searchTrainingData(supabase, userId, { query, category, limit = 10 } = {}) {
+  let trainingQuery = supabase
+    .from('training_data')
+    .select('*')
+    .eq('user_id', userId)
+    .order('quality_score', { ascending: false })
+    .limit(limit);
+
+  // Commas and parentheses would break out of the or() filter
+  const term = String(query || '').replace(/[,()]/g, ' ').trim();
+  if (term) trainingQuery = trainingQuery.or(`input.ilike.%${term}%,output.ilike.%${term}%,category.ilike.%${term}%`);
+  if (category) trainingQuery = trainingQuery.eq('category', category);
+
+  const { data, error } = await trainingQuery;
+  if (error) throw error;
+  return data || [];
+}
+
+// A training_data row in the shape of a memory
+export function trainingAsMemory(item) {
+  return {
+    id: item.id,
+    type: 'training',
+    content: item.output,
+    summary: item.input,
+    importance: item.quality_score / 5.0,
+    category: item.category,
+    tags: item.tags || [],
+    created_at: item.created_at
+  };
+}
@@ -0,0 +1,154 @@
+// lib/messaging.js - Outbound messages to Slack-compatible incoming webhooks
+// and generic JSON webhooks
+//
+// Destinations live in the tool's credentials (webhook URLs embed their
+// secret): `webhook_url` for a single default, and/or `webhooks`, a map of
+// name -> URL or { url, format }. Formats:
+//   slack - { text, channel, username, icon_emoji } (Slack, Mattermost, Rocket.Chat, ...)
+//   json  - { text, title, channel, username, template, variables, sent_at }
+
+import { guardedFetch, assertPublicUrl } from './net-guard.js';
+
+export const MESSAGE_FORMATS = ['auto', 'slack', 'json'];
+export const MAX_MESSAGE_CHARS = 4000;
+
+// TEMPLATES
+
+// Fills {{name}} placeholders; {{name|fallback}} uses the fallback when the
+// variable is missing. Built-ins: date, time, datetime (UTC).
+// Returns { text, missing: [names without a value] }.
+export function renderTemplate(template, variables = {}, { escape = value => value, now = new Date() } = {}) {
+  const builtIns = {
+    date: now.toISOString().slice(0, 10),
+    time: now.toISOString().slice(11, 16),
+    datetime: now.toISOString().slice(0, 16).replace('T', ' ')
+  };
+  const missing = new Set();
+
+  const text = String(template).replace(/\{\{\s*([\w.-]+)\s*(?:\|([^}]*))?\}\}/g, (match, name, fallback) => {
+    const value = variables[name] ?? builtIns[name];
+    if (value !== undefined && value !== null) return escape(String(value));
+    if (fallback !== undefined) return escape(fallback.trim());
+    missing.add(name);
+    return match;
+  });
+
+  return { text, missing: [...missing] };
+}
+
+// Slack treats &, < and > as markup; variables are escaped so values can't
+// inject mentions or links, while the template itself may use them
+export function escapeSlackText(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// DESTINATIONS
+
+export function listDestinations(credentials = {}) {
+  const destinations = Object.entries(credentials?.webhooks || {}).map(([name, value]) => ({
+    name,
+    url: typeof value === 'string' ? value : value?.url,
+    format: typeof value === 'string' ? null : value?.format || null
+  }));
+
+  if (credentials?.webhook_url && !destinations.some(d => d.name === 'default')) {
+    destinations.unshift({ name: 'default', url: credentials.webhook_url, format: null });
+  }
+
+  return destinations.filter(destination => destination.url);
+}
+
+// name, then the configured default, then the first destination
+export function resolveDestination(credentials, settings = {}, name = null) {
+  const destinations = listDestinations(credentials);
+  if (destinations.length === 0) {
+    throw messagingError('No webhook is configured. Add webhook_url or webhooks to the tool\'s credentials.');
+  }
+
+  const wanted = name || settings.default_webhook;
+  const destination = wanted
+    ? destinations.find(d => d.name.toLowerCase() === String(wanted).toLowerCase())
+    : destinations[0];
+
+  if (!destination) {
+    throw messagingError(`No webhook named "${wanted}". Configured: ${destinations.map(d => d.name).join(', ')}`);
+  }
+
+  let url;
+  try {
+    url = new URL(destination.url);
+  } catch {
+    throw messagingError(`Webhook "${destination.name}" does not have a valid URL`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw messagingError(`Webhook "${destination.name}" must be an http(s) URL`);
+  }
+  // Addresses are checked again when the message is sent; this catches
+  // literal private IPs while drafting
+  try {
+    assertPublicUrl(url, { label: `Webhook "${destination.name}"` });
+  } catch (error) {
+    throw messagingError(error.message);
+  }
+
+  return { ...destination, format: resolveFormat(url, destination.format || settings.payload_format) };
+}
+
+function resolveFormat(url, format) {
+  if (format && format !== 'auto') return format;
+  // Slack-style services put incoming webhooks under /hooks/ or /slack
+  const slackLike = url.hostname === 'hooks.slack.com' || /\/hooks\//.test(url.pathname) || /\/slack\/?$/.test(url.pathname);
+  return slackLike ? 'slack' : 'json';
+}
+
+// PAYLOADS
+
+// message: { text, title, channel, template, variables }
+export function buildPayload(format, message, settings = {}) {
+  const channel = message.channel || settings.default_channel || null;
+
+  if (format === 'slack') {
+    const payload = { text: message.title ? `*${message.title}*\n${message.text}` : message.text };
+    if (channel) payload.channel = channel.startsWith('#') || channel.startsWith('@') ? channel : `#${channel}`;
+    if (settings.username) payload.username = settings.username;
+    if (settings.icon_emoji) payload.icon_emoji = settings.icon_emoji;
+    return payload;
+  }
+
+  return {
+    text: message.text,
+    title: message.title || null,
+    channel,
+    username: settings.username || null,
+    template: message.template || null,
+    variables: message.variables || {},
+    sent_at: new Date().toISOString()
+  };
+}
+
+// Slack answers 200 "ok"; anything but a 2xx is a failed delivery
+export async function deliverMessage(destination, payload, { signal } = {}) {
+  const response = await guardedFetch(destination.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal,
+    label: `Webhook "${destination.name}"`
+  });
+
+  const body = (await response.text()).substring(0, 200);
+  if (!response.ok) {
+    throw new Error(`Webhook "${destination.name}" answered ${response.status}${body ? `: ${body}` : ''}`);
+  }
+
+  return { status: response.status, response: body };
+}
+
+// Missing or broken webhook settings; the user has to fix them, so they
+// don't count against the tool
+export function messagingError(message) {
+  const error = new Error(message);
+  error.code = 'invalid_params';
+  error.details = { errors: [message] };
+  return error;
+}
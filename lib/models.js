@@ -0,0 +1,130 @@
+// lib/models.js - Active model lookup and model_config handling for inference
+import { listLLMProviders } from './llm/index.js';
+import { DEFAULT_RANKING_WEIGHTS } from './memory-ranking.js';
+
+// Keys of models.model_config that inference understands
+export const MODEL_CONFIG_KEYS = ['provider', 'base_model', 'system_prompt', 'temperature', 'max_tokens', 'retrieval'];
+export const RETRIEVAL_CONFIG_KEYS = ['use_memory', 'memory_limit', 'min_importance', 'ranking_weights', 'recency_half_life_days'];
+const MAX_MEMORY_LIMIT = 50;
+
+export async function getActiveModel(supabase, userId) {
+  const { data: model, error } = await supabase
+    .from('models')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Active model lookup failed:', error);
+    return null;
+  }
+
+  return model;
+}
+
+// An explicit modelId wins; otherwise whatever the user activated
+export async function resolveModelForChat(supabase, userId, modelId = null) {
+  if (modelId) {
+    const { data: model } = await supabase
+      .from('models')
+      .select('*')
+      .eq('id', modelId)
+      .eq('user_id', userId)
+      .single();
+
+    if (model) return model;
+  }
+
+  return await getActiveModel(supabase, userId);
+}
+
+export function getRetrievalConfig(model) {
+  return model?.model_config?.retrieval || {};
+}
+
+// What a response reports as having answered it
+export function describeModel(model, generation = null) {
+  if (!model && !generation) return null;
+
+  return {
+    id: model?.id || null,
+    name: model?.name || 'Base AI',
+    version: model?.version ?? null,
+    specialization: model?.specialization || null,
+    provider: generation?.provider || null,
+    model: generation?.model || null
+  };
+}
+
+// Validates a model_config patch from the API, returning { config } or { error }
+export function validateModelConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return { error: 'model_config must be an object' };
+  }
+
+  const unknown = Object.keys(config).filter(key => !MODEL_CONFIG_KEYS.includes(key));
+  if (unknown.length > 0) {
+    return { error: `Unknown model_config keys: ${unknown.join(', ')}` };
+  }
+
+  if (config.provider !== undefined && !listLLMProviders().includes(config.provider)) {
+    return { error: `provider must be one of: ${listLLMProviders().join(', ')}` };
+  }
+
+  if (config.temperature !== undefined && (typeof config.temperature !== 'number' || config.temperature < 0 || config.temperature > 2)) {
+    return { error: 'temperature must be a number between 0 and 2' };
+  }
+
+  if (config.max_tokens !== undefined && (!Number.isInteger(config.max_tokens) || config.max_tokens <= 0)) {
+    return { error: 'max_tokens must be a positive integer' };
+  }
+
+  if (config.retrieval !== undefined) {
+    if (!config.retrieval || typeof config.retrieval !== 'object' || Array.isArray(config.retrieval)) {
+      return { error: 'retrieval must be an object' };
+    }
+    const unknownRetrieval = Object.keys(config.retrieval).filter(key => !RETRIEVAL_CONFIG_KEYS.includes(key));
+    if (unknownRetrieval.length > 0) {
+      return { error: `Unknown retrieval keys: ${unknownRetrieval.join(', ')}` };
+    }
+    const retrievalError = validateRetrievalConfig(config.retrieval);
+    if (retrievalError) return { error: retrievalError };
+  }
+
+  return { config };
+}
+
+function validateRetrievalConfig(retrieval) {
+  const { use_memory, memory_limit, min_importance, ranking_weights, recency_half_life_days } = retrieval;
+
+  if (use_memory !== undefined && typeof use_memory !== 'boolean') {
+    return 'retrieval.use_memory must be a boolean';
+  }
+
+  if (memory_limit !== undefined && (!Number.isInteger(memory_limit) || memory_limit < 1 || memory_limit > MAX_MEMORY_LIMIT)) {
+    return `retrieval.memory_limit must be an integer between 1 and ${MAX_MEMORY_LIMIT}`;
+  }
+
+  if (min_importance !== undefined && (typeof min_importance !== 'number' || min_importance < 0 || min_importance > 1)) {
+    return 'retrieval.min_importance must be a number between 0 and 1';
+  }
+
+  if (ranking_weights !== undefined) {
+    if (!ranking_weights || typeof ranking_weights !== 'object' || Array.isArray(ranking_weights)) {
+      return 'retrieval.ranking_weights must be an object';
+    }
+    const invalid = Object.entries(ranking_weights).filter(([key, value]) =>
+      !(key in DEFAULT_RANKING_WEIGHTS) || typeof value !== 'number' || value < 0
+    );
+    if (invalid.length > 0) {
+      return `retrieval.ranking_weights must be non-negative numbers for: ${Object.keys(DEFAULT_RANKING_WEIGHTS).join(', ')}`;
+    }
+  }
+
+  if (recency_half_life_days !== undefined && (typeof recency_half_life_days !== 'number' || recency_half_life_days <= 0)) {
+    return 'retrieval.recency_half_life_days must be a positive number';
+  }
+
+  return null;
+}
@@ -0,0 +1,254 @@
+// lib/net-guard.js - Outbound requests to user-supplied URLs, with SSRF protection
+//
+// guardedFetch behaves like fetch for the options this codebase uses, but
+// refuses to connect to loopback, private, link-local (cloud metadata) and
+// other reserved addresses. The check runs on the address actually being
+// connected to (through the socket's DNS lookup), so a name that resolves
+// to something public when checked and private when used is still caught,
+// and it is repeated on every redirect.
+//
+// Operators can open specific internal ranges with OUTBOUND_ALLOWED_CIDRS,
+// e.g. "10.20.0.0/16,127.0.0.1/32". There is deliberately no per-user
+// switch: a user who could allow private addresses could reach this
+// server's own network.
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { Readable } from 'stream';
+
+const MAX_REDIRECTS = 5;
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+const CREDENTIAL_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
+
+// Special-purpose ranges (RFC 6890 and friends) that never belong to a
+// public service. IPv4-mapped IPv6 addresses are checked against the IPv4
+// ranges by BlockList itself; see EMBEDDED_IPV4_RANGES for the other
+// IPv6 forms that carry an IPv4 address.
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.88.99.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['64:ff9b:1::', 48, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+// IPv4-compatible (::a.b.c.d, which also covers :: and ::1) and NAT64
+// (64:ff9b::a.b.c.d) addresses reach the IPv4 address in their last 32
+// bits, so they are judged as that address
+const EMBEDDED_IPV4_RANGES = [
+  ['::', 96, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6']
+];
+
+const blocked = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, type]) => blocked.addSubnet(address, prefix, type));
+
+const embedsIPv4 = new net.BlockList();
+EMBEDDED_IPV4_RANGES.forEach(([address, prefix, type]) => embedsIPv4.addSubnet(address, prefix, type));
+
+const allowed = parseCidrs(process.env.OUTBOUND_ALLOWED_CIDRS);
+
+// Whether connecting to this IP address is allowed
+export function isAddressAllowed(address) {
+  const type = net.isIPv6(address) ? 'ipv6' : net.isIPv4(address) ? 'ipv4' : null;
+  if (!type) return false;
+  if (allowed.check(address, type)) return true;
+  if (type === 'ipv6' && embedsIPv4.check(address, 'ipv6')) return isAddressAllowed(embeddedIPv4(address));
+  return !blocked.check(address, type);
+}
+
+// The IPv4 address in the last 32 bits of an IPv6 address
+function embeddedIPv4(address) {
+  const last = address.substring(address.lastIndexOf(':') + 1);
+  if (net.isIPv4(last)) return last;
+
+  const [head, tail = ''] = address.split('::');
+  const headGroups = head.split(':').filter(Boolean);
+  const tailGroups = tail.split(':').filter(Boolean);
+  const groups = [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+  const bits = (parseInt(groups[6], 16) << 16 | parseInt(groups[7], 16)) >>> 0;
+  return [24, 16, 8, 0].map(shift => (bits >>> shift) & 255).join('.');
+}
+
+// Parses and checks a URL before anything is sent. Returns the URL object.
+export function assertPublicUrl(url, { label = 'URL' } = {}) {
+  let target;
+  try {
+    target = url instanceof URL ? url : new URL(url);
+  } catch {
+    throw guardError('invalid_url', `${label} is not a valid URL`);
+  }
+  if (!['http:', 'https:'].includes(target.protocol)) {
+    throw guardError('invalid_url', `${label} must be an http(s) URL`);
+  }
+  if (target.username || target.password) {
+    throw guardError('invalid_url', `${label} must not contain a username or password`);
+  }
+
+  const host = target.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isAddressAllowed(host)) {
+    throw guardError('blocked_destination', `${label} points at a private or reserved address (${host})`);
+  }
+  return target;
+}
+
+// options: { method, headers, body, signal, redirect ('follow' | 'manual' |
+// 'error'), label, onRedirect, credentialHeaders }. onRedirect(url) may
+// throw to refuse a hop the caller has its own rules for. credentialHeaders
+// names headers holding secrets (e.g. X-API-Key), dropped like Authorization
+// when a redirect leaves the origin. Returns a standard Response.
+export async function guardedFetch(url, options = {}) {
+  const { redirect = 'follow', label = 'URL' } = options;
+  let target = assertPublicUrl(url, { label });
+  let method = (options.method || 'GET').toUpperCase();
+  let body = options.body ?? null;
+  let headers = { ...(options.headers || {}) };
+  const credentialHeaders = [...CREDENTIAL_HEADERS, ...(options.credentialHeaders || []).map(name => name.toLowerCase())];
+
+  for (let hop = 0; ; hop++) {
+    const response = await requestOnce(target, { method, headers, body, signal: options.signal });
+    if (![301, 302, 303, 307, 308].includes(response.status) || redirect === 'manual') return response;
+
+    await response.body?.cancel();
+    if (redirect === 'error') throw guardError('redirect_refused', `${label} answered with a redirect`);
+    if (hop >= MAX_REDIRECTS) throw guardError('too_many_redirects', `${label} redirected too many times`);
+
+    const location = response.headers.get('location');
+    if (!location) return response;
+    const next = assertPublicUrl(new URL(location, target), { label: `${label} redirect` });
+    options.onRedirect?.(next);
+
+    // Same rules as browsers: 303 (and 301/302 after a POST) become a GET
+    if (response.status === 303 || ([301, 302].includes(response.status) && method === 'POST')) {
+      method = 'GET';
+      body = null;
+      headers = withoutHeaders(headers, ['content-type', 'content-length']);
+    }
+    // Credentials only go to the origin they were configured for
+    if (next.origin !== target.origin) {
+      headers = withoutHeaders(headers, credentialHeaders);
+    }
+    target = next;
+  }
+}
+
+// Reads at most maxBytes of a response body and cancels the rest, so a
+// huge or endless body can't fill memory. Returns { buffer, truncated }.
+export async function readLimited(response, maxBytes) {
+  if (!response.body) return { buffer: Buffer.alloc(0), truncated: false };
+
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  const reader = response.body.getReader();
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    if (size + value.length > maxBytes) {
+      chunks.push(value.subarray(0, maxBytes - size));
+      truncated = true;
+      await reader.cancel().catch(() => {});
+      break;
+    }
+    chunks.push(value);
+    size += value.length;
+  }
+
+  return { buffer: Buffer.concat(chunks), truncated };
+}
+
+function requestOnce(target, { method, headers, body, signal }) {
+  const client = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method,
+      headers,
+      signal,
+      agent: false,
+      lookup: guardedLookup
+    }, response => {
+      const responseHeaders = new Headers();
+      Object.entries(response.headers).forEach(([name, value]) => {
+        (Array.isArray(value) ? value : [value]).forEach(item => responseHeaders.append(name, item));
+      });
+
+      const hasBody = !NULL_BODY_STATUSES.includes(response.statusCode) && method !== 'HEAD';
+      if (!hasBody) response.resume();
+
+      resolve(new Response(hasBody ? Readable.toWeb(response) : null, {
+        status: response.statusCode,
+        statusText: response.statusMessage,
+        headers: responseHeaders
+      }));
+    });
+
+    request.on('error', error => reject(error.code === 'ERR_BLOCKED_DESTINATION'
+      ? guardError('blocked_destination', error.message)
+      : error));
+
+    if (body !== null && body !== undefined) request.write(body);
+    request.end();
+  });
+}
+
+// dns.lookup, but every resolved address has to pass isAddressAllowed
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const refused = addresses.find(candidate => !isAddressAllowed(candidate));
+    if (refused) {
+      const blockedError = new Error(`${hostname} resolves to a private or reserved address (${refused})`);
+      blockedError.code = 'ERR_BLOCKED_DESTINATION';
+      return callback(blockedError);
+    }
+    callback(null, address, family);
+  });
+}
+
+function withoutHeaders(headers, names) {
+  return Object.fromEntries(Object.entries(headers).filter(([name]) => !names.includes(name.toLowerCase())));
+}
+
+function parseCidrs(value) {
+  const list = new net.BlockList();
+  (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    try {
+      list.addSubnet(address, prefix ? parseInt(prefix, 10) : type === 'ipv6' ? 128 : 32, type);
+    } catch (error) {
+      console.error(`Ignoring invalid OUTBOUND_ALLOWED_CIDRS entry "${entry}":`, error.message);
+    }
+  });
+  return list;
+}
+
+// blocked_destination and invalid_url are the caller's to fix, so they
+// don't count against a tool's circuit breaker
+export function guardError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = { errors: [message] };
+  return error;
+}
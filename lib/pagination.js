@@ -0,0 +1,71 @@
+// lib/pagination.js - Keyset (cursor) pagination helpers for Supabase queries
+
+export function encodeCursor(row, column) {
+  return Buffer.from(JSON.stringify({ v: row[column], id: row.id })).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  if (!cursor) return null;
+
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (parsed && parsed.v !== undefined && parsed.id) return parsed;
+  } catch (error) {
+    // fall through
+  }
+
+  throw new Error('Invalid cursor');
+}
+
+export function parseLimit(value, fallback = 20, max = 100) {
+  const limit = parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit <= 0) return fallback;
+  return Math.min(limit, max);
+}
+
+// Orders by (column, id) and continues after the cursor row. Fetches one
+// extra row so the caller can tell whether another page exists.
+export function applyCursor(query, { column, ascending = false, cursor = null, limit }) {
+  let paged = query
+    .order(column, { ascending })
+    .order('id', { ascending })
+    .limit(limit + 1);
+
+  const position = decodeCursor(cursor);
+  if (position) {
+    const op = ascending ? 'gt' : 'lt';
+    // Quoted so timestamps survive PostgREST's logic-tree parsing
+    const value = `"${position.v}"`;
+    paged = paged.or(`${column}.${op}.${value},and(${column}.eq.${value},id.${op}.${position.id})`);
+  }
+
+  return paged;
+}
+
+export function buildPage(rows, { column, limit }) {
+  const items = (rows || []).slice(0, limit);
+  const hasMore = (rows || []).length > limit;
+
+  return {
+    items,
+    hasMore,
+    nextCursor: hasMore && items.length > 0 ? encodeCursor(items[items.length - 1], column) : null
+  };
+}
+
+// Same cursor semantics over rows already in memory, e.g. a computed branch path
+export function paginateRows(rows, { column, ascending = true, cursor = null, limit }) {
+  const position = decodeCursor(cursor);
+  const direction = ascending ? 1 : -1;
+  const compare = (a, b) => {
+    const byColumn = String(a[column]).localeCompare(String(b[column]));
+    return (byColumn || String(a.id).localeCompare(String(b.id))) * direction;
+  };
+
+  const sorted = [...rows].sort(compare);
+  const remaining = position
+    ? sorted.filter(row => compare(row, { [column]: position.v, id: position.id }) > 0)
+    : sorted;
+
+  return buildPage(remaining.slice(0, limit + 1), { column, limit });
+}
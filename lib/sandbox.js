@@ -0,0 +1,255 @@
+// lib/sandbox.js - Runs untrusted JavaScript in a worker thread with a bare VM context
+//
+// Each run gets its own worker (heap and stack capped through
+// resourceLimits, empty env) and, inside it, a vm context with nothing but
+// the language built-ins and a console that records output: no require,
+// process, timers, fetch or filesystem. String code generation (eval, new
+// Function) is disabled in the context.
+//
+// Only strings cross into and out of the context: output, the return value
+// and errors are serialised inside it, so sandboxed code never receives a
+// host object it could climb out through. Synchronous loops are stopped by
+// the vm timeout; anything else (a promise that never settles, a getter
+// that spins) by terminating the worker.
+import { Worker } from 'worker_threads';
+
+export const SANDBOX_LIMITS = {
+  timeoutMs: 2000,
+  maxTimeoutMs: 10000,
+  memoryMb: 64,
+  maxMemoryMb: 128,
+  maxOutputChars: 10000
+};
+
+// Code that needs what the sandbox leaves out can't be checked there
+const UNSUPPORTED_APIS = /\b(require|import|process|fetch|XMLHttpRequest|document|window|setTimeout|setInterval|Buffer|__dirname)\b/;
+
+// Runs inside the worker. Everything the user code can reach is created by
+// PRELUDE in the context itself.
+const WORKER_SOURCE = `
+const { parentPort, workerData } = require('worker_threads');
+const vm = require('vm');
+
+const { code, timeoutMs, maxOutputChars, prelude } = workerData;
+const context = vm.createContext(Object.create(null), {
+  name: 'run_code',
+  codeGeneration: { strings: false, wasm: false }
+});
+const inContext = source => vm.runInContext(source, context, { timeout: timeoutMs });
+const readOutcome = () => JSON.parse(inContext('__outcome()'));
+
+inContext(prelude.split('__MAX_OUTPUT__').join(String(maxOutputChars)));
+
+(async () => {
+  // Top-level await only compiles inside an async function; the snippet's
+  // return statement then provides the result
+  const compile = source => new vm.Script(source, { filename: 'snippet.js' });
+  let script;
+  try {
+    try {
+      script = compile(code);
+    } catch (error) {
+      if (!/\\bawait\\b/.test(code)) throw error;
+      script = compile('(async () => {\\n' + code + '\\n})()');
+    }
+  } catch (error) {
+    // Syntax errors come from the host's compiler, so they are safe to read here
+    const stack = String(error.stack || '').split('\\n').slice(0, 4).join('\\n');
+    return parentPort.postMessage({ settled: true, output: [], error: { name: error.name, message: error.message, stack } });
+  }
+
+  const startedAt = Date.now();
+  try {
+    context.__value = script.runInContext(context, { timeout: timeoutMs });
+    inContext('__settle(__value)');
+  } catch (error) {
+    if (error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      return parentPort.postMessage({ ...readOutcome(), timedOut: true, error: { name: 'TimeoutError', message: 'Script execution timed out after ' + timeoutMs + 'ms' } });
+    }
+    context.__thrown = error;
+    inContext('__fail(__thrown)');
+  }
+
+  // Let promise chains settle; the worker is terminated if they never do
+  while (!readOutcome().settled) {
+    if (Date.now() - startedAt > timeoutMs) {
+      return parentPort.postMessage({ ...readOutcome(), timedOut: true, error: { name: 'TimeoutError', message: 'The returned promise did not settle within ' + timeoutMs + 'ms' } });
+    }
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  parentPort.postMessage(readOutcome());
+})().catch(error => parentPort.postMessage({ settled: true, output: [], error: { name: 'SandboxError', message: String(error && error.message) } }));
+`;
+
+// Evaluated in the context before the snippet: console capture and the
+// helpers that serialise results from the inside
+const PRELUDE = `
+(() => {
+  const output = [];
+  let used = 0;
+  let truncated = false;
+  let settled = false;
+  let result;
+  let failure = null;
+
+  const describe = value => {
+    if (typeof value === 'string') return value;
+    if (typeof value === 'function') return '[Function' + (value.name ? ': ' + value.name : '') + ']';
+    if (typeof value === 'bigint') return value + 'n';
+    if (value instanceof Error) return value.stack || String(value);
+    try {
+      const seen = new WeakSet();
+      const json = JSON.stringify(value, (key, item) => {
+        if (typeof item === 'bigint') return item + 'n';
+        if (typeof item === 'function') return '[Function]';
+        if (item && typeof item === 'object') {
+          if (seen.has(item)) return '[Circular]';
+          seen.add(item);
+        }
+        return item;
+      }, 2);
+      return json === undefined ? String(value) : json;
+    } catch (error) {
+      return String(value);
+    }
+  };
+
+  const write = stream => (...args) => {
+    if (truncated) return;
+    const line = args.map(describe).join(' ');
+    if (used + line.length > __MAX_OUTPUT__) {
+      truncated = true;
+      output.push({ stream, text: line.slice(0, Math.max(0, __MAX_OUTPUT__ - used)) + '...(output truncated)' });
+      return;
+    }
+    used += line.length;
+    output.push({ stream, text: line });
+  };
+
+  const errorInfo = error => error instanceof Error
+    ? { name: error.name, message: error.message, stack: String(error.stack || '').split('\\n').slice(0, 6).join('\\n') }
+    : { name: 'Thrown', message: describe(error) };
+
+  globalThis.console = {
+    log: write('stdout'), info: write('stdout'), debug: write('stdout'),
+    warn: write('stderr'), error: write('stderr')
+  };
+
+  globalThis.__settle = value => {
+    if (value && typeof value.then === 'function') {
+      value.then(
+        resolved => { result = resolved; settled = true; },
+        error => { failure = errorInfo(error); settled = true; }
+      );
+    } else {
+      result = value;
+      settled = true;
+    }
+  };
+  globalThis.__fail = error => { failure = errorInfo(error); settled = true; };
+  globalThis.__outcome = () => JSON.stringify({
+    settled,
+    output,
+    truncated,
+    result: settled && !failure && result !== undefined ? describe(result) : null,
+    error: failure
+  });
+})();
+`;
+
+// options: { timeoutMs, memoryMb, signal }
+// Returns { ok, stdout, stderr, output: [{ stream, text }], result, error, timedOut, durationMs }
+export function runJavaScript(code, { timeoutMs = SANDBOX_LIMITS.timeoutMs, memoryMb = SANDBOX_LIMITS.memoryMb, signal = null } = {}) {
+  const limits = {
+    timeoutMs: clamp(timeoutMs, 10, SANDBOX_LIMITS.maxTimeoutMs),
+    memoryMb: clamp(memoryMb, 16, SANDBOX_LIMITS.maxMemoryMb)
+  };
+  const startedAt = Date.now();
+
+  return new Promise(resolve => {
+    let finished = false;
+    const finish = outcome => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+      worker.terminate().catch(() => {});
+      resolve(formatOutcome(outcome, Date.now() - startedAt));
+    };
+
+    const worker = new Worker(WORKER_SOURCE, {
+      eval: true,
+      // Host flags (--input-type=module, inspectors) must not change how
+      // the worker source is loaded
+      execArgv: [],
+      env: {},
+      stdout: true,
+      stderr: true,
+      workerData: {
+        code: String(code),
+        timeoutMs: limits.timeoutMs,
+        maxOutputChars: SANDBOX_LIMITS.maxOutputChars,
+        prelude: PRELUDE
+      },
+      resourceLimits: {
+        maxOldGenerationSizeMb: limits.memoryMb,
+        maxYoungGenerationSizeMb: Math.max(4, Math.round(limits.memoryMb / 8)),
+        stackSizeMb: 4
+      }
+    });
+
+    // Wall-clock backstop for anything the vm timeout can't interrupt
+    const timer = setTimeout(() => finish({
+      timedOut: true,
+      error: { name: 'TimeoutError', message: `Execution did not finish within ${limits.timeoutMs}ms` }
+    }), limits.timeoutMs + 1000);
+
+    // The caller gave up (the tool's own timeout); stop the worker with it
+    const abort = () => finish({ timedOut: true, error: { name: 'AbortError', message: 'The run was cancelled' } });
+    signal?.addEventListener('abort', abort);
+
+    worker.on('message', finish);
+    worker.on('error', error => finish({
+      error: error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? { name: 'MemoryError', message: `The snippet used more than ${limits.memoryMb}MB of memory` }
+        : { name: error.name || 'Error', message: error.message }
+    }));
+    worker.on('exit', () => finish({ error: { name: 'SandboxError', message: 'The sandbox exited unexpectedly' } }));
+  });
+}
+
+function formatOutcome(outcome, durationMs) {
+  const output = outcome.output || [];
+  const error = outcome.error || null;
+  return {
+    ok: !error,
+    stdout: output.filter(line => line.stream === 'stdout').map(line => line.text).join('\n'),
+    stderr: output.filter(line => line.stream === 'stderr').map(line => line.text).join('\n'),
+    output,
+    result: outcome.result ?? null,
+    error,
+    timedOut: Boolean(outcome.timedOut),
+    truncated: Boolean(outcome.truncated),
+    durationMs
+  };
+}
+
+// Fenced code blocks in the given languages, in order
+export function extractCodeBlocks(text, languages = ['js', 'javascript', 'node']) {
+  const blocks = [];
+  for (const [, language, code] of String(text || '').matchAll(/```([\w+-]*)[^\n]*\n([\s\S]*?)```/g)) {
+    if (languages.includes(language.toLowerCase())) blocks.push({ language: language.toLowerCase(), code: code.trim() });
+  }
+  return blocks;
+}
+
+// Whether a snippet can run without the APIs the sandbox leaves out
+export function isSandboxable(code) {
+  return !UNSUPPORTED_APIS.test(code);
+}
+
+function clamp(value, min, max) {
+  const number = Number(value);
+  return Math.min(Math.max(Number.isFinite(number) ? number : min, min), max);
+}
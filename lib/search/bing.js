@@ -0,0 +1,39 @@
+// lib/search/bing.js - Adapter for Bing Web Search and compatible APIs
+
+const SAFE_SEARCH = { off: 'Off', moderate: 'Moderate', strict: 'Strict' };
+
+export function createBingProvider({
+  baseUrl = process.env.BING_SEARCH_URL || 'https://api.bing.microsoft.com/v7.0/search',
+  apiKey = process.env.BING_SEARCH_API_KEY
+} = {}) {
+  return {
+    name: 'bing',
+
+    async search(query, { limit = 5, safeSearch = 'moderate', signal } = {}) {
+      if (!apiKey) throw new Error('bing search needs an API key');
+
+      const params = new URLSearchParams({
+        q: query,
+        count: String(limit),
+        safeSearch: SAFE_SEARCH[safeSearch] || 'Moderate',
+        textFormat: 'Raw'
+      });
+
+      const response = await fetch(`${baseUrl}?${params}`, {
+        headers: { 'Ocp-Apim-Subscription-Key': apiKey },
+        signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`bing request failed with status ${response.status}`);
+      }
+
+      const data = await response.json();
+      return (data.webPages?.value || []).map(result => ({
+        title: result.name,
+        url: result.url,
+        snippet: result.snippet
+      }));
+    }
+  };
+}
@@ -0,0 +1,34 @@
+// lib/search/brave.js - Adapter for the Brave Search web API
+
+export function createBraveProvider({
+  baseUrl = process.env.BRAVE_SEARCH_URL || 'https://api.search.brave.com/res/v1/web/search',
+  apiKey = process.env.BRAVE_SEARCH_API_KEY
+} = {}) {
+  return {
+    name: 'brave',
+
+    async search(query, { limit = 5, safeSearch = 'moderate', signal } = {}) {
+      if (!apiKey) throw new Error('brave search needs an API key');
+
+      const params = new URLSearchParams({ q: query, count: String(limit), safesearch: safeSearch });
+      const response = await fetch(`${baseUrl}?${params}`, {
+        headers: {
+          'Accept': 'application/json',
+          'X-Subscription-Token': apiKey
+        },
+        signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`brave request failed with status ${response.status}`);
+      }
+
+      const data = await response.json();
+      return (data.web?.results || []).map(result => ({
+        title: result.title,
+        url: result.url,
+        snippet: result.description
+      }));
+    }
+  };
+}
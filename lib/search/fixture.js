@@ -0,0 +1,56 @@
+// lib/search/fixture.js - Deterministic provider for tests and offline development
+//
+// Serves results from SEARCH_FIXTURE_FILE (a JSON array of
+// { title, url, snippet }) or the built-in set below, ranked by how many
+// query words each result contains.
+import fs from 'fs';
+import { tokenize } from '../embeddings.js';
+
+const BUILT_IN_RESULTS = [
+  {
+    title: 'Node.js documentation',
+    url: 'https://nodejs.org/docs/latest/api/',
+    snippet: 'Reference documentation for the Node.js JavaScript runtime and its built-in modules.'
+  },
+  {
+    title: 'PostgreSQL full text search',
+    url: 'https://www.postgresql.org/docs/current/textsearch.html',
+    snippet: 'Full text search in PostgreSQL: tsvector, tsquery, ranking and GIN indexes.'
+  },
+  {
+    title: 'pgvector',
+    url: 'https://github.com/pgvector/pgvector',
+    snippet: 'Open-source vector similarity search for Postgres, with exact and approximate nearest neighbour search.'
+  },
+  {
+    title: 'Vercel serverless functions',
+    url: 'https://vercel.com/docs/functions',
+    snippet: 'Deploy server-side code as functions that scale automatically, with configurable max duration.'
+  }
+];
+
+export function createFixtureProvider({ results = null } = {}) {
+  const fixtures = results || loadFixtureFile() || BUILT_IN_RESULTS;
+
+  return {
+    name: 'fixture',
+
+    async search(query, { limit = 5 } = {}) {
+      const terms = new Set(tokenize(query));
+      const score = result => tokenize(`${result.title} ${result.snippet}`).filter(term => terms.has(term)).length;
+
+      return fixtures
+        .map(result => ({ result, score: score(result) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ result }) => result);
+    }
+  };
+}
+
+function loadFixtureFile() {
+  const file = process.env.SEARCH_FIXTURE_FILE;
+  if (!file) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
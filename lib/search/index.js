@@ -0,0 +1,80 @@
+// lib/search/index.js - Web search provider registry and result normalisation
+//
+// A provider is { name, async search(query, options) } returning
+// [{ title, url, snippet }]. options: { limit, safeSearch, signal,
+// supabase, userId }.
+import { createSearxngProvider } from './searxng.js';
+import { createBraveProvider } from './brave.js';
+import { createBingProvider } from './bing.js';
+import { createLocalProvider } from './local.js';
+import { createFixtureProvider } from './fixture.js';
+
+const providers = {
+  searxng: options => createSearxngProvider(options),
+  brave: options => createBraveProvider(options),
+  bing: options => createBingProvider(options),
+  local: options => createLocalProvider(options),
+  fixture: options => createFixtureProvider(options)
+};
+
+export function registerSearchProvider(name, factory) {
+  providers[name] = factory;
+}
+
+export function listSearchProviders() {
+  return Object.keys(providers);
+}
+
+export function getSearchProvider(name, options = {}) {
+  const factory = providers[name];
+  if (!factory) throw new Error(`Unknown search provider: ${name}`);
+  return factory(options);
+}
+
+// The user's choice, else SEARCH_PROVIDER, else whichever service is
+// configured, else their own data. Endpoints only come from the
+// environment; a user may bring their own API key.
+export function resolveSearchProvider({ configuration = {}, credentials = null } = {}) {
+  const name = configuration.provider || process.env.SEARCH_PROVIDER || defaultProvider();
+  return getSearchProvider(name, { apiKey: credentials?.api_key });
+}
+
+export async function search(provider, query, options = {}) {
+  const results = await provider.search(query, options);
+  const seen = new Set();
+
+  return results
+    .map(result => normalizeResult(result, provider.name))
+    .filter(result => result.title && !seen.has(result.url) && seen.add(result.url))
+    .slice(0, options.limit || 5)
+    .map((result, index) => ({ ...result, citation: index + 1 }));
+}
+
+export function normalizeResult({ title, url, snippet }, source) {
+  return {
+    title: cleanText(title),
+    url: url || null,
+    snippet: cleanText(snippet).substring(0, 300),
+    source
+  };
+}
+
+// Providers return snippets with <strong> highlights and entities
+function cleanText(text) {
+  return String(text || '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function defaultProvider() {
+  if (process.env.BRAVE_SEARCH_API_KEY) return 'brave';
+  if (process.env.BING_SEARCH_API_KEY) return 'bing';
+  if (process.env.SEARXNG_URL) return 'searxng';
+  return 'local';
+}
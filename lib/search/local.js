@@ -0,0 +1,66 @@
+// lib/search/local.js - Searches the user's own brain_memories and training_data
+import { tokenize } from '../embeddings.js';
+import { searchRankedMemories } from '../memory-ranking.js';
+
+export function createLocalProvider() {
+  return {
+    name: 'local',
+
+    async search(query, { limit = 5, supabase, userId } = {}) {
+      if (!supabase || !userId) throw new Error('local search needs a user context');
+
+      const [memories, examples] = await Promise.all([
+        searchRankedMemories(supabase, userId, query, { limit }),
+        searchTrainingData(supabase, userId, query, limit)
+      ]);
+
+      // Interleave so neither source crowds out the other
+      const merged = [];
+      for (let i = 0; merged.length < limit && (i < memories.length || i < examples.length); i++) {
+        if (memories[i]) merged.push(fromMemory(memories[i]));
+        if (examples[i] && merged.length < limit) merged.push(fromTrainingData(examples[i]));
+      }
+      return merged;
+    }
+  };
+}
+
+async function searchTrainingData(supabase, userId, query, limit) {
+  const terms = [...new Set(tokenize(query))].slice(0, 8);
+  if (terms.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('training_data')
+    .select('id, input, output, category, created_at')
+    .eq('user_id', userId)
+    .or(terms.map(term => `input.ilike.%${term}%,output.ilike.%${term}%`).join(','))
+    .limit(50);
+
+  if (error) throw error;
+
+  const overlap = row => {
+    const text = `${row.input} ${row.output}`.toLowerCase();
+    return terms.filter(term => text.includes(term)).length;
+  };
+
+  return (data || [])
+    .map(row => ({ ...row, overlap: overlap(row) }))
+    .sort((a, b) => b.overlap - a.overlap)
+    .slice(0, limit);
+}
+
+function fromMemory(memory) {
+  return {
+    title: memory.summary || memory.content?.substring(0, 80),
+    url: `memory://${memory.id}`,
+    snippet: memory.content
+  };
+}
+
+function fromTrainingData(row) {
+  return {
+    title: row.input?.substring(0, 80),
+    url: `training://${row.id}`,
+    snippet: row.output
+  };
+}
@@ -0,0 +1,35 @@
+// lib/search/searxng.js - Adapter for a SearXNG instance's JSON API
+
+const SAFE_SEARCH = { off: 0, moderate: 1, strict: 2 };
+
+export function createSearxngProvider({
+  baseUrl = process.env.SEARXNG_URL || 'http://localhost:8888'
+} = {}) {
+  return {
+    name: 'searxng',
+
+    async search(query, { limit = 5, safeSearch = 'moderate', signal } = {}) {
+      const params = new URLSearchParams({
+        q: query,
+        format: 'json',
+        safesearch: String(SAFE_SEARCH[safeSearch] ?? 1)
+      });
+
+      const response = await fetch(`${baseUrl}/search?${params}`, {
+        headers: { 'Accept': 'application/json' },
+        signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`searxng request failed with status ${response.status}`);
+      }
+
+      const data = await response.json();
+      return (data.results || []).slice(0, limit).map(result => ({
+        title: result.title,
+        url: result.url,
+        snippet: result.content
+      }));
+    }
+  };
+}
@@ -0,0 +1,83 @@
+// lib/sse.js - Server-Sent Events helpers (outgoing streams and upstream parsing)
+
+export function wantsEventStream(req) {
+  const accept = req.headers?.accept || '';
+  const { stream } = req.query || {};
+  return accept.includes('text/event-stream') || stream === '1' || stream === 'true';
+}
+
+export function openEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop proxies from buffering the whole stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+  let closed = false;
+  res.on?.('close', () => { closed = true; });
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    },
+    get closed() {
+      return closed;
+    }
+  };
+}
+
+// Splits already-complete text into word-sized chunks so non-streaming
+// generators can still feed token events
+export function chunkText(text) {
+  return (text || '').match(/\S+\s*|\s+/g) || [];
+}
+
+// Parses an upstream SSE response body (OpenAI, Anthropic, ...) into
+// { event, data } records. `data` is JSON-decoded when possible.
+export async function* readEventStream(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+      const parsed = parseEvent(rawEvent);
+      if (parsed) yield parsed;
+    }
+  }
+
+  const trailing = parseEvent(buffer);
+  if (trailing) yield trailing;
+}
+
+function parseEvent(rawEvent) {
+  let event = 'message';
+  const dataLines = [];
+
+  rawEvent.split(/\r?\n/).forEach(line => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''));
+  });
+
+  if (dataLines.length === 0) return null;
+
+  const raw = dataLines.join('\n');
+  try {
+    return { event, data: JSON.parse(raw) };
+  } catch (error) {
+    return { event, data: raw };
+  }
+}
@@ -0,0 +1,280 @@
+// lib/summarizer.js - Rolls conversations up into summary, topic_tags, importance_score and title
+import { generateChat } from './llm/index.js';
+import { getActiveBranch } from './conversation-tree.js';
+
+// Re-summarise once this many messages have arrived since the last roll-up
+export const SUMMARY_INTERVAL = parseInt(process.env.CONVERSATION_SUMMARY_INTERVAL, 10) || 10;
+
+const MAX_TRANSCRIPT_CHARS = 12000;
+const MAX_TOPIC_TAGS = 5;
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+  'doing', 'done', 'for', 'from', 'get', 'got', 'had', 'has', 'have', 'he', 'her', 'here', 'him',
+  'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'know', 'let', 'like', 'make',
+  'me', 'more', 'most', 'much', 'my', 'need', 'no', 'not', 'now', 'of', 'on', 'one', 'only', 'or',
+  'other', 'our', 'out', 'over', 'please', 'really', 'said', 'say', 'see', 'she', 'should', 'so',
+  'some', 'sure', 'tell', 'than', 'thank', 'thanks', 'that', 'the', 'their', 'them', 'then',
+  'there', 'these', 'they', 'thing', 'think', 'this', 'those', 'through', 'to', 'too', 'up', 'us',
+  'use', 'very', 'want', 'was', 'way', 'we', 'well', 'were', 'what', 'when', 'where', 'which',
+  'while', 'who', 'why', 'will', 'with', 'would', 'yes', 'you', 'your', 'help', 'happy', 'sounds',
+  'asked', 'responded', 'question', 'answer', 'assist', 'great', 'good', 'okay'
+]);
+
+// Words that suggest a conversation is worth keeping around
+const IMPORTANCE_SIGNALS = [
+  'remember', 'important', 'deadline', 'decided', 'decision', 'plan', 'goal', 'always', 'never',
+  'prefer', 'password', 'meeting', 'project', 'budget', 'urgent', 'todo', 'must'
+];
+
+// The title chat.js gives a new conversation; anything else was chosen by someone
+export function defaultConversationTitle(message) {
+  return message.substring(0, 50) + (message.length > 50 ? '...' : '');
+}
+
+export function shouldSummarize(conversation, interval = SUMMARY_INTERVAL) {
+  if (!conversation) return false;
+  const pending = (conversation.message_count || 0) - (conversation.summary_message_count || 0);
+  return pending >= interval;
+}
+
+// Summarises a conversation and writes the result back to its row.
+// `llmSettings` comes from resolveLLMSettings; without it (or when the
+// provider fails) the extractive summariser is used instead.
+export async function summarizeConversation(supabase, conversationId, { llmSettings = null, retitle = true } = {}) {
+  const { data: conversation, error: conversationError } = await supabase
+    .from('conversations')
+    .select('*')
+    .eq('id', conversationId)
+    .single();
+
+  if (conversationError) throw conversationError;
+
+  // Summarise the branch the user is on, not abandoned alternatives
+  const branch = await getActiveBranch(supabase, conversation, 'id, parent_message_id, type, content, timestamp, feedback_score');
+  const messages = branch.filter(m => m.type === 'user' || m.type === 'assistant');
+  if (messages.length === 0) return null;
+
+  let result = null;
+  if (llmSettings) {
+    try {
+      result = await summarizeWithLLM(messages, llmSettings);
+    } catch (error) {
+      console.error('LLM summarisation failed, using extractive summary:', error.message);
+    }
+  }
+  if (!result) result = summarizeExtractive(messages);
+
+  // Only replace titles nobody chose: the auto-generated first-message title
+  const firstUserMessage = messages.find(m => m.type === 'user');
+  const titleIsDefault = !conversation.title ||
+    (firstUserMessage && conversation.title === defaultConversationTitle(firstUserMessage.content));
+
+  const updates = {
+    summary: result.summary,
+    topic_tags: result.topic_tags,
+    importance_score: result.importance_score,
+    summary_message_count: conversation.message_count || messages.length,
+    summarized_at: new Date().toISOString()
+  };
+  if (retitle && titleIsDefault && result.title) {
+    updates.title = result.title.substring(0, 255);
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('conversations')
+    .update(updates)
+    .eq('id', conversationId)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  return { conversation: updated, method: result.method };
+}
+
+// Called after each chat turn; only does work every SUMMARY_INTERVAL messages
+export async function maybeSummarizeConversation(supabase, conversationId, options = {}) {
+  try {
+    const { data: conversation } = await supabase
+      .from('conversations')
+      .select('id, message_count, summary_message_count')
+      .eq('id', conversationId)
+      .single();
+
+    if (!shouldSummarize(conversation)) return null;
+    return await summarizeConversation(supabase, conversationId, options);
+  } catch (error) {
+    console.error('Conversation summarisation failed:', error);
+    return null;
+  }
+}
+
+// LLM SUMMARY
+async function summarizeWithLLM(messages, llmSettings) {
+  const prompt = `Summarise the conversation below. Reply with JSON only, no prose, in this shape:
+{"title": "<at most 8 words>", "summary": "<2-4 sentences>", "topic_tags": ["<1-3 word lowercase tag>", ...], "importance": <0.0-1.0, how worth remembering this conversation is>}
+
+Use at most ${MAX_TOPIC_TAGS} topic tags.
+
+CONVERSATION:
+${buildTranscript(messages)}`;
+
+  const generation = await generateChat(
+    { ...llmSettings, temperature: 0.2, maxTokens: 400 },
+    { messages: [{ role: 'user', content: prompt }] }
+  );
+
+  const parsed = parseJSONObject(generation.content);
+  if (!parsed || typeof parsed.summary !== 'string' || !parsed.summary.trim()) {
+    throw new Error('summary response was not valid JSON');
+  }
+
+  return {
+    method: 'llm',
+    title: typeof parsed.title === 'string' ? parsed.title.trim().replace(/^["']|["']$/g, '') : null,
+    summary: parsed.summary.trim(),
+    topic_tags: normalizeTags(parsed.topic_tags),
+    importance_score: clamp(Number(parsed.importance), 0, 1, scoreImportance(messages))
+  };
+}
+
+function buildTranscript(messages) {
+  const lines = messages.map(m => `${m.type === 'user' ? 'User' : 'Assistant'}: ${m.content}`);
+
+  // Keep the opening and the most recent turns when the transcript is long
+  let transcript = lines.join('\n');
+  if (transcript.length > MAX_TRANSCRIPT_CHARS) {
+    const half = MAX_TRANSCRIPT_CHARS / 2;
+    transcript = `${transcript.substring(0, half)}\n...\n${transcript.substring(transcript.length - half)}`;
+  }
+
+  return transcript;
+}
+
+function parseJSONObject(text) {
+  const match = (text || '').match(/\{[\s\S]*\}/);
+  if (!match) return null;
+
+  try {
+    return JSON.parse(match[0]);
+  } catch (error) {
+    return null;
+  }
+}
+
+// EXTRACTIVE SUMMARY
+// Offline fallback: frequency-scored sentences, keyword tags, heuristic importance
+export function summarizeExtractive(messages) {
+  const frequencies = termFrequencies(messages.filter(m => m.type === 'user').map(m => m.content).join(' '));
+  const allFrequencies = termFrequencies(messages.map(m => m.content).join(' '));
+
+  // User turns say what the conversation is about; weight them double
+  Object.entries(frequencies).forEach(([term, count]) => {
+    allFrequencies[term] = (allFrequencies[term] || 0) + count;
+  });
+
+  const sentences = [];
+  messages.forEach((message, messageIndex) => {
+    splitSentences(message.content).forEach(sentence => {
+      const terms = keywords(sentence);
+      if (terms.length < 3) return;
+
+      const score = terms.reduce((sum, term) => sum + (allFrequencies[term] || 0), 0) / Math.sqrt(terms.length);
+      sentences.push({ sentence, score: message.type === 'user' ? score * 1.2 : score, order: messageIndex });
+    });
+  });
+
+  const picked = sentences
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 3)
+    .sort((a, b) => a.order - b.order)
+    .map(s => s.sentence);
+
+  const topicTags = Object.entries(allFrequencies)
+    .filter(([term, count]) => count > 1 || Object.keys(allFrequencies).length < 10)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_TOPIC_TAGS)
+    .map(([term]) => term);
+
+  const firstUserMessage = messages.find(m => m.type === 'user');
+
+  return {
+    method: 'extractive',
+    title: buildExtractiveTitle(topicTags, firstUserMessage?.content),
+    summary: picked.length > 0
+      ? picked.join(' ')
+      : (firstUserMessage?.content || messages[0].content).substring(0, 300),
+    topic_tags: topicTags,
+    importance_score: scoreImportance(messages)
+  };
+}
+
+function buildExtractiveTitle(topicTags, firstUserMessage) {
+  if (firstUserMessage) {
+    const firstSentence = splitSentences(firstUserMessage)[0] || firstUserMessage;
+    if (firstSentence.length <= 60) return firstSentence.replace(/[.!?]+$/, '');
+  }
+
+  if (topicTags.length === 0) return null;
+  const title = topicTags.slice(0, 3).join(', ');
+  return title.charAt(0).toUpperCase() + title.slice(1);
+}
+
+function scoreImportance(messages) {
+  const text = messages.map(m => m.content).join(' ').toLowerCase();
+
+  let score = 0.3;
+  // Longer conversations tend to matter more, up to a point
+  score += Math.min(messages.length / 40, 0.25);
+  score += Math.min(IMPORTANCE_SIGNALS.filter(signal => text.includes(signal)).length * 0.05, 0.25);
+
+  const rated = messages.filter(m => m.feedback_score);
+  if (rated.length > 0) {
+    const averageRating = rated.reduce((sum, m) => sum + m.feedback_score, 0) / rated.length;
+    score += (averageRating - 3) * 0.05;
+  }
+
+  return Math.round(clamp(score, 0, 1) * 100) / 100;
+}
+
+// HELPERS
+function keywords(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .split(/\s+/)
+    .map(word => word.replace(/^-+|-+$/g, ''))
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word) && !/^\d+$/.test(word));
+}
+
+function termFrequencies(text) {
+  const frequencies = {};
+  keywords(text).forEach(term => {
+    frequencies[term] = (frequencies[term] || 0) + 1;
+  });
+  return frequencies;
+}
+
+function splitSentences(text) {
+  return (text || '')
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.toLowerCase().trim().substring(0, 50))
+    .filter(Boolean))]
+    .slice(0, MAX_TOPIC_TAGS);
+}
+
+function clamp(value, min, max, fallback = min) {
+  if (!Number.isFinite(value)) return fallback;
+  return Math.min(max, Math.max(min, value));
+}
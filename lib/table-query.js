@@ -0,0 +1,335 @@
+// lib/table-query.js - Typed tables built from parsed rows, and the
+// filter / group-by / aggregate / sort queries run over them
+//
+// A table is { columns: [{ name, type }], rows: [[value, ...]] } with
+// column types 'number', 'boolean', 'date' (ISO strings) or 'string'.
+
+export const FILTER_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'contains', 'starts_with', 'in', 'is_null', 'not_null'];
+export const AGGREGATE_FUNCTIONS = ['count', 'count_distinct', 'sum', 'avg', 'min', 'max', 'median'];
+
+const MAX_QUERY_ROWS = 200;
+
+// BUILDING TABLES
+
+// rows: arrays of raw cells; the first non-empty row is the header
+export function buildTable(rows, { header = true } = {}) {
+  const [first = [], ...rest] = rows;
+  const body = header ? rest : rows;
+  const width = Math.max(0, ...rows.map(row => row.length));
+
+  // Spacer columns with neither a header nor values are dropped
+  const kept = Array.from({ length: width }, (_, index) => index)
+    .filter(index => !isBlank(header ? first[index] : null) || body.some(row => !isBlank(row[index])));
+
+  const names = columnNames(kept.map(index => header ? first[index] : null));
+  const columns = kept.map((source, i) => ({ name: names[i], type: inferType(body.map(row => row[source])) }));
+
+  return {
+    columns,
+    rows: body.map(row => columns.map((column, i) => coerce(row[kept[i]], column.type)))
+  };
+}
+
+function columnNames(header) {
+  const seen = new Map();
+  return header.map((cell, index) => {
+    const base = String(cell ?? '').trim().replace(/\s+/g, ' ') || `column_${index + 1}`;
+    const count = seen.get(base.toLowerCase()) || 0;
+    seen.set(base.toLowerCase(), count + 1);
+    return count ? `${base}_${count + 1}` : base;
+  });
+}
+
+// The narrowest type every non-empty cell fits
+export function inferType(values) {
+  const present = values.filter(value => !isBlank(value));
+  if (present.length === 0) return 'string';
+  if (present.every(value => parseNumber(value) !== null)) return 'number';
+  if (present.every(value => parseBoolean(value) !== null)) return 'boolean';
+  if (present.every(value => parseDate(value) !== null)) return 'date';
+  return 'string';
+}
+
+export function coerce(value, type) {
+  if (isBlank(value)) return null;
+  switch (type) {
+    case 'number': return parseNumber(value);
+    case 'boolean': return parseBoolean(value);
+    case 'date': return parseDate(value);
+    default: return String(value).trim();
+  }
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  // 1234.5, -1,234.50, 12%, $1,000
+  const text = value.trim().replace(/^[$€£]/, '');
+  const match = /^([+-]?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?|[+-]?\.\d+)(%?)$/.exec(text);
+  if (!match) return null;
+  const number = Number(match[1].replace(/,/g, ''));
+  return match[2] ? number / 100 : number;
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes'].includes(text)) return true;
+  if (['false', 'no'].includes(text)) return false;
+  return null;
+}
+
+function parseDate(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  if (!/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(text)) return null;
+  return isNaN(new Date(text)) ? null : text.replace(' ', 'T');
+}
+
+// QUERIES
+
+// query: { columns, filters: [{ column, op, value }], group_by: [column],
+//          aggregates: [{ fn, column, as }], sort: [{ column, direction }], limit }
+// Returns { columns, rows: [{ name: value }], matchedRows, totalRows, truncated }
+export function queryTable(table, query = {}) {
+  const index = columnLookup(table);
+  const filters = (query.filters || []).map(filter => compileFilter(filter, index));
+  const matched = table.rows.filter(row => filters.every(test => test(row)));
+
+  const grouped = (query.group_by?.length || query.aggregates?.length)
+    ? aggregateRows(matched, query.group_by || [], query.aggregates || [{ fn: 'count' }], index)
+    : projectRows(matched, query.columns, table, index);
+
+  const sorted = sortRows(grouped.rows, query.sort || [], grouped.columns);
+  const limit = Math.min(query.limit || 20, MAX_QUERY_ROWS);
+
+  return {
+    columns: grouped.columns,
+    rows: sorted.slice(0, limit),
+    matchedRows: matched.length,
+    totalRows: table.rows.length,
+    truncated: sorted.length > limit
+  };
+}
+
+function columnLookup(table) {
+  const byName = new Map(table.columns.map((column, position) => [column.name.toLowerCase(), { ...column, position }]));
+  return name => {
+    const column = byName.get(String(name).toLowerCase());
+    if (!column) {
+      throw tableError(`Unknown column "${name}". Columns: ${table.columns.map(c => c.name).join(', ')}`);
+    }
+    return column;
+  };
+}
+
+function compileFilter({ column: name, op = 'eq', value }, lookup) {
+  const column = lookup(name);
+  const read = row => row[column.position];
+  const expected = Array.isArray(value) ? value.map(v => coerce(v, column.type)) : coerce(value, column.type);
+  if (['eq', 'ne', 'gt', 'gte', 'lt', 'lte'].includes(op) && expected === null) {
+    throw tableError(`${op} on "${column.name}" needs a ${column.type} value${value == null ? '; use is_null for empty cells' : `, got "${value}"`}`);
+  }
+
+  switch (op) {
+    case 'is_null': return row => read(row) === null;
+    case 'not_null': return row => read(row) !== null;
+    case 'eq': return row => equals(read(row), expected);
+    case 'ne': return row => !equals(read(row), expected);
+    case 'gt': return row => read(row) !== null && compare(read(row), expected) > 0;
+    case 'gte': return row => read(row) !== null && compare(read(row), expected) >= 0;
+    case 'lt': return row => read(row) !== null && compare(read(row), expected) < 0;
+    case 'lte': return row => read(row) !== null && compare(read(row), expected) <= 0;
+    case 'in': {
+      const options = [].concat(expected);
+      return row => options.some(option => equals(read(row), option));
+    }
+    case 'contains': {
+      const needle = String(value ?? '').toLowerCase();
+      return row => read(row) !== null && String(read(row)).toLowerCase().includes(needle);
+    }
+    case 'starts_with': {
+      const prefix = String(value ?? '').toLowerCase();
+      return row => read(row) !== null && String(read(row)).toLowerCase().startsWith(prefix);
+    }
+    default:
+      throw tableError(`Unknown filter operator "${op}". Use one of: ${FILTER_OPERATORS.join(', ')}`);
+  }
+}
+
+function equals(a, b) {
+  if (typeof a === 'string' && typeof b === 'string') return a.toLowerCase() === b.toLowerCase();
+  return a === b;
+}
+
+// Nulls sort last; mixed types fall back to string order
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+function projectRows(rows, names, table, lookup) {
+  const selected = names?.length ? names.map(lookup) : table.columns.map((column, position) => ({ ...column, position }));
+  return {
+    columns: selected.map(column => column.name),
+    rows: rows.map(row => Object.fromEntries(selected.map(column => [column.name, row[column.position]])))
+  };
+}
+
+function aggregateRows(rows, groupBy, aggregates, lookup) {
+  const keys = groupBy.map(lookup);
+  const measures = aggregates.map(({ fn = 'count', column, as }) => {
+    if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+      throw tableError(`Unknown aggregate "${fn}". Use one of: ${AGGREGATE_FUNCTIONS.join(', ')}`);
+    }
+    const source = column ? lookup(column) : null;
+    if (!source && fn !== 'count') throw tableError(`${fn} needs a column`);
+    if (source && ['sum', 'avg', 'median'].includes(fn) && source.type !== 'number') {
+      throw tableError(`${fn} needs a number column; "${source.name}" holds ${source.type} values`);
+    }
+    return { fn, source, name: as || (source ? `${fn}_${source.name}` : 'count') };
+  });
+
+  const groups = new Map();
+  rows.forEach(row => {
+    const values = keys.map(key => row[key.position]);
+    const id = JSON.stringify(values.map(value => typeof value === 'string' ? value.toLowerCase() : value));
+    if (!groups.has(id)) groups.set(id, { values, rows: [] });
+    groups.get(id).rows.push(row);
+  });
+
+  // An aggregate without group_by still answers over an empty match
+  if (keys.length === 0 && groups.size === 0) groups.set('[]', { values: [], rows: [] });
+
+  return {
+    columns: [...keys.map(key => key.name), ...measures.map(measure => measure.name)],
+    rows: [...groups.values()].map(group => Object.fromEntries([
+      ...keys.map((key, i) => [key.name, group.values[i]]),
+      ...measures.map(measure => [measure.name, aggregate(measure, group.rows)])
+    ]))
+  };
+}
+
+function aggregate({ fn, source }, rows) {
+  if (fn === 'count' && !source) return rows.length;
+
+  const values = rows.map(row => row[source.position]).filter(value => value !== null);
+  switch (fn) {
+    case 'count': return values.length;
+    case 'count_distinct': return new Set(values.map(value => typeof value === 'string' ? value.toLowerCase() : value)).size;
+    case 'sum': return round(values.reduce((total, value) => total + value, 0));
+    case 'avg': return values.length ? round(values.reduce((total, value) => total + value, 0) / values.length) : null;
+    case 'median': return median(values);
+    case 'min': return values.length ? values.reduce((a, b) => compare(a, b) <= 0 ? a : b) : null;
+    case 'max': return values.length ? values.reduce((a, b) => compare(a, b) >= 0 ? a : b) : null;
+  }
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return round(sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function sortRows(rows, sort, columns) {
+  if (sort.length === 0) return rows;
+
+  const keys = sort.map(({ column, direction = 'asc' }) => {
+    const name = columns.find(c => c.toLowerCase() === String(column).toLowerCase());
+    if (!name) throw tableError(`Cannot sort by "${column}". Result columns: ${columns.join(', ')}`);
+    return { name, sign: String(direction).toLowerCase() === 'desc' ? -1 : 1 };
+  });
+
+  return [...rows].sort((a, b) => {
+    for (const { name, sign } of keys) {
+      // Nulls stay last whichever way the column sorts
+      if (a[name] === null || b[name] === null) {
+        if (a[name] !== b[name]) return a[name] === null ? 1 : -1;
+        continue;
+      }
+      const order = compare(a[name], b[name]) * sign;
+      if (order !== 0) return order;
+    }
+    return 0;
+  });
+}
+
+// DESCRIBING TABLES
+
+// Per-column type, fill, distinct values and range or top values
+export function describeTable(table) {
+  return {
+    rowCount: table.rows.length,
+    columns: table.columns.map((column, position) => {
+      const values = table.rows.map(row => row[position]).filter(value => value !== null);
+      const summary = {
+        name: column.name,
+        type: column.type,
+        nonNull: values.length,
+        nulls: table.rows.length - values.length,
+        distinct: new Set(values).size
+      };
+
+      if (column.type === 'number' && values.length) {
+        summary.min = Math.min(...values);
+        summary.max = Math.max(...values);
+        summary.mean = round(values.reduce((total, value) => total + value, 0) / values.length);
+      } else if (column.type === 'date' && values.length) {
+        summary.min = values.reduce((a, b) => a < b ? a : b);
+        summary.max = values.reduce((a, b) => a > b ? a : b);
+      } else if (column.type === 'string') {
+        const counts = new Map();
+        values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+        summary.topValues = [...counts.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 5)
+          .map(([value, count]) => ({ value, count }));
+      }
+
+      return summary;
+    })
+  };
+}
+
+// RENDERING
+
+export function toMarkdownTable(columns, rows, { maxRows = 20 } = {}) {
+  if (columns.length === 0) return '';
+
+  const cell = value => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'number' ? String(round(value)) : String(value);
+    return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  };
+
+  const lines = [
+    `| ${columns.map(cell).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.slice(0, maxRows).map(row => `| ${columns.map(name => cell(row[name])).join(' | ')} |`)
+  ];
+
+  if (rows.length > maxRows) lines.push(`\n_${rows.length - maxRows} more rows not shown_`);
+  return lines.join('\n');
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// Bad column names and operators are the caller's mistake, reported like
+// invalid tool parameters so they don't count against the tool
+export function tableError(message) {
+  const error = new Error(message);
+  error.code = 'invalid_params';
+  error.details = { errors: [message] };
+  return error;
+}
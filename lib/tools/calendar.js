@@ -0,0 +1,90 @@
+// lib/tools/calendar.js - calendar: reads and adds events on the user's iCalendar-backed calendar
+import {
+  CALENDAR_RANGES,
+  calendarTimezone,
+  loadCalendarEvents,
+  listOccurrences,
+  resolveRange,
+  detectRange,
+  createCalendarEvent,
+  calendarError,
+  describeOccurrence
+} from '../calendar.js';
+
+export const calendarTool = {
+  name: 'calendar',
+  aliases: ['google_calendar', 'google-calendar'],
+  type: 'productivity',
+  description: 'Look up events on the user\'s calendar for a day or date range, or add a new event. ' +
+    'Use action "list" with a range (today, tomorrow, this_week, next_week) or start/end dates, ' +
+    'and action "create" with a title and start time.',
+  parameters: {
+    type: 'object',
+    properties: {
+      action: { type: 'string', description: 'What to do', enum: ['list', 'create'], default: 'list' },
+      range: { type: 'string', description: 'Named period to list', enum: CALENDAR_RANGES },
+      start: { type: 'string', description: 'ISO date or date-time; without an offset it is read in the user\'s timezone' },
+      end: { type: 'string', description: 'ISO date or date-time the listing or event ends at' },
+      days: { type: 'integer', description: 'Days to list from start when no end is given', minimum: 1, maximum: 90, default: 7 },
+      query: { type: 'string', description: 'Only list events whose title, location or notes contain this' },
+      title: { type: 'string', description: 'Title of the event to create', minLength: 1, maxLength: 200 },
+      duration_minutes: { type: 'integer', description: 'Length of the event to create when no end is given', minimum: 5, maximum: 1440 },
+      all_day: { type: 'boolean', description: 'Create an all-day event', default: false },
+      location: { type: 'string', description: 'Where the event takes place' },
+      description: { type: 'string', description: 'Notes for the event' },
+      recurrence: { type: 'string', description: 'iCalendar RRULE for repeating events, e.g. FREQ=WEEKLY;BYDAY=MO' }
+    }
+  },
+  configuration: {
+    type: 'object',
+    properties: {
+      source: { type: 'string', description: 'Where events come from besides ones created here', enum: ['stored', 'url'], default: 'stored' },
+      ics_url: { type: 'string', description: 'Public iCalendar feed URL (http, https or webcal)' },
+      timezone: { type: 'string', description: 'IANA timezone used to read and show times' },
+      default_duration: { type: 'integer', description: 'Minutes for new events without an end', minimum: 5, maximum: 1440 },
+      reminder_minutes: { type: 'integer', description: 'Reminder added to exported events', minimum: 0, maximum: 10080 }
+    }
+  },
+  credentials: {
+    type: 'object',
+    properties: {
+      ics_url: { type: 'string', description: 'Private iCalendar feed URL; kept encrypted', minLength: 1 }
+    }
+  },
+  permissions: ['calendar:read', 'calendar:write'],
+  triggers: ['calendar', 'meeting', 'schedule', 'agenda'],
+
+  fromMessage: message => ({ action: 'list', range: detectRange(message) }),
+
+  summarize: result => {
+    if (result.created) return `Added to your calendar: ${result.created.title} (${result.created.local})`;
+    if (!result.events?.length) return `Nothing on your calendar for ${result.range.label}`;
+    return `On your calendar for ${result.range.label}: ${result.events.slice(0, 3).map(e => `${e.title} (${e.local})`).join(', ')}`;
+  },
+
+  async execute(params, { supabase, userId, toolConfig, credentials, signal }) {
+    const settings = toolConfig?.configuration || {};
+    const timezone = calendarTimezone(settings);
+
+    if (params.action === 'create') {
+      if (!params.title || !params.start) throw calendarError('Creating an event needs a title and a start');
+      const event = await createCalendarEvent(supabase, userId, params, settings);
+      return { created: describeOccurrence(event, timezone), timezone };
+    }
+
+    const range = resolveRange(params, timezone);
+    const events = await loadCalendarEvents(supabase, userId, settings, { credentials, signal });
+    const occurrences = listOccurrences(events, { ...range, query: params.query });
+
+    return {
+      range: {
+        start: range.start.toISOString(),
+        end: range.end.toISOString(),
+        label: params.range ? params.range.replace('_', ' ') : `${params.start || 'now'} to ${params.end || `+${params.days} days`}`
+      },
+      timezone,
+      events: occurrences.map(event => describeOccurrence(event, timezone)),
+      total: occurrences.length
+    };
+  }
+};
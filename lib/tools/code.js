@@ -0,0 +1,54 @@
+// lib/tools/code.js - run_code: executes a JavaScript snippet in the sandbox and reports what happened
+import { runJavaScript, isSandboxable, SANDBOX_LIMITS } from '../sandbox.js';
+
+export const runCodeTool = {
+  name: 'run_code',
+  aliases: ['code_interpreter', 'run-code'],
+  type: 'analysis',
+  description: 'Run a JavaScript snippet in an isolated sandbox and get its console output, return value and any error. ' +
+    'Use it to check code before presenting it. There is no require/import, network, filesystem or timers; ' +
+    'the value of the last expression (or a top-level return when using await) is the result.',
+  parameters: {
+    type: 'object',
+    properties: {
+      code: { type: 'string', description: 'JavaScript source', minLength: 1, maxLength: 20000 },
+      language: { type: 'string', description: 'Only JavaScript runs', enum: ['javascript'], default: 'javascript' },
+      timeout_ms: { type: 'integer', description: 'Time limit for the run', minimum: 10, maximum: SANDBOX_LIMITS.maxTimeoutMs }
+    },
+    required: ['code']
+  },
+  configuration: {
+    type: 'object',
+    properties: {
+      timeout_seconds: { type: 'number', description: 'Default time limit per run', minimum: 0.01, maximum: 30 },
+      memory_mb: { type: 'integer', description: 'Heap limit per run', minimum: 16, maximum: SANDBOX_LIMITS.maxMemoryMb }
+    }
+  },
+  permissions: ['code:execute'],
+  enabledByDefault: true,
+
+  summarize: result => result.ok
+    ? `The code ran${result.stdout ? `, printing: ${result.stdout.substring(0, 200)}` : ''}${result.result !== null ? ` and returned ${result.result.substring(0, 200)}` : ''}`
+    : `The code failed: ${result.error.name}: ${result.error.message}`,
+
+  async execute({ code, timeout_ms }, { toolConfig, signal }) {
+    const settings = toolConfig?.configuration || {};
+    const configuredMs = settings.timeout_seconds ? settings.timeout_seconds * 1000 : SANDBOX_LIMITS.timeoutMs;
+
+    const run = await runJavaScript(code, {
+      timeoutMs: Math.min(timeout_ms || configuredMs, configuredMs, SANDBOX_LIMITS.maxTimeoutMs),
+      memoryMb: settings.memory_mb || SANDBOX_LIMITS.memoryMb,
+      signal
+    });
+
+    const { output, ...result } = run;
+    return {
+      language: 'javascript',
+      ...result,
+      // A hint for the model when the failure is the sandbox, not the code
+      unsupported: !run.ok && !isSandboxable(code)
+        ? 'The snippet uses APIs the sandbox does not provide (require, process, timers, network or DOM)'
+        : undefined
+    };
+  }
+};
@@ -0,0 +1,122 @@
+// lib/tools/confirmations.js - Actions a tool prepares but only runs once the user confirms them
+//
+// A tool that acts on the outside world (sending a message, say) returns a
+// pending confirmation instead of acting. The client shows the preview and
+// calls the confirm endpoint; claiming flips the row from 'pending' in a
+// single conditional update, so each confirmation runs at most once.
+
+export const CONFIRMATION_TTL_MS = (parseInt(process.env.TOOL_CONFIRMATION_TTL_SECONDS, 10) || 15 * 60) * 1000;
+
+// Stores the action and returns what the tool hands back to the client
+export async function createConfirmation(supabase, userId, { tool, action, preview, conversationId = null }) {
+  const expiresAt = new Date(Date.now() + CONFIRMATION_TTL_MS);
+
+  const { data, error } = await supabase
+    .from('tool_confirmations')
+    .insert({
+      user_id: userId,
+      tool_name: tool.name,
+      action,
+      preview,
+      conversation_id: conversationId,
+      status: 'pending',
+      expires_at: expiresAt.toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+  return { id: data.id, tool: tool.name, preview, expiresAt: expiresAt.toISOString() };
+}
+
+export async function loadConfirmation(supabase, userId, id) {
+  const { data, error } = await supabase
+    .from('tool_confirmations')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw confirmationError('confirmation_not_found', 'No such confirmation');
+  return data;
+}
+
+export async function listPendingConfirmations(supabase, userId) {
+  const { data, error } = await supabase
+    .from('tool_confirmations')
+    .select('id, tool_name, preview, conversation_id, expires_at, created_at')
+    .eq('user_id', userId)
+    .eq('status', 'pending')
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Marks a pending, unexpired confirmation as confirmed and returns it;
+// explains why when it can't
+export async function claimConfirmation(supabase, userId, id) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('tool_confirmations')
+    .update({ status: 'confirmed', resolved_at: now })
+    .eq('id', id)
+    .eq('user_id', userId)
+    .eq('status', 'pending')
+    .gt('expires_at', now)
+    .select('*');
+
+  if (error) throw error;
+  if (data?.[0]) return data[0];
+
+  const existing = await loadConfirmation(supabase, userId, id);
+  if (existing.status !== 'pending') {
+    throw confirmationError('confirmation_used', `This action was already ${existing.status}`);
+  }
+  throw confirmationError('confirmation_expired', 'This confirmation has expired; ask again to prepare a new one');
+}
+
+export async function cancelConfirmation(supabase, userId, id) {
+  const { data, error } = await supabase
+    .from('tool_confirmations')
+    .update({ status: 'cancelled', resolved_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('user_id', userId)
+    .eq('status', 'pending')
+    .select('id');
+
+  if (error) throw error;
+  if (!data?.[0]) {
+    const existing = await loadConfirmation(supabase, userId, id);
+    throw confirmationError('confirmation_used', `This action was already ${existing.status}`);
+  }
+}
+
+// Records how a confirmed action went
+export async function completeConfirmation(supabase, userId, id, { result = null, error = null }) {
+  const { error: updateError } = await supabase
+    .from('tool_confirmations')
+    .update({
+      status: error ? 'failed' : 'confirmed',
+      result: error ? { error: error.message } : result
+    })
+    .eq('id', id)
+    .eq('user_id', userId);
+
+  if (updateError) console.error('Failed to record confirmation result:', updateError);
+}
+
+// Pending confirmations among tool results, for chat responses
+export function collectConfirmations(results) {
+  return results
+    .filter(entry => entry.success && entry.result?.confirmation)
+    .map(entry => entry.result.confirmation);
+}
+
+function confirmationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
@@ -0,0 +1,278 @@
+// lib/tools/http-request.js - http_request: calls the user's own REST APIs within the base URLs they allowed
+//
+// Only URLs under one of configuration.allowed_base_urls (same origin, path
+// at or below the base's) are requested, with the methods in
+// allowed_methods (GET unless the user opens more). Default headers and a
+// bearer token come from the encrypted credentials and can't be overridden
+// by the model. Requests go through the SSRF guard, so private and
+// reserved addresses are refused unless the operator allows them with
+// OUTBOUND_ALLOWED_CIDRS (see lib/net-guard.js). Only GET and HEAD run
+// straight away; other methods change something with the user's
+// credentials, so they wait for the user to confirm, like send_message.
+import { guardedFetch, readLimited } from '../net-guard.js';
+import { queryJsonPath } from '../jsonpath.js';
+import { createConfirmation } from './confirmations.js';
+
+export const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const DEFAULT_MAX_RESPONSE_BYTES = 1024 * 1024;
+const MAX_RESPONSE_BYTES = 5 * 1024 * 1024;
+// What goes back to the model; larger bodies are cut, with a hint to extract
+const MAX_RESULT_CHARS = 20000;
+
+// Set by the tool rather than the model
+const RESERVED_HEADERS = ['host', 'content-length', 'connection', 'transfer-encoding', 'upgrade', 'te', 'trailer', 'keep-alive', 'proxy-authorization'];
+const SAFE_METHODS = ['GET', 'HEAD'];
+const RESPONSE_HEADERS = ['content-type', 'content-length', 'location', 'retry-after', 'etag', 'last-modified', 'link', 'x-request-id', 'x-ratelimit-remaining', 'x-ratelimit-reset'];
+
+export const httpRequestTool = {
+  name: 'http_request',
+  aliases: ['http-request', 'api_request'],
+  type: 'integration',
+  description: 'Call one of the user\'s configured REST APIs. Give a path relative to the configured API (or a full URL under an allowed base URL), ' +
+    'and use extract (a JSONPath such as $.data[*].name) to return only the fields you need. ' +
+    'Methods other than GET and HEAD are not sent until the user confirms, so tell them it is waiting for their confirmation.',
+  parameters: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', description: 'Path relative to the first allowed base URL, e.g. "users/42", or a full URL under an allowed base', minLength: 1 },
+      method: { type: 'string', description: 'HTTP method; only the ones the user allowed will run', enum: HTTP_METHODS, default: 'GET' },
+      query: { type: 'object', description: 'Query string parameters' },
+      headers: { type: 'object', description: 'Extra request headers' },
+      body: { type: ['object', 'array', 'string'], description: 'Request body; objects and arrays are sent as JSON' },
+      extract: { type: 'string', description: 'JSONPath applied to a JSON response, e.g. $.items[?(@.status == \'open\')].id' }
+    },
+    required: ['url']
+  },
+  configuration: {
+    type: 'object',
+    properties: {
+      allowed_base_urls: { type: 'array', description: 'Base URLs requests may go to, e.g. "https://api.example.com/v1"', items: { type: 'string', minLength: 1 }, default: [] },
+      allowed_methods: { type: 'array', description: 'Methods the brain may use', items: { type: 'string', enum: HTTP_METHODS }, default: ['GET'] },
+      default_extract: { type: 'string', description: 'JSONPath used when a call gives none' },
+      max_response_bytes: { type: 'integer', description: 'Stop reading responses after this many bytes', minimum: 1024, maximum: MAX_RESPONSE_BYTES }
+    }
+  },
+  credentials: {
+    type: 'object',
+    properties: {
+      headers: { type: 'object', description: 'Headers sent with every request, e.g. { "X-API-Key": "..." }' },
+      bearer_token: { type: 'string', description: 'Sent as "Authorization: Bearer ..."', minLength: 1 }
+    }
+  },
+  permissions: ['network:read'],
+
+  summarize: result => result.confirmation
+    ? `Ready to send ${result.method} ${result.url} - confirm to send it`
+    : `${result.method} ${result.url} answered ${result.status}` +
+      (result.extracted ? `: ${JSON.stringify(result.extracted).substring(0, 200)}` : ''),
+
+  async execute(params, { supabase, userId, conversationId, toolConfig, credentials, signal, tool }) {
+    const settings = toolConfig?.configuration || {};
+    const bases = allowedBases(settings);
+    const method = params.method || 'GET';
+    assertMethodAllowed(method, settings);
+
+    const target = resolveTarget(params.url, bases);
+    Object.entries(params.query || {}).forEach(([key, value]) => {
+      (Array.isArray(value) ? value : [value])
+        .filter(item => item !== undefined && item !== null)
+        .forEach(item => target.searchParams.append(key, typeof item === 'object' ? JSON.stringify(item) : String(item)));
+    });
+
+    if (SAFE_METHODS.includes(method)) return sendRequest(params, target, method, settings, bases, credentials, signal);
+
+    // The stored action holds only what the model asked for; credentials
+    // are read again when it is confirmed
+    const action = {
+      method,
+      url: target.toString(),
+      headers: params.headers || {},
+      body: params.body ?? null,
+      extract: params.extract || null
+    };
+    const confirmation = await createConfirmation(supabase, userId, {
+      tool,
+      action,
+      preview: `${method} ${action.url}${action.body !== null ? `: ${clip(typeof action.body === 'string' ? action.body : JSON.stringify(action.body), 200)}` : ''}`,
+      conversationId
+    });
+
+    return { status: 'pending_confirmation', method, url: action.url, body: action.body, confirmation };
+  },
+
+  // Runs when the user confirms; the allowed URLs and methods are checked
+  // again so settings changed in between apply
+  async confirm(action, { toolConfig, credentials, signal }) {
+    const settings = toolConfig?.configuration || {};
+    const bases = allowedBases(settings);
+    assertMethodAllowed(action.method, settings);
+    const target = resolveTarget(action.url, bases);
+
+    return sendRequest(action, target, action.method, settings, bases, credentials, signal);
+  }
+};
+
+async function sendRequest(params, target, method, settings, bases, credentials, signal) {
+  const { headers, body, credentialHeaders } = buildRequest(params, credentials || {}, method);
+  const response = await guardedFetch(target, {
+    method,
+    headers,
+    body,
+    signal,
+    label: 'The request URL',
+    credentialHeaders,
+    // A redirect out of the allowed APIs is refused like a direct request
+    onRedirect: next => assertAllowed(next, bases)
+  });
+
+  const maxBytes = Math.min(settings.max_response_bytes || DEFAULT_MAX_RESPONSE_BYTES, MAX_RESPONSE_BYTES);
+  const { buffer, truncated } = await readLimited(response, maxBytes);
+  const text = buffer.toString('utf8');
+  const contentType = response.headers.get('content-type') || '';
+
+  const result = {
+    method,
+    url: target.toString(),
+    status: response.status,
+    ok: response.ok,
+    headers: Object.fromEntries(RESPONSE_HEADERS.filter(name => response.headers.has(name)).map(name => [name, response.headers.get(name)])),
+    truncated
+  };
+
+  const data = parseBody(text, contentType);
+  const extract = params.extract || settings.default_extract;
+  if (extract) {
+    if (typeof data === 'string') {
+      throw httpRequestError('invalid_params', `extract needs a JSON response, but ${result.url} sent ${contentType || 'no content type'}`);
+    }
+    const extracted = limitResult(queryJsonPath(data, extract), result);
+    return { ...result, extract, extracted };
+  }
+
+  const limited = limitResult(data, result);
+  return { ...result, data: limited };
+}
+
+function assertMethodAllowed(method, settings) {
+  const allowedMethods = (settings.allowed_methods || ['GET']).map(entry => entry.toUpperCase());
+  if (!allowedMethods.includes(method)) {
+    throw httpRequestError('permission_denied', `${method} is not allowed; allowed methods: ${allowedMethods.join(', ')}`);
+  }
+}
+
+// Parsed once per call; a bad entry is the user's to fix
+function allowedBases(settings) {
+  const configured = settings.allowed_base_urls || [];
+  if (configured.length === 0) {
+    throw httpRequestError('invalid_params', 'No APIs are configured; add allowed_base_urls to the http_request settings');
+  }
+
+  return configured.map(entry => {
+    let base;
+    try {
+      base = new URL(entry);
+    } catch {
+      throw httpRequestError('invalid_params', `allowed_base_urls entry "${entry}" is not a valid URL`);
+    }
+    if (!['http:', 'https:'].includes(base.protocol)) {
+      throw httpRequestError('invalid_params', `allowed_base_urls entry "${entry}" must be an http(s) URL`);
+    }
+    base.search = '';
+    base.hash = '';
+    return base;
+  });
+}
+
+// Relative paths are read from the first base, keeping its path
+// ("users/1" under https://api.example.com/v1 is /v1/users/1)
+function resolveTarget(url, bases) {
+  let target;
+  try {
+    target = /^[a-z][a-z0-9+.-]*:/i.test(url)
+      ? new URL(url)
+      : new URL(url.replace(/^\/+/, ''), bases[0].href.endsWith('/') ? bases[0].href : `${bases[0].href}/`);
+  } catch {
+    throw httpRequestError('invalid_params', `Not a valid URL: ${url}`);
+  }
+
+  assertAllowed(target, bases);
+  return target;
+}
+
+// Same origin, and the path is the base's or below it. URL parsing has
+// already resolved dot segments, so "/v1/../admin" can't slip past.
+function assertAllowed(target, bases) {
+  const allowed = bases.some(base => {
+    if (target.origin !== base.origin) return false;
+    const prefix = base.pathname.replace(/\/+$/, '');
+    return !prefix || target.pathname === prefix || target.pathname.startsWith(`${prefix}/`);
+  });
+
+  if (!allowed) {
+    throw httpRequestError('permission_denied', `${target.origin}${target.pathname} is outside the allowed APIs: ${bases.map(base => base.href).join(', ')}`);
+  }
+}
+
+function buildRequest(params, credentials, method) {
+  const headers = { Accept: 'application/json, text/*;q=0.9, */*;q=0.8' };
+
+  Object.entries(params.headers || {}).forEach(([name, value]) => {
+    if (!RESERVED_HEADERS.includes(name.toLowerCase()) && value !== undefined && value !== null) headers[name] = String(value);
+  });
+
+  let body = null;
+  if (params.body !== undefined && params.body !== null) {
+    if (['GET', 'HEAD'].includes(method)) {
+      throw httpRequestError('invalid_params', `${method} requests can't have a body; use query instead`);
+    }
+    const isText = typeof params.body === 'string';
+    body = isText ? params.body : JSON.stringify(params.body);
+    if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+      headers['Content-Type'] = isText ? 'text/plain; charset=utf-8' : 'application/json';
+    }
+  }
+
+  // The user's own headers win over anything the model asked for
+  const configured = { ...(credentials.headers || {}) };
+  if (credentials.bearer_token) configured.Authorization = `Bearer ${credentials.bearer_token}`;
+  Object.entries(configured).forEach(([name, value]) => {
+    Object.keys(headers).filter(existing => existing.toLowerCase() === name.toLowerCase()).forEach(existing => delete headers[existing]);
+    headers[name] = String(value);
+  });
+
+  return { headers, body, credentialHeaders: Object.keys(configured) };
+}
+
+function parseBody(text, contentType) {
+  if (!text) return null;
+  if (/json/i.test(contentType) || /^\s*[[{]/.test(text)) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      // A cut-off or mislabelled body is returned as text
+    }
+  }
+  return text;
+}
+
+// Keeps what reaches the model small; marks the result when it was cut
+function limitResult(value, result) {
+  const serialized = typeof value === 'string' ? value : JSON.stringify(value);
+  if (!serialized || serialized.length <= MAX_RESULT_CHARS) return value;
+
+  result.truncated = true;
+  result.hint = 'The response was cut; use extract to pick the fields you need';
+  return `${serialized.substring(0, MAX_RESULT_CHARS)}...(truncated)`;
+}
+
+function clip(text, length) {
+  return text.length > length ? `${text.substring(0, length)}...` : text;
+}
+
+export function httpRequestError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = { errors: [message] };
+  return error;
+}
@@ -0,0 +1,372 @@
+// lib/tools/index.js - Tool registry: one definition drives listing, validation, execution and function calling
+//
+// A tool definition looks like:
+//   {
+//     name: 'memory_search',            // canonical snake_case name
+//     aliases: ['memory-search'],       // older names still accepted
+//     type: 'cognitive',                // brain_tools.tool_type
+//     description: '...',
+//     parameters: { JSON Schema },      // validated before every run
+//     configuration: { JSON Schema },   // per-user brain_tools.configuration
+//     credentials: { JSON Schema },     // per-user secrets, write-only over the API
+//     permissions: ['memory:read'],     // capabilities the executor needs
+//     enabledByDefault: true,           // runs in chat without a brain_tools row
+//     triggers: ['remember', ...],      // keywords that suggest it without an LLM
+//     fromMessage: message => params,   // params for keyword-suggested runs
+//     summarize: result => '...',       // one line for the reply enhancement
+//     cite: result => [{ citation, title, url }], // sources listed under the reply
+//     execute: async (params, context) => result,
+//     confirm: async (action, context) => result // runs actions execute left for the user to confirm
+//     remote: { serverId, server, tool } // set on tools proxied from an MCP server (see mcp.js)
+//   }
+//
+// MCP tools are not registered: they are built per user from brain_tools
+// rows and come back from getEnabledTools alongside the registry's.
+import { validateParams } from './validate.js';
+import { decryptCredentials } from '../credentials.js';
+import { recordToolUsage, claimToolRun } from './usage.js';
+import { checkToolLimits, resolveToolLimits, withTimeout, LIMIT_SETTINGS_SCHEMA } from './limits.js';
+import { loadConfirmation, claimConfirmation, completeConfirmation } from './confirmations.js';
+import { memorySearchTool } from './memory.js';
+import { analyzeConversationTool, optimizeMemoryTool, generateInsightsTool } from './insights.js';
+import { webSearchTool } from './web-search.js';
+import { calendarTool } from './calendar.js';
+import { spreadsheetTool } from './spreadsheet.js';
+import { sendMessageTool } from './messaging.js';
+import { runCodeTool } from './code.js';
+import { httpRequestTool } from './http-request.js';
+import { mcpToolsFromRows, refreshMcpServers } from './mcp.js';
+
+export const TOOL_PERMISSIONS = ['memory:read', 'memory:write', 'training:read', 'network:read', 'calendar:read', 'calendar:write', 'data:read', 'messaging:send', 'code:execute', 'mcp:call'];
+
+// What a model may do on its own when it calls tools during chat. Tools
+// with outside effects (messaging) only draft; the user confirms them.
+export const AGENT_PERMISSIONS = ['memory:read', 'training:read', 'network:read', 'calendar:read', 'calendar:write', 'data:read', 'messaging:send', 'code:execute', 'mcp:call'];
+
+const tools = new Map();
+const aliases = new Map();
+
+export function registerTool(definition) {
+  if (!definition?.name || typeof definition.execute !== 'function') {
+    throw new Error('A tool needs a name and an execute function');
+  }
+
+  const unknownPermissions = (definition.permissions || []).filter(p => !TOOL_PERMISSIONS.includes(p));
+  if (unknownPermissions.length > 0) {
+    throw new Error(`Tool ${definition.name} requests unknown permissions: ${unknownPermissions.join(', ')}`);
+  }
+
+  tools.set(definition.name, { permissions: [], aliases: [], triggers: [], ...definition });
+  (definition.aliases || []).forEach(alias => aliases.set(alias, definition.name));
+}
+
+// Accepts canonical names, registered aliases and hyphenated spellings
+export function normalizeToolName(name) {
+  if (!name) return null;
+  if (tools.has(name)) return name;
+  if (aliases.has(name)) return aliases.get(name);
+
+  const underscored = String(name).trim().toLowerCase().replace(/-/g, '_');
+  return tools.has(underscored) ? underscored : null;
+}
+
+export function getTool(name) {
+  const canonical = normalizeToolName(name);
+  return canonical ? tools.get(canonical) : null;
+}
+
+export function listTools() {
+  return [...tools.values()];
+}
+
+// What the list endpoint and UIs see
+export function describeTool(tool) {
+  return {
+    name: tool.name,
+    aliases: tool.aliases,
+    type: tool.type,
+    description: tool.description,
+    parameters: tool.parameters,
+    configuration: tool.configuration || null,
+    credentialFields: Object.keys(tool.credentials?.properties || {}),
+    permissions: tool.permissions,
+    enabledByDefault: Boolean(tool.enabledByDefault)
+  };
+}
+
+// A tool as one user sees it: the definition plus their brain_tools row.
+// Credentials are never included, only whether they are set.
+export function describeUserTool(tool, row = null) {
+  return {
+    ...describeTool(tool),
+    enabled: row ? Boolean(row.is_enabled) : Boolean(tool.enabledByDefault),
+    status: row?.status || (tool.enabledByDefault ? 'active' : 'inactive'),
+    settings: row?.configuration || {},
+    hasCredentials: Boolean(row?.credentials_encrypted),
+    limits: {
+      ...resolveToolLimits(tool, row),
+      consecutiveFailures: row?.consecutive_failures || 0,
+      circuitOpenUntil: row?.circuit_open_until || null,
+      rateLimitReset: row?.rate_limit_reset || null
+    },
+    usage: {
+      usageCount: row?.usage_count || 0,
+      successRate: row?.success_rate ?? 1.0,
+      averageResponseTime: row?.average_response_time ?? null,
+      errorCount: row?.error_count || 0,
+      lastError: row?.last_error || null,
+      lastUsed: row?.last_used || null,
+      dailyUsageCount: row?.daily_usage_count || 0,
+      monthlyUsageCount: row?.monthly_usage_count || 0
+    },
+    updatedAt: row?.updated_at || null
+  };
+}
+
+// Checks configuration/credentials against the tool's schemas. Tools
+// without a schema accept neither, apart from the shared limit settings.
+export function validateToolSettings(tool, { configuration, credentials } = {}) {
+  const result = { errors: [] };
+
+  [['configuration', configuration], ['credentials', credentials]].forEach(([key, input]) => {
+    if (input === undefined || input === null) return;
+
+    const schema = { additionalProperties: false, properties: {}, ...(tool[key] || {}), type: 'object' };
+    if (key === 'configuration') schema.properties = { ...LIMIT_SETTINGS_SCHEMA, ...schema.properties };
+    const { value, errors } = validateParams(schema, input);
+    result[key] = value;
+    result.errors.push(...errors.map(error => error.replace(/^params/, key)));
+  });
+
+  return result;
+}
+
+// Provider-neutral function definitions for LLM function calling
+export function getFunctionDefinitions(names = null) {
+  const selected = names ? names.map(getTool).filter(Boolean) : listTools();
+  return selected.map(toFunctionDefinition);
+}
+
+export function toFunctionDefinition(tool) {
+  return {
+    name: tool.name,
+    description: tool.description,
+    parameters: tool.parameters || { type: 'object', properties: {} }
+  };
+}
+
+// Keyword suggestions for the non-LLM path
+export function suggestTools(message) {
+  const lower = (message || '').toLowerCase();
+  return listTools()
+    .filter(tool => tool.triggers.some(trigger => lower.includes(trigger)))
+    .map(tool => tool.name);
+}
+
+// Whether a tool may run for this user given their brain_tools rows
+export function isToolEnabled(tool, userTools = []) {
+  const row = findUserTool(tool, userTools);
+  return row ? Boolean(row.is_enabled) : Boolean(tool.enabledByDefault);
+}
+
+export function findUserTool(tool, userTools = []) {
+  // MCP tools share their server's row
+  if (tool.remote) return userTools.find(t => t.id === tool.remote.serverId) || null;
+  return userTools.find(t => normalizeToolName(t.tool_name) === tool.name) || null;
+}
+
+// The user's brain_tools rows plus the registry tools they have enabled and
+// the allowed tools of their MCP servers. With `refreshMcp`, servers whose
+// tool list is stale are asked again first (see mcp.js).
+export async function getEnabledTools(supabase, userId, { refreshMcp = false } = {}) {
+  const { data, error } = await supabase
+    .from('brain_tools')
+    .select('*')
+    .eq('user_id', userId);
+
+  if (error) console.error('Failed to load brain tools:', error);
+
+  const userTools = refreshMcp ? await refreshMcpServers(supabase, data || []) : data || [];
+
+  return {
+    userTools,
+    tools: [
+      ...listTools().filter(tool => isToolEnabled(tool, userTools)),
+      ...mcpToolsFromRows(userTools)
+    ]
+  };
+}
+
+export function toolError(code, message, details = null) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+// Validates, checks permissions, then runs the tool. `name` may also be a
+// definition outside the registry (an MCP tool from getEnabledTools).
+// context: { supabase, userId, permissions, toolConfig, userTools, message, conversationId, actionType }
+// `permissions` is what the caller grants; omit it to grant everything
+// (the owner invoking a tool directly). Stored credentials are decrypted
+// here, just before the run, and reach the executor as `credentials`.
+// Runs are refused while a quota is used up or the circuit is open, and
+// abandoned after the tool's timeout (executors get an AbortSignal).
+export async function executeTool(name, params = {}, context = {}) {
+  const tool = typeof name === 'object' ? name : getTool(name);
+  if (!tool) {
+    throw toolError('unknown_tool', `Unknown tool: ${name}`, { availableTools: listTools().map(t => t.name) });
+  }
+
+  context = await admitToolRun(tool, context);
+
+  const { timeoutMs } = resolveToolLimits(tool, context.toolConfig);
+  const startedAt = Date.now();
+  let value = params;
+
+  try {
+    const validated = validateParams(tool.parameters, params);
+    value = validated.value;
+    if (validated.errors.length > 0) {
+      throw toolError('invalid_params', `Invalid parameters for ${tool.name}`, { errors: validated.errors });
+    }
+
+    const result = await withTimeout(
+      signal => tool.execute(value, executorContext(tool, context, signal)),
+      timeoutMs,
+      () => toolError('timeout', `${tool.name} timed out after ${timeoutMs}ms`)
+    );
+
+    await logUsage(tool, context, { params: value, result, durationMs: Date.now() - startedAt });
+    return { tool: tool.name, params: value, result };
+  } catch (error) {
+    await logUsage(tool, context, { params: value, error, durationMs: Date.now() - startedAt });
+    throw error;
+  }
+}
+
+// Runs an action a tool left pending (see confirmations.js). The
+// confirmation is only claimed once the tool is allowed to run, so a quota
+// or open circuit leaves it pending for a later try.
+// context: as for executeTool, with `userTools` holding the user's rows
+export async function confirmToolAction(confirmationId, context) {
+  const { supabase, userId } = context;
+  const pending = await loadConfirmation(supabase, userId, confirmationId);
+
+  const tool = getTool(pending.tool_name);
+  if (!tool?.confirm) {
+    throw toolError('unknown_tool', `Tool ${pending.tool_name} has no confirmable actions`, { availableTools: listTools().map(t => t.name) });
+  }
+
+  const toolContext = await admitToolRun(tool, { ...context, toolConfig: findUserTool(tool, context.userTools || []), actionType: 'confirm' });
+
+  const claimed = await claimConfirmation(supabase, userId, confirmationId);
+  const { timeoutMs } = resolveToolLimits(tool, toolContext.toolConfig);
+  const params = { confirmation_id: claimed.id, ...claimed.action };
+  const startedAt = Date.now();
+
+  try {
+    const result = await withTimeout(
+      signal => tool.confirm(claimed.action, executorContext(tool, { ...toolContext, conversationId: claimed.conversation_id }, signal)),
+      timeoutMs,
+      () => toolError('timeout', `${tool.name} timed out after ${timeoutMs}ms`)
+    );
+
+    await completeConfirmation(supabase, userId, claimed.id, { result });
+    await logUsage(tool, toolContext, { params, result, durationMs: Date.now() - startedAt });
+    return { tool: tool.name, confirmationId: claimed.id, result };
+  } catch (error) {
+    // Uncoded errors come from the action itself (e.g. the webhook refusing it)
+    error.code = error.code || 'action_failed';
+    await completeConfirmation(supabase, userId, claimed.id, { error });
+    await logUsage(tool, toolContext, { params, error, durationMs: Date.now() - startedAt });
+    throw error;
+  }
+}
+
+// Permission, quota and circuit-breaker checks. With a database the run
+// is counted against the quota here, in the same statement that checks it.
+// Skips are not runs, so they aren't logged. Returns the context to run
+// with: toolConfig is the fresh row, claimedRun whether it was counted.
+async function admitToolRun(tool, context) {
+  const granted = context.permissions || TOOL_PERMISSIONS;
+  const missing = tool.permissions.filter(permission => !granted.includes(permission));
+  if (missing.length > 0) {
+    throw toolError('permission_denied', `Tool ${tool.name} needs permissions: ${missing.join(', ')}`, { missing });
+  }
+
+  let toolConfig = context.toolConfig;
+  let blocked;
+  let claimedRun = false;
+  if (context.supabase && context.userId) {
+    ({ row: toolConfig, blocked, claimed: claimedRun } = await claimToolRun(context.supabase, context.userId, tool, context.toolConfig));
+  } else {
+    blocked = checkToolLimits(tool, toolConfig);
+  }
+
+  if (blocked) {
+    throw toolError(blocked.code, `${tool.name} is unavailable: ${blocked.reason}`, {
+      reason: blocked.reason,
+      retryAt: blocked.retryAt
+    });
+  }
+  return { ...context, toolConfig, claimedRun };
+}
+
+// What executors see: the row without its ciphertext, decrypted credentials
+// and the abort signal
+function executorContext(tool, context, signal) {
+  const { credentials_encrypted: storedCredentials, ...toolConfig } = context.toolConfig || {};
+  let credentials = null;
+  if (tool.credentials && storedCredentials) {
+    try {
+      credentials = decryptCredentials(storedCredentials);
+    } catch (error) {
+      throw toolError('credentials_unavailable', `Credentials for ${tool.name} could not be read: ${error.message}`);
+    }
+  }
+
+  return {
+    ...context,
+    tool,
+    toolConfig: context.toolConfig ? toolConfig : null,
+    credentials,
+    signal
+  };
+}
+
+// Every run past the permission check is logged against the user's row.
+// context.actionType says where the call came from ('api', 'keyword',
+// 'function_call'); context.conversationId ties it to a chat.
+async function logUsage(tool, context, outcome) {
+  if (!context.supabase || !context.userId) return;
+
+  const updated = await recordToolUsage(context.supabase, context.userId, {
+    tool,
+    row: context.toolConfig,
+    claimed: context.claimedRun,
+    conversationId: context.conversationId,
+    actionType: context.actionType,
+    ...outcome
+  });
+
+  // Later calls in the same request count on from the fresh row
+  if (updated && context.userTools) {
+    const index = context.userTools.findIndex(row => row.id === updated.id);
+    if (index >= 0) context.userTools[index] = updated;
+    else context.userTools.push(updated);
+  }
+}
+
+[
+  memorySearchTool,
+  webSearchTool,
+  calendarTool,
+  spreadsheetTool,
+  sendMessageTool,
+  runCodeTool,
+  httpRequestTool,
+  analyzeConversationTool,
+  optimizeMemoryTool,
+  generateInsightsTool
+].forEach(registerTool);
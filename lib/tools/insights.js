@@ -0,0 +1,117 @@
+// lib/tools/insights.js - Brain self-analysis tools over the user's training data
+
+export const analyzeConversationTool = {
+  name: 'analyze_conversation',
+  aliases: ['analyze-conversation'],
+  type: 'analysis',
+  description: 'Analyze the user\'s past conversations: how many there are, their average length and the most frequent topics.',
+  parameters: {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', description: 'How many recent conversations to analyze', minimum: 1, maximum: 200, default: 50 }
+    }
+  },
+  permissions: ['training:read'],
+  enabledByDefault: true,
+  triggers: ['analyze', 'analysis'],
+
+  fromMessage: () => ({}),
+
+  async execute({ limit }, { supabase, userId }) {
+    const { data: conversations } = await supabase
+      .from('training_data')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('category', 'conversation')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    return {
+      totalConversations: conversations?.length || 0,
+      averageLength: conversations?.length ? conversations.reduce((acc, c) => acc + c.input.length + c.output.length, 0) / conversations.length : 0,
+      topTopics: extractTopics(conversations || [])
+    };
+  }
+};
+
+export const optimizeMemoryTool = {
+  name: 'optimize_memory',
+  aliases: ['optimize-memory'],
+  type: 'analysis',
+  description: 'Report how much of the user\'s training data is high quality and how much is a candidate for cleanup.',
+  parameters: {
+    type: 'object',
+    properties: {}
+  },
+  permissions: ['training:read'],
+  enabledByDefault: true,
+
+  async execute(params, { supabase, userId }) {
+    const { data: memories } = await supabase
+      .from('training_data')
+      .select('*')
+      .eq('user_id', userId)
+      .order('quality_score', { ascending: false });
+
+    return {
+      totalMemories: memories?.length || 0,
+      highQuality: memories?.filter(m => m.quality_score >= 4.0).length || 0,
+      suggested_cleanup: memories?.filter(m => m.quality_score < 2.0).length || 0
+    };
+  }
+};
+
+export const generateInsightsTool = {
+  name: 'generate_insights',
+  aliases: ['generate-insights'],
+  type: 'analysis',
+  description: 'Summarize the user\'s learning progress: training examples per category with their average quality.',
+  parameters: {
+    type: 'object',
+    properties: {}
+  },
+  permissions: ['training:read'],
+  enabledByDefault: true,
+  triggers: ['progress', 'learning'],
+
+  fromMessage: () => ({}),
+
+  async execute(params, { supabase, userId }) {
+    const { data } = await supabase
+      .from('training_data')
+      .select('category, quality_score')
+      .eq('user_id', userId);
+
+    const categories = {};
+    data?.forEach(item => {
+      if (!categories[item.category]) categories[item.category] = [];
+      categories[item.category].push(item.quality_score);
+    });
+
+    return {
+      categoryBreakdown: Object.keys(categories).map(cat => ({
+        category: cat,
+        count: categories[cat].length,
+        averageQuality: categories[cat].reduce((a, b) => a + b, 0) / categories[cat].length
+      })),
+      recommendations: ['Focus on high-quality examples', 'Diversify training categories', 'Regular model retraining']
+    };
+  }
+};
+
+function extractTopics(conversations) {
+  const topics = {};
+  conversations.forEach(conv => {
+    const words = conv.input.toLowerCase().split(' ');
+    words.forEach(word => {
+      if (word.length > 3) {
+        topics[word] = (topics[word] || 0) + 1;
+      }
+    });
+  });
+
+  return Object.entries(topics)
+    .sort(([,a], [,b]) => b - a)
+    .slice(0, 5)
+    .map(([topic, count]) => ({ topic, count }));
+}
@@ -0,0 +1,142 @@
+// lib/tools/limits.js - Per-tool timeouts, daily/monthly quotas and a circuit breaker
+//
+// Limits come from, in order of precedence: the user's brain_tools
+// configuration (timeout_ms, daily_limit, monthly_limit), the tool
+// definition's `limits`, then these environment defaults.
+export const DEFAULT_TOOL_LIMITS = {
+  timeoutMs: parseInt(process.env.TOOL_TIMEOUT_MS, 10) || 8000,
+  daily: parseInt(process.env.TOOL_DAILY_LIMIT, 10) || 200,
+  monthly: parseInt(process.env.TOOL_MONTHLY_LIMIT, 10) || 3000
+};
+
+// Consecutive failures that open the circuit, and how long it stays open
+export const CIRCUIT_THRESHOLD = parseInt(process.env.TOOL_CIRCUIT_THRESHOLD, 10) || 3;
+export const CIRCUIT_COOLDOWN_MS = parseInt(process.env.TOOL_CIRCUIT_COOLDOWN_MS, 10) || 5 * 60 * 1000;
+
+// Configuration keys every tool accepts, merged into its own schema
+export const LIMIT_SETTINGS_SCHEMA = {
+  timeout_ms: { type: 'integer', description: 'Abandon a run after this many milliseconds', minimum: 100, maximum: 25000 },
+  daily_limit: { type: 'integer', description: 'Runs allowed per day (UTC)', minimum: 1 },
+  monthly_limit: { type: 'integer', description: 'Runs allowed per calendar month (UTC)', minimum: 1 }
+};
+
+// Only failures of the tool itself trip the breaker; bad arguments,
+// missing credentials or URLs the SSRF guard refuses are the caller's problem
+const CALLER_ERRORS = ['invalid_params', 'permission_denied', 'credentials_unavailable', 'invalid_url', 'blocked_destination'];
+
+export function isBreakerFailure(error) {
+  return !CALLER_ERRORS.includes(error?.code);
+}
+
+export function resolveToolLimits(tool, row = null) {
+  const settings = row?.configuration || {};
+  const defined = tool.limits || {};
+
+  return {
+    timeoutMs: settings.timeout_ms || defined.timeoutMs || DEFAULT_TOOL_LIMITS.timeoutMs,
+    daily: settings.daily_limit || defined.daily || DEFAULT_TOOL_LIMITS.daily,
+    monthly: settings.monthly_limit || defined.monthly || DEFAULT_TOOL_LIMITS.monthly
+  };
+}
+
+// Counters are only reset on the next run, so a count from an earlier
+// day or month no longer applies
+export function currentUsage(row, now = new Date()) {
+  const lastUsed = row?.last_used ? new Date(row.last_used) : null;
+  const stamp = lastUsed?.toISOString() || '';
+  const today = now.toISOString();
+
+  return {
+    daily: stamp.substring(0, 10) === today.substring(0, 10) ? row.daily_usage_count || 0 : 0,
+    monthly: stamp.substring(0, 7) === today.substring(0, 7) ? row.monthly_usage_count || 0 : 0
+  };
+}
+
+// Why a run must be skipped right now, or null when it may go ahead.
+// Returns { code, reason, retryAt }.
+export function checkToolLimits(tool, row, now = new Date()) {
+  if (!row) return null;
+
+  if (row.circuit_open_until && new Date(row.circuit_open_until) > now) {
+    return {
+      code: 'circuit_open',
+      reason: `paused after ${row.consecutive_failures || CIRCUIT_THRESHOLD} failures in a row`,
+      retryAt: new Date(row.circuit_open_until).toISOString()
+    };
+  }
+
+  const limits = resolveToolLimits(tool, row);
+  const usage = currentUsage(row, now);
+
+  if (usage.daily >= limits.daily) {
+    return {
+      code: 'quota_exceeded',
+      reason: `daily limit of ${limits.daily} runs reached`,
+      retryAt: nextDay(now).toISOString()
+    };
+  }
+
+  if (usage.monthly >= limits.monthly) {
+    return {
+      code: 'quota_exceeded',
+      reason: `monthly limit of ${limits.monthly} runs reached`,
+      retryAt: nextMonth(now).toISOString()
+    };
+  }
+
+  return null;
+}
+
+// Breaker and quota fields to write after a run, given the counters the
+// run produced (see nextCounters in usage.js)
+export function nextLimitState(tool, row, counters, { success, error = null }, now = new Date()) {
+  const tripsBreaker = !success && isBreakerFailure(error);
+  const consecutiveFailures = success ? 0 : (row.consecutive_failures || 0) + (tripsBreaker ? 1 : 0);
+  const opens = consecutiveFailures >= CIRCUIT_THRESHOLD && tripsBreaker;
+
+  let status = row.status;
+  if (opens) status = 'circuit_open';
+  else if (success && row.status === 'circuit_open') status = row.is_enabled ? 'active' : 'inactive';
+
+  const limits = resolveToolLimits(tool, row);
+  let rateLimitReset = null;
+  if (counters.daily_usage_count >= limits.daily) rateLimitReset = nextDay(now);
+  if (counters.monthly_usage_count >= limits.monthly) rateLimitReset = nextMonth(now);
+
+  return {
+    consecutive_failures: consecutiveFailures,
+    circuit_open_until: opens
+      ? new Date(now.getTime() + CIRCUIT_COOLDOWN_MS).toISOString()
+      : success ? null : row.circuit_open_until || null,
+    status,
+    rate_limit_reset: rateLimitReset ? rateLimitReset.toISOString() : null
+  };
+}
+
+// Runs `task(signal)` and rejects with a timeout error once `timeoutMs`
+// passes; the signal lets fetch-based executors abort their request
+export async function withTimeout(task, timeoutMs, onTimeout) {
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(onTimeout());
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([task(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function nextDay(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+function nextMonth(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
@@ -0,0 +1,141 @@
+// lib/tools/loop.js - Function-calling loop: the model picks tools, we run them and feed results back
+import { generateChat } from '../llm/index.js';
+import { getTool, executeTool, findUserTool, toFunctionDefinition, AGENT_PERMISSIONS } from './index.js';
+import { storableResult } from './usage.js';
+
+export const MAX_TOOL_STEPS = parseInt(process.env.TOOL_LOOP_MAX_STEPS, 10) || 4;
+
+// Tool output fed back to the model is capped so one result can't flood the context
+const MAX_RESULT_CHARS = 4000;
+
+// Offers `tools` to the model and runs whatever it calls, for up to
+// `maxSteps` rounds; the last round is made without tools so the model has
+// to answer. Returns the final text plus a record of every call.
+//
+// context: { supabase, userId, userTools, message, conversationId } is passed to executors.
+// onEvent(name, data) receives 'tool_call' and 'tool_result' as they happen.
+export async function runToolLoop(settings, {
+  messages,
+  tools = [],
+  context = {},
+  maxSteps = MAX_TOOL_STEPS,
+  onToken = null,
+  onEvent = null
+}) {
+  const conversation = [...messages];
+  const definitions = tools.map(toFunctionDefinition);
+  const offered = new Map(tools.map(tool => [tool.name, tool]));
+  const toolCalls = [];
+  const parts = [];
+  let generation = null;
+
+  for (let step = 0; step <= maxSteps; step++) {
+    const canCallTools = step < maxSteps && definitions.length > 0;
+
+    // Keep streamed text from separate rounds visually apart
+    let separated = parts.length === 0;
+    const streamToken = onToken ? token => {
+      if (!separated) {
+        onToken('\n\n');
+        separated = true;
+      }
+      onToken(token);
+    } : null;
+
+    generation = await generateChat(settings, {
+      messages: conversation,
+      tools: canCallTools ? definitions : null
+    }, streamToken);
+
+    if (generation.content) parts.push(generation.content);
+    if (!canCallTools || generation.toolCalls.length === 0) break;
+
+    conversation.push({ role: 'assistant', content: generation.content, toolCalls: generation.toolCalls });
+
+    for (const call of generation.toolCalls) {
+      onEvent?.('tool_call', { id: call.id, name: call.name, arguments: call.arguments, step });
+      const record = await runCall(call, step, offered, context);
+      toolCalls.push(record);
+      onEvent?.('tool_result', {
+        id: call.id,
+        name: record.name,
+        success: record.success,
+        error: record.error,
+        code: record.code,
+        step
+      });
+
+      conversation.push({
+        role: 'tool',
+        toolCallId: call.id,
+        name: record.name,
+        content: truncate(JSON.stringify(record.success
+          ? record.result
+          : { error: record.error, code: record.code, retry_at: record.retryAt }))
+      });
+    }
+  }
+
+  return {
+    content: parts.join('\n\n'),
+    generation,
+    toolCalls,
+    steps: new Set(toolCalls.map(call => call.step)).size
+  };
+}
+
+async function runCall(call, step, offered, context) {
+  const startedAt = Date.now();
+  const tool = offered.get(call.name) || offered.get(getTool(call.name)?.name);
+  const record = {
+    id: call.id,
+    step,
+    name: tool?.name || call.name,
+    arguments: call.arguments
+  };
+
+  // Models sometimes invent tools; only what we offered may run
+  if (!tool) {
+    return { ...record, success: false, error: `Tool ${call.name} is not available`, code: 'unknown_tool', durationMs: 0 };
+  }
+
+  try {
+    const { result } = await executeTool(tool, call.arguments, {
+      ...context,
+      actionType: 'function_call',
+      permissions: AGENT_PERMISSIONS,
+      toolConfig: findUserTool(tool, context.userTools || [])
+    });
+    return { ...record, success: true, result, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    const details = error.details?.errors ? `: ${error.details.errors.join('; ')}` : '';
+    return {
+      ...record,
+      success: false,
+      error: `${error.message}${details}`,
+      code: error.code || 'execution_failed',
+      reason: error.details?.reason || null,
+      retryAt: error.details?.retryAt || null,
+      durationMs: Date.now() - startedAt
+    };
+  }
+}
+
+function truncate(text) {
+  return text.length > MAX_RESULT_CHARS ? `${text.substring(0, MAX_RESULT_CHARS)}...(truncated)` : text;
+}
+
+// What gets stored on the assistant message: results are trimmed for storage
+export function summarizeToolCalls(toolCalls) {
+  return toolCalls.map(call => ({
+    id: call.id,
+    step: call.step,
+    name: call.name,
+    arguments: call.arguments,
+    success: call.success,
+    error: call.error || null,
+    code: call.code || null,
+    result: call.success ? storableResult(call.result) : null,
+    durationMs: call.durationMs
+  }));
+}
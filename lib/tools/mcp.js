@@ -0,0 +1,215 @@
+// lib/tools/mcp.js - Tools from MCP servers the user registered in brain_tools
+//
+// Each server is a brain_tools row named "mcp:<server>" (tool_type 'mcp').
+// Its configuration says how to reach it and which of its tools may be
+// called (allowed_tools; "*" allows all); credentials hold headers, a
+// bearer token or environment variables. Discovered tools are cached on the
+// row and turned into tool definitions like the registry's, so they share
+// validation, limits, the circuit breaker and tool_usage_logs (against the
+// server's row).
+import { decryptCredentials } from '../credentials.js';
+import { discoverMcpTools, callMcpTool, mcpClientError } from '../mcp-client.js';
+
+export const MCP_TOOL_PREFIX = 'mcp:';
+export const MCP_DISCOVERY_TTL_MS = (parseInt(process.env.MCP_DISCOVERY_TTL_SECONDS, 10) || 60 * 60) * 1000;
+
+// Stale servers are re-listed before chat with this budget, so one slow
+// server can't hold up a reply
+const DISCOVERY_TIMEOUT_MS = 5000;
+const MAX_RESULT_TEXT_CHARS = 8000;
+
+// Schemas for validateToolSettings, in the shape of a tool definition
+export const mcpServerSettings = {
+  name: 'mcp_server',
+  configuration: {
+    type: 'object',
+    properties: {
+      transport: { type: 'string', description: 'http for a URL, stdio for a local command', enum: ['http', 'stdio'], default: 'http' },
+      url: { type: 'string', description: 'Streamable HTTP endpoint of the server' },
+      command: { type: 'string', description: 'Executable for a local server (command and args must be allowed by MCP_STDIO_COMMANDS)' },
+      args: { type: 'array', description: 'Arguments for the command', items: { type: 'string' } },
+      allowed_tools: { type: 'array', description: 'Tools the brain may call; "*" allows every tool', items: { type: 'string' }, default: [] },
+      description: { type: 'string', description: 'What the server is for, shown to the model', maxLength: 300 }
+    }
+  },
+  credentials: {
+    type: 'object',
+    properties: {
+      bearer_token: { type: 'string', description: 'Sent as "Authorization: Bearer ..."' },
+      headers: { type: 'object', description: 'Extra HTTP headers' },
+      env: { type: 'object', description: 'Environment variables for a local server; only names listed in MCP_STDIO_ENV' }
+    }
+  }
+};
+
+export function isMcpServerRow(row) {
+  return row?.tool_type === 'mcp' && String(row.tool_name || '').startsWith(MCP_TOOL_PREFIX);
+}
+
+export function mcpServerName(row) {
+  return String(row.tool_name).substring(MCP_TOOL_PREFIX.length);
+}
+
+// "GitHub Tools" -> "github_tools"
+export function slugifyServerName(name) {
+  return String(name || '').trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '').substring(0, 40);
+}
+
+// Names models accept: letters, digits, _ and -, at most 64 characters
+export function mcpFunctionName(server, tool) {
+  return `mcp__${server}__${tool}`.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 64);
+}
+
+export function isAllowed(row, toolName) {
+  const allowed = row.configuration?.allowed_tools || [];
+  return allowed.includes('*') || allowed.includes(toolName);
+}
+
+// Tool definitions for the allowed tools of every enabled server
+export function mcpToolsFromRows(userTools = []) {
+  return userTools
+    .filter(row => isMcpServerRow(row) && row.is_enabled)
+    .flatMap(row => (row.discovered_tools || [])
+      .filter(tool => isAllowed(row, tool.name))
+      .map(tool => defineMcpTool(row, tool)));
+}
+
+function defineMcpTool(row, remoteTool) {
+  const server = mcpServerName(row);
+  const settings = row.configuration || {};
+
+  return {
+    name: mcpFunctionName(server, remoteTool.name),
+    aliases: [],
+    type: 'mcp',
+    description: `[${server}${settings.description ? `: ${settings.description}` : ''}] ${remoteTool.description || remoteTool.title || remoteTool.name}`.substring(0, 1024),
+    parameters: functionParameters(remoteTool.inputSchema),
+    credentials: mcpServerSettings.credentials,
+    permissions: ['mcp:call'],
+    triggers: [],
+    remote: { serverId: row.id, server, tool: remoteTool.name },
+
+    summarize: result => `${result.tool} (${result.server}): ${result.text.substring(0, 200)}`,
+
+    async execute(params, { toolConfig, credentials, signal }) {
+      // Settings are read from the row at call time, so an allowlist change
+      // applies even to a definition built before it
+      if (!isAllowed(toolConfig || row, remoteTool.name)) {
+        throw mcpClientError('permission_denied', `${remoteTool.name} is not in the allowed tools for ${server}`);
+      }
+
+      const result = await callMcpTool(toolConfig?.configuration || settings, credentials || {}, remoteTool.name, params, { signal });
+      const text = describeContent(result?.content);
+
+      // The tool ran but reported a failure; the model can usually fix the call
+      if (result?.isError) {
+        throw mcpClientError('invalid_params', `${remoteTool.name} reported an error`, { errors: [text || 'no details given'] });
+      }
+
+      return {
+        server,
+        tool: remoteTool.name,
+        text,
+        structuredContent: result?.structuredContent ?? null
+      };
+    }
+  };
+}
+
+// Re-lists the tools of enabled servers whose cache is older than the TTL
+// (or `force`). Failures are recorded on the row and the old list is kept.
+// Returns userTools with the refreshed rows swapped in.
+export async function refreshMcpServers(supabase, userTools = [], { force = false, ids = null } = {}) {
+  const now = Date.now();
+  const stale = userTools.filter(row => isMcpServerRow(row) &&
+    (ids ? ids.includes(row.id) : row.is_enabled) &&
+    (force || !row.discovered_at || now - new Date(row.discovered_at).getTime() > MCP_DISCOVERY_TTL_MS));
+
+  if (stale.length === 0) return userTools;
+
+  const refreshed = await Promise.all(stale.map(row => refreshServer(supabase, row)));
+  return userTools.map(row => refreshed.find(updated => updated.id === row.id) || row);
+}
+
+async function refreshServer(supabase, row) {
+  const update = { discovered_at: new Date().toISOString(), updated_at: new Date().toISOString() };
+
+  try {
+    const credentials = row.credentials_encrypted ? decryptCredentials(row.credentials_encrypted) : {};
+    update.discovered_tools = await discoverMcpTools(row.configuration || {}, credentials, {
+      signal: AbortSignal.timeout(DISCOVERY_TIMEOUT_MS)
+    });
+    update.last_error = null;
+  } catch (error) {
+    console.error(`MCP discovery failed for ${row.tool_name}:`, error.message);
+    update.last_error = `Discovery failed: ${error.message}`.substring(0, 500);
+  }
+
+  const { data, error } = await supabase
+    .from('brain_tools')
+    .update(update)
+    .eq('id', row.id)
+    .select('*')
+    .single();
+
+  if (error) {
+    console.error(`Failed to save MCP discovery for ${row.tool_name}:`, error);
+    return { ...row, ...update };
+  }
+  return data;
+}
+
+// What the API shows for a server row; credentials are never included
+export function describeMcpServer(row) {
+  const settings = row.configuration || {};
+  const discovered = row.discovered_tools || [];
+
+  return {
+    id: row.id,
+    name: mcpServerName(row),
+    enabled: Boolean(row.is_enabled),
+    status: row.status,
+    transport: settings.transport || 'http',
+    url: settings.url || null,
+    command: settings.command || null,
+    args: settings.args || [],
+    description: settings.description || null,
+    allowedTools: settings.allowed_tools || [],
+    hasCredentials: Boolean(row.credentials_encrypted),
+    tools: discovered.map(tool => ({
+      name: tool.name,
+      functionName: mcpFunctionName(mcpServerName(row), tool.name),
+      description: tool.description,
+      allowed: isAllowed(row, tool.name),
+      readOnly: Boolean(tool.annotations?.readOnlyHint)
+    })),
+    discoveredAt: row.discovered_at || null,
+    lastError: row.last_error || null,
+    usage: {
+      usageCount: row.usage_count || 0,
+      successRate: row.success_rate ?? 1.0,
+      lastUsed: row.last_used || null
+    }
+  };
+}
+
+// Providers want an object schema at the top level
+function functionParameters(schema) {
+  if (!schema || typeof schema !== 'object' || schema.type !== 'object') {
+    return { type: 'object', properties: {} };
+  }
+  const { $schema, ...rest } = schema;
+  return { ...rest, properties: rest.properties || {} };
+}
+
+// Text parts as they are; other content is named so the model knows it exists
+function describeContent(content = []) {
+  const text = (Array.isArray(content) ? content : []).map(part => {
+    if (part?.type === 'text') return part.text;
+    if (part?.type === 'resource') return part.resource?.text ?? `[resource ${part.resource?.uri}]`;
+    if (part?.type === 'resource_link') return `[resource ${part.uri}]`;
+    return `[${part?.type || 'unknown'} content]`;
+  }).join('\n');
+
+  return text.length > MAX_RESULT_TEXT_CHARS ? `${text.substring(0, MAX_RESULT_TEXT_CHARS)}...(truncated)` : text;
+}
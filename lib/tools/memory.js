@@ -0,0 +1,47 @@
+// lib/tools/memory.js - memory_search: semantic search over the user's brain memories
+import { semanticMemorySearch, withoutEmbedding } from '../memory-search.js';
+
+export const memorySearchTool = {
+  name: 'memory_search',
+  aliases: ['memory-search'],
+  type: 'cognitive',
+  description: 'Search the user\'s stored memories for facts, past conversations and preferences related to a query.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'What to look for', minLength: 1 },
+      limit: { type: 'integer', description: 'Maximum memories to return', minimum: 1, maximum: 20, default: 5 },
+      category: { type: 'string', description: 'Only search this memory category' }
+    },
+    required: ['query']
+  },
+  configuration: {
+    type: 'object',
+    properties: {
+      min_similarity: { type: 'number', description: 'Ignore memories less similar than this', minimum: 0, maximum: 1 },
+      default_category: { type: 'string', description: 'Category searched when none is given' }
+    }
+  },
+  permissions: ['memory:read'],
+  enabledByDefault: true,
+  triggers: ['remember', 'recall', 'memory'],
+
+  fromMessage: message => ({ query: message, limit: 3 }),
+
+  summarize: result => `I recalled: ${result.memories?.slice(0, 2).map(m => m.summary).join(', ')}`,
+
+  async execute({ query, limit, category }, { supabase, userId, toolConfig }) {
+    const settings = toolConfig?.configuration || {};
+    const memories = await semanticMemorySearch(supabase, userId, query, {
+      limit,
+      minSimilarity: settings.min_similarity,
+      category: category || settings.default_category || null
+    });
+
+    return {
+      query,
+      memories: memories.map(withoutEmbedding),
+      total: memories.length
+    };
+  }
+};
@@ -0,0 +1,121 @@
+// lib/tools/messaging.js - send_message: drafts a webhook message that is sent once the user confirms it
+import {
+  renderTemplate,
+  escapeSlackText,
+  resolveDestination,
+  buildPayload,
+  deliverMessage,
+  messagingError,
+  MESSAGE_FORMATS,
+  MAX_MESSAGE_CHARS
+} from '../messaging.js';
+import { createConfirmation } from './confirmations.js';
+
+export const sendMessageTool = {
+  name: 'send_message',
+  aliases: ['slack', 'send-message'],
+  type: 'communication',
+  description: 'Draft a message to the user\'s team chat (Slack-compatible webhook) or another webhook. ' +
+    'Nothing is sent until the user confirms the draft, so tell them it is waiting for their confirmation.',
+  parameters: {
+    type: 'object',
+    properties: {
+      text: { type: 'string', description: 'Message text; may use {{variable}} placeholders', maxLength: MAX_MESSAGE_CHARS },
+      template: { type: 'string', description: 'Name of a saved template to use instead of text' },
+      variables: { type: 'object', description: 'Values for {{placeholders}} in the text or template' },
+      title: { type: 'string', description: 'Optional heading', maxLength: 200 },
+      destination: { type: 'string', description: 'Webhook name; defaults to the configured one' },
+      channel: { type: 'string', description: 'Channel override, for webhooks that allow it' }
+    }
+  },
+  configuration: {
+    type: 'object',
+    properties: {
+      default_channel: { type: 'string', description: 'Channel used when none is given' },
+      default_webhook: { type: 'string', description: 'Webhook used when none is named' },
+      payload_format: { type: 'string', description: 'Payload shape; auto picks slack for Slack-style hook URLs', enum: MESSAGE_FORMATS, default: 'auto' },
+      username: { type: 'string', description: 'Sender name shown by Slack-compatible services' },
+      icon_emoji: { type: 'string', description: 'Sender icon, e.g. :robot_face:' },
+      templates: { type: 'object', description: 'Named message templates, e.g. { "standup": "Standup {{date}}: {{notes}}" }' }
+    }
+  },
+  credentials: {
+    type: 'object',
+    properties: {
+      webhook_url: { type: 'string', description: 'Default incoming webhook URL', minLength: 1 },
+      webhooks: { type: 'object', description: 'Named webhooks: { "team": "https://hooks.slack.com/...", "ops": { "url": "...", "format": "json" } }' }
+    }
+  },
+  permissions: ['messaging:send'],
+  triggers: ['message team', 'message the team', 'notify the team', 'tell the team', 'post to slack', 'slack'],
+
+  fromMessage: message => ({ text: extractMessageText(message) }),
+
+  summarize: result => result.confirmation
+    ? `Ready to send to ${result.destination}${result.channel ? ` (${result.channel})` : ''}: "${result.text}" - confirm to send it`
+    : `Sent to ${result.destination}`,
+
+  async execute(params, { supabase, userId, conversationId, toolConfig, credentials, tool }) {
+    const settings = toolConfig?.configuration || {};
+    const destination = resolveDestination(credentials, settings, params.destination);
+
+    let source = params.text;
+    if (params.template) {
+      source = settings.templates?.[params.template];
+      if (typeof source !== 'string') {
+        const names = Object.keys(settings.templates || {});
+        throw messagingError(`No template named "${params.template}"${names.length ? `. Templates: ${names.join(', ')}` : ''}`);
+      }
+    }
+    if (!source?.trim()) throw messagingError('Give the message text or a template');
+
+    const { text, missing } = renderTemplate(source, params.variables || {}, {
+      escape: destination.format === 'slack' ? escapeSlackText : undefined
+    });
+    if (missing.length > 0) throw messagingError(`Missing values for: ${missing.join(', ')}`);
+    if (text.length > MAX_MESSAGE_CHARS) throw messagingError(`Messages are limited to ${MAX_MESSAGE_CHARS} characters`);
+
+    const message = {
+      text,
+      title: params.title || null,
+      channel: params.channel || settings.default_channel || null,
+      template: params.template || null,
+      variables: params.variables || {}
+    };
+
+    // The URL stays in the credentials; the stored action names the webhook
+    const confirmation = await createConfirmation(supabase, userId, {
+      tool,
+      action: { destination: destination.name, message },
+      preview: `${destination.name}${message.channel ? ` ${message.channel}` : ''}: ${text}`,
+      conversationId
+    });
+
+    return {
+      status: 'pending_confirmation',
+      destination: destination.name,
+      channel: message.channel,
+      format: destination.format,
+      text,
+      payload: buildPayload(destination.format, message, settings),
+      confirmation
+    };
+  },
+
+  // Runs when the user confirms; resolves the webhook again so credential
+  // changes made in between apply
+  async confirm(action, { toolConfig, credentials, signal }) {
+    const settings = toolConfig?.configuration || {};
+    const destination = resolveDestination(credentials, settings, action.destination);
+    const payload = buildPayload(destination.format, action.message, settings);
+    const delivery = await deliverMessage(destination, payload, { signal });
+
+    return { sent: true, destination: destination.name, channel: action.message.channel, ...delivery };
+  }
+};
+
+// "message the team: deploy is done" / "tell the team that ..." -> the part after
+function extractMessageText(message) {
+  const match = /(?:saying|that|:)\s*(.+)$/is.exec(message || '');
+  return (match ? match[1] : message || '').trim().substring(0, MAX_MESSAGE_CHARS);
+}
@@ -0,0 +1,117 @@
+// lib/tools/spreadsheet.js - spreadsheet: queries the user's uploaded CSV/XLSX datasets
+import { listDatasets, loadDataset, describeDataset } from '../datasets.js';
+import { queryTable, describeTable, toMarkdownTable, FILTER_OPERATORS, AGGREGATE_FUNCTIONS } from '../table-query.js';
+
+export const spreadsheetTool = {
+  name: 'spreadsheet',
+  aliases: ['google_sheets', 'google-sheets'],
+  type: 'productivity',
+  description: 'Query the user\'s uploaded spreadsheets and CSV files. Use action "list" to see datasets, ' +
+    '"describe" to see a dataset\'s columns, and "query" to filter, group, aggregate and sort rows.',
+  parameters: {
+    type: 'object',
+    properties: {
+      action: { type: 'string', description: 'What to do', enum: ['list', 'describe', 'query'], default: 'query' },
+      dataset: { type: 'string', description: 'Dataset name; defaults to the most recently updated one' },
+      columns: { type: 'array', description: 'Columns to return when not aggregating', items: { type: 'string' } },
+      filters: {
+        type: 'array',
+        description: 'Conditions every returned row must meet',
+        items: {
+          type: 'object',
+          properties: {
+            column: { type: 'string' },
+            op: { type: 'string', enum: FILTER_OPERATORS, default: 'eq' },
+            value: { type: ['string', 'number', 'boolean', 'array'], description: 'Compared value; an array for "in"' }
+          },
+          required: ['column']
+        }
+      },
+      group_by: { type: 'array', description: 'Columns to group rows by', items: { type: 'string' } },
+      aggregates: {
+        type: 'array',
+        description: 'Values to compute per group (or over all matching rows)',
+        items: {
+          type: 'object',
+          properties: {
+            fn: { type: 'string', enum: AGGREGATE_FUNCTIONS },
+            column: { type: 'string', description: 'Not needed for count' },
+            as: { type: 'string', description: 'Name of the result column' }
+          },
+          required: ['fn']
+        }
+      },
+      sort: {
+        type: 'array',
+        description: 'Result columns to sort by, in order',
+        items: {
+          type: 'object',
+          properties: {
+            column: { type: 'string' },
+            direction: { type: 'string', enum: ['asc', 'desc'], default: 'asc' }
+          },
+          required: ['column']
+        }
+      },
+      limit: { type: 'integer', description: 'Maximum rows to return', minimum: 1, maximum: 200, default: 20 }
+    }
+  },
+  configuration: {
+    type: 'object',
+    properties: {
+      default_sheet_name: { type: 'string', description: 'Dataset used when none is named' },
+      max_rows: { type: 'integer', description: 'Cap on rows returned per query', minimum: 1, maximum: 200 }
+    }
+  },
+  permissions: ['data:read'],
+  triggers: ['spreadsheet', 'sheet', 'csv', 'dataset'],
+
+  fromMessage: () => ({ action: 'describe' }),
+
+  summarize: result => {
+    if (result.datasets) {
+      return result.datasets.length
+        ? `Your datasets: ${result.datasets.map(d => `${d.name} (${d.rowCount} rows)`).join(', ')}`
+        : 'You have no datasets yet';
+    }
+    const heading = result.action === 'describe'
+      ? `${result.dataset.name} has ${result.dataset.rowCount} rows`
+      : `From ${result.dataset.name} (${result.matchedRows} matching rows)`;
+    return `${heading}:\n\n${result.markdown}`;
+  },
+
+  async execute(params, { supabase, userId, toolConfig }) {
+    const settings = toolConfig?.configuration || {};
+
+    if (params.action === 'list') {
+      return { action: 'list', datasets: await listDatasets(supabase, userId) };
+    }
+
+    const row = await loadDataset(supabase, userId, params.dataset || settings.default_sheet_name || null);
+    const dataset = describeDataset(row);
+    const table = { columns: row.columns || [], rows: row.rows || [] };
+
+    if (params.action === 'describe') {
+      const description = describeTable(table);
+      const summaryColumns = ['name', 'type', 'nonNull', 'distinct', 'min', 'max'];
+      return {
+        action: 'describe',
+        dataset,
+        ...description,
+        markdown: toMarkdownTable(summaryColumns, description.columns, { maxRows: 50 })
+      };
+    }
+
+    const result = queryTable(table, {
+      ...params,
+      limit: Math.min(params.limit, settings.max_rows || params.limit)
+    });
+
+    return {
+      action: 'query',
+      dataset,
+      ...result,
+      markdown: toMarkdownTable(result.columns, result.rows)
+    };
+  }
+};
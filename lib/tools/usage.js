@@ -0,0 +1,214 @@
+// lib/tools/usage.js - tool_usage_logs entries and the brain_tools counters derived from them
+import { nextLimitState, checkToolLimits, resolveToolLimits, isBreakerFailure, CIRCUIT_THRESHOLD, CIRCUIT_COOLDOWN_MS } from './limits.js';
+
+// Payloads stored in logs are capped so one large result can't bloat the table
+const MAX_STORED_CHARS = 4000;
+
+export function storableResult(result) {
+  const text = JSON.stringify(result ?? null);
+  return text.length > MAX_STORED_CHARS ? { truncated: true, preview: text.substring(0, MAX_STORED_CHARS) } : result;
+}
+
+// tool_usage_logs needs a brain_tools row to point at; tools that run on
+// their defaults get one created in their default state
+export async function ensureToolRow(supabase, userId, tool, row = null) {
+  if (row?.id) return row;
+
+  const findRow = async () => {
+    const { data, error } = await supabase
+      .from('brain_tools')
+      .select('*')
+      .eq('user_id', userId)
+      .in('tool_name', [tool.name, ...(tool.aliases || [])])
+      .limit(1);
+    if (error) throw error;
+    return data?.[0] || null;
+  };
+
+  const existing = await findRow();
+  if (existing) return existing;
+
+  const { data, error } = await supabase
+    .from('brain_tools')
+    .insert({
+      user_id: userId,
+      tool_name: tool.name,
+      tool_type: tool.type,
+      is_enabled: Boolean(tool.enabledByDefault),
+      status: tool.enabledByDefault ? 'active' : 'inactive'
+    })
+    .select('*')
+    .single();
+
+  // A concurrent call may have created it first
+  if (error?.code === '23505') return await findRow();
+  if (error) throw error;
+  return data;
+}
+
+// Takes one run of the tool's daily/monthly quota. The check and the count
+// are one statement (claim_tool_run), so parallel calls can't both take
+// the last run. Returns { row, blocked, claimed }: blocked is why the run
+// may not go ahead (see checkToolLimits), claimed whether it was counted.
+export async function claimToolRun(supabase, userId, tool, row = null) {
+  const toolRow = await ensureToolRow(supabase, userId, tool, row);
+  const limits = resolveToolLimits(tool, toolRow);
+
+  const { data, error } = await supabase.rpc('claim_tool_run', {
+    claimed_tool_id: toolRow.id,
+    daily_limit: limits.daily,
+    monthly_limit: limits.monthly
+  });
+
+  // Databases without the function: check the row as read, count on record
+  if (error?.code === 'PGRST202') return { row: toolRow, blocked: checkToolLimits(tool, toolRow), claimed: false };
+  if (error) throw error;
+  if (data?.length > 0) return { row: data[0], blocked: null, claimed: true };
+
+  // Refused; the current row says why
+  const { data: current, error: readError } = await supabase
+    .from('brain_tools')
+    .select('*')
+    .eq('id', toolRow.id)
+    .single();
+  if (readError) throw readError;
+
+  return {
+    row: current,
+    blocked: checkToolLimits(tool, current) || { code: 'quota_exceeded', reason: 'no runs are left right now', retryAt: null },
+    claimed: false
+  };
+}
+
+// Logs one execution and rolls it into the row's counters. Best effort:
+// a logging failure never fails the tool call itself. A claimed run
+// (see claimToolRun) already counts against the quota.
+// entry: { tool, row, claimed, conversationId, actionType, params, result, error, durationMs }
+export async function recordToolUsage(supabase, userId, entry) {
+  try {
+    const row = await ensureToolRow(supabase, userId, entry.tool, entry.row);
+    const success = !entry.error;
+
+    const { error: logError } = await supabase.from('tool_usage_logs').insert({
+      user_id: userId,
+      tool_id: row.id,
+      conversation_id: entry.conversationId || null,
+      action_type: entry.actionType || 'execute',
+      // MCP tools log against their server's row, so name the remote tool
+      request_data: entry.tool.remote ? { tool: entry.tool.remote.tool, arguments: entry.params || {} } : entry.params || {},
+      response_data: success ? storableResult(entry.result) : { error: entry.error.message, code: entry.error.code || null },
+      execution_time_ms: entry.durationMs,
+      success,
+      error_message: success ? null : entry.error.message
+    });
+
+    if (logError) console.error('Failed to log tool usage:', logError);
+
+    const outcome = { success, durationMs: entry.durationMs, error: entry.error };
+
+    // Statistics and breaker are updated in the database, so concurrent
+    // runs don't overwrite each other's counts
+    if (entry.claimed) {
+      const limits = resolveToolLimits(entry.tool, row);
+      const { data: recorded, error: recordError } = await supabase.rpc('record_tool_run', {
+        run_tool_id: row.id,
+        succeeded: success,
+        duration_ms: Math.round(entry.durationMs),
+        error_text: success ? null : entry.error.message,
+        trips_breaker: !success && isBreakerFailure(entry.error),
+        circuit_threshold: CIRCUIT_THRESHOLD,
+        cooldown_ms: CIRCUIT_COOLDOWN_MS,
+        daily_limit: limits.daily,
+        monthly_limit: limits.monthly
+      });
+
+      if (recordError) throw recordError;
+      return recorded?.[0] || null;
+    }
+
+    const counters = nextCounters(row, outcome);
+
+    const { data: updated, error: updateError } = await supabase
+      .from('brain_tools')
+      .update({ ...counters, ...nextLimitState(entry.tool, row, counters, outcome) })
+      .eq('id', row.id)
+      .select('*')
+      .single();
+
+    if (updateError) throw updateError;
+    return updated;
+  } catch (error) {
+    console.error(`Failed to record usage for ${entry.tool?.name}:`, error);
+    return null;
+  }
+}
+
+// Running totals: averages are folded in incrementally, daily/monthly
+// counts restart when the previous use was on an earlier day/month (UTC)
+export function nextCounters(row, { success, durationMs, error = null }, now = new Date()) {
+  const previousCount = row.usage_count || 0;
+  const usageCount = previousCount + 1;
+  const lastUsed = row.last_used ? new Date(row.last_used) : null;
+  const sameDay = lastUsed && lastUsed.toISOString().substring(0, 10) === now.toISOString().substring(0, 10);
+  const sameMonth = lastUsed && lastUsed.toISOString().substring(0, 7) === now.toISOString().substring(0, 7);
+
+  const previousRate = row.success_rate ?? 1.0;
+  const previousAverage = row.average_response_time ?? durationMs;
+
+  return {
+    usage_count: usageCount,
+    success_rate: (previousRate * previousCount + (success ? 1 : 0)) / usageCount,
+    average_response_time: Math.round((previousAverage * previousCount + durationMs) / usageCount),
+    error_count: (row.error_count || 0) + (success ? 0 : 1),
+    last_error: success ? row.last_error || null : error.message,
+    last_used: now.toISOString(),
+    daily_usage_count: (sameDay ? row.daily_usage_count || 0 : 0) + 1,
+    monthly_usage_count: (sameMonth ? row.monthly_usage_count || 0 : 0) + 1
+  };
+}
+
+// Per-tool analytics over the last `days` days of logs
+export async function getToolAnalytics(supabase, userId, row, { days = 30 } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data: logs, error } = await supabase
+    .from('tool_usage_logs')
+    .select('action_type, execution_time_ms, success, error_message, created_at')
+    .eq('user_id', userId)
+    .eq('tool_id', row.id)
+    .gte('created_at', since)
+    .order('created_at', { ascending: false })
+    .limit(5000);
+
+  if (error) throw error;
+
+  const executions = logs || [];
+  const successful = executions.filter(log => log.success).length;
+  const times = executions.map(log => log.execution_time_ms).filter(ms => typeof ms === 'number').sort((a, b) => a - b);
+
+  const byDay = {};
+  const byAction = {};
+  executions.forEach(log => {
+    const day = log.created_at.substring(0, 10);
+    byDay[day] = byDay[day] || { executions: 0, failures: 0 };
+    byDay[day].executions++;
+    if (!log.success) byDay[day].failures++;
+    byAction[log.action_type] = (byAction[log.action_type] || 0) + 1;
+  });
+
+  return {
+    periodDays: days,
+    executions: executions.length,
+    successful,
+    failed: executions.length - successful,
+    successRate: executions.length > 0 ? successful / executions.length : null,
+    averageTimeMs: times.length > 0 ? Math.round(times.reduce((sum, ms) => sum + ms, 0) / times.length) : null,
+    p95TimeMs: times.length > 0 ? times[Math.min(times.length - 1, Math.floor(times.length * 0.95))] : null,
+    byAction,
+    daily: Object.entries(byDay).sort(([a], [b]) => a.localeCompare(b)).map(([date, counts]) => ({ date, ...counts })),
+    recentErrors: executions
+      .filter(log => !log.success)
+      .slice(0, 5)
+      .map(log => ({ at: log.created_at, error: log.error_message }))
+  };
+}
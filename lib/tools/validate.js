@@ -0,0 +1,115 @@
+// lib/tools/validate.js - Minimal JSON-Schema checking for tool parameters
+//
+// Covers the subset tool definitions use: type, properties, required,
+// enum, minimum/maximum, minLength/maxLength, items, default and
+// additionalProperties. Returns { value, errors } with defaults applied.
+
+export function validateParams(schema, input) {
+  const errors = [];
+  const value = check(schema || { type: 'object' }, input === undefined ? {} : input, 'params', errors);
+  return { value, errors };
+}
+
+function check(schema, value, path, errors) {
+  if (value === undefined || value === null) {
+    return schema.default !== undefined ? clone(schema.default) : value;
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    // Query strings and form posts deliver numbers/booleans as text
+    const coerced = coerce(schema.type, value);
+    if (coerced === undefined) {
+      errors.push(`${path} must be ${describeType(schema.type)}`);
+      return value;
+    }
+    value = coerced;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} must be at most ${schema.maxLength} characters`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map((item, index) => check(schema.items, item, `${path}[${index}]`, errors));
+  }
+
+  if (schema.type === 'object' && isPlainObject(value)) {
+    const properties = schema.properties || {};
+    const result = {};
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+
+    Object.entries(value).forEach(([key, item]) => {
+      if (properties[key]) {
+        result[key] = check(properties[key], item, `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not a known parameter`);
+      } else {
+        result[key] = item;
+      }
+    });
+
+    Object.entries(properties).forEach(([key, propertySchema]) => {
+      if (result[key] === undefined && propertySchema.default !== undefined) {
+        result[key] = clone(propertySchema.default);
+      }
+    });
+
+    return result;
+  }
+
+  return value;
+}
+
+function matchesType(type, value) {
+  if (Array.isArray(type)) return type.some(t => matchesType(t, value));
+
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    default: return true;
+  }
+}
+
+function coerce(type, value) {
+  if (typeof value !== 'string') return undefined;
+
+  if ((type === 'number' || type === 'integer') && value.trim() !== '' && Number.isFinite(Number(value))) {
+    const number = Number(value);
+    return type === 'integer' && !Number.isInteger(number) ? undefined : number;
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+
+  return undefined;
+}
+
+function describeType(type) {
+  if (Array.isArray(type)) return type.join(' or ');
+  return type === 'integer' || type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+  return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
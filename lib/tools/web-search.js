@@ -0,0 +1,81 @@
+// lib/tools/web-search.js - web_search: searches through a pluggable provider and returns citable results
+import { resolveSearchProvider, search, listSearchProviders } from '../search/index.js';
+
+export const webSearchTool = {
+  name: 'web_search',
+  aliases: ['web-search'],
+  type: 'research',
+  description: 'Search the web for current information on a topic. Results are numbered; cite them in your answer as [1], [2] and so on.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Search terms', minLength: 1 },
+      max_results: { type: 'integer', description: 'Maximum results to return', minimum: 1, maximum: 10, default: 5 }
+    },
+    required: ['query']
+  },
+  configuration: {
+    type: 'object',
+    properties: {
+      provider: { type: 'string', description: 'Search backend', enum: listSearchProviders() },
+      max_results: { type: 'integer', description: 'Cap on results per search', minimum: 1, maximum: 10 },
+      // Older rows store a boolean
+      safe_search: { type: ['string', 'boolean'], description: 'Filter explicit results', enum: ['off', 'moderate', 'strict', true, false] }
+    }
+  },
+  credentials: {
+    type: 'object',
+    properties: {
+      api_key: { type: 'string', description: 'Search API key', minLength: 1 }
+    }
+  },
+  // The local provider searches the user's memories and training data
+  permissions: ['network:read', 'memory:read', 'training:read'],
+  triggers: ['search', 'find', 'look up'],
+
+  fromMessage: message => ({ query: extractSearchTerms(message) }),
+
+  summarize: result => result.results?.length
+    ? `I found: ${result.results.slice(0, 3).map(r => `${r.title} [${r.citation}]`).join(', ')}`
+    : `I couldn't find anything for "${result.query}"`,
+
+  cite: result => (result.results || []).map(({ citation, title, url }) => ({ citation, title, url })),
+
+  async execute({ query, max_results }, { toolConfig, credentials, signal, supabase, userId }) {
+    const settings = toolConfig?.configuration || {};
+    const provider = resolveSearchProvider({ configuration: settings, credentials });
+
+    const results = await search(provider, query, {
+      limit: Math.min(max_results, settings.max_results || max_results),
+      safeSearch: safeSearchLevel(settings.safe_search),
+      signal,
+      supabase,
+      userId
+    });
+
+    return { query, provider: provider.name, results };
+  }
+};
+
+function safeSearchLevel(value) {
+  if (value === true || value === undefined) return 'moderate';
+  if (value === false) return 'off';
+  return value;
+}
+
+export function extractSearchTerms(message) {
+  // Simple extraction - improve with NLP
+  const searchWords = ['search', 'find', 'look up', 'about', 'what is'];
+  const words = message.toLowerCase().split(/\s+/);
+
+  let startIndex = 0;
+  for (const searchWord of searchWords) {
+    const index = words.indexOf(searchWord);
+    if (index !== -1) {
+      startIndex = index + 1;
+      break;
+    }
+  }
+
+  return words.slice(startIndex, startIndex + 3).join(' ') || message.substring(0, 50);
+}
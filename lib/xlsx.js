@@ -0,0 +1,252 @@
+// lib/xlsx.js - Reads worksheets out of .xlsx workbooks
+//
+// An .xlsx file is a zip of XML parts. This reads the zip's central
+// directory, inflates the parts it needs with zlib and walks the sheet XML:
+// shared and inline strings, numbers, booleans and date-formatted numbers
+// (returned as ISO strings). Formulas yield their cached values. Zip64
+// archives and encrypted workbooks are not supported.
+import zlib from 'zlib';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// A few times the 5MB dataset limit; XML compresses well, but a part that
+// inflates past this is a zip bomb rather than a spreadsheet
+const MAX_ENTRY_BYTES = 32 * 1024 * 1024;
+
+// Built-in number formats that display dates or times
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+export function isXlsx(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length > 4 && buffer.readUInt32LE(0) === LOCAL_SIGNATURE;
+}
+
+export function listSheets(buffer) {
+  return readWorkbook(readZip(buffer)).sheets.map(sheet => sheet.name);
+}
+
+// Rows of the named sheet (or the first), each an array of cell values
+export function readSheet(buffer, { sheet = null } = {}) {
+  const files = readZip(buffer);
+  const workbook = readWorkbook(files);
+
+  const target = sheet
+    ? workbook.sheets.find(s => s.name.toLowerCase() === String(sheet).toLowerCase())
+    : workbook.sheets[0];
+  if (!target) {
+    throw new Error(sheet ? `No sheet named "${sheet}"` : 'The workbook has no sheets');
+  }
+
+  const xml = files.read(target.path);
+  if (xml === null) throw new Error(`Sheet "${target.name}" is missing from the workbook`);
+
+  const sharedStrings = readSharedStrings(files.read('xl/sharedStrings.xml'));
+  const dateStyles = readDateStyles(files.read('xl/styles.xml'));
+
+  return readRows(xml, { sharedStrings, dateStyles, date1904: workbook.date1904 });
+}
+
+// ZIP
+
+function readZip(buffer) {
+  if (!isXlsx(buffer)) throw new Error('Not an .xlsx file');
+
+  const eocd = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (offset === 0xffffffff) throw new Error('Zip64 workbooks are not supported');
+
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new Error('Corrupt .xlsx central directory');
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, {
+      flags: buffer.readUInt16LE(offset + 8),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      uncompressedSize: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return {
+    read(name) {
+      const entry = entries.get(name.replace(/^\//, ''));
+      return entry ? inflateEntry(buffer, entry).toString('utf8') : null;
+    }
+  };
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 64KB
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) return offset;
+  }
+  throw new Error('Corrupt .xlsx file: no end of central directory');
+}
+
+function inflateEntry(buffer, entry) {
+  if (entry.flags & 0x1) throw new Error('Encrypted workbooks are not supported');
+  if (buffer.readUInt32LE(entry.localOffset) !== LOCAL_SIGNATURE) throw new Error('Corrupt .xlsx entry');
+
+  const nameLength = buffer.readUInt16LE(entry.localOffset + 26);
+  const extraLength = buffer.readUInt16LE(entry.localOffset + 28);
+  const start = entry.localOffset + 30 + nameLength + extraLength;
+  const data = buffer.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) return data;
+  if (entry.method !== 8) throw new Error(`Unsupported .xlsx compression method ${entry.method}`);
+
+  // The declared size can lie, so zlib is capped as well
+  const tooLarge = `A part of the workbook is larger than ${MAX_ENTRY_BYTES / 1024 / 1024}MB uncompressed`;
+  if (entry.uncompressedSize > MAX_ENTRY_BYTES) throw new Error(tooLarge);
+  try {
+    return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(tooLarge);
+    throw error;
+  }
+}
+
+// WORKBOOK PARTS
+
+function readWorkbook(files) {
+  const xml = files.read('xl/workbook.xml');
+  if (xml === null) throw new Error('Not an .xlsx workbook');
+
+  const targets = new Map();
+  matchTags(files.read('xl/_rels/workbook.xml.rels') || '', 'Relationship').forEach(attrs => {
+    targets.set(attrs.Id, attrs.Target);
+  });
+
+  const sheets = matchTags(xml, 'sheet').map(attrs => {
+    const target = targets.get(attrs['r:id']) || '';
+    return {
+      name: decodeXml(attrs.name || ''),
+      path: target.startsWith('/') ? target.slice(1) : `xl/${target}`
+    };
+  });
+
+  const properties = matchTags(xml, 'workbookPr')[0] || {};
+  return { sheets, date1904: properties.date1904 === '1' || properties.date1904 === 'true' };
+}
+
+function readSharedStrings(xml) {
+  if (!xml) return [];
+  return [...xml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(([, item]) => textContent(item));
+}
+
+// Indexes of cellXfs styles whose number format is a date
+function readDateStyles(xml) {
+  const styles = new Set();
+  if (!xml) return styles;
+
+  const customDates = new Set(
+    matchTags(xml, 'numFmt')
+      .filter(attrs => isDateFormat(decodeXml(attrs.formatCode || '')))
+      .map(attrs => Number(attrs.numFmtId))
+  );
+
+  const cellXfs = /<cellXfs[^>]*>([\s\S]*?)<\/cellXfs>/.exec(xml)?.[1] || '';
+  matchTags(cellXfs, 'xf').forEach((attrs, index) => {
+    const id = Number(attrs.numFmtId || 0);
+    if (DATE_FORMAT_IDS.has(id) || customDates.has(id)) styles.add(index);
+  });
+
+  return styles;
+}
+
+function isDateFormat(code) {
+  // Ignore quoted literals and [colour]/[$-locale] sections before looking for d/m/y/h/s
+  const stripped = code.replace(/"[^"]*"/g, '').replace(/\[[^\]]*\]/g, '');
+  return /[dmyhs]/i.test(stripped) && !/^general$/i.test(stripped);
+}
+
+// SHEET DATA
+
+function readRows(xml, { sharedStrings, dateStyles, date1904 }) {
+  const rows = [];
+
+  for (const [, rowAttrs, rowBody] of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = Number(parseAttributes(rowAttrs).r) || rows.length + 1;
+    const cells = [];
+
+    for (const [, cellAttrs, cellBody = ''] of (rowBody || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = parseAttributes(cellAttrs);
+      const column = attrs.r ? columnIndex(attrs.r) : cells.length;
+      cells[column] = cellValue(attrs, cellBody, { sharedStrings, dateStyles, date1904 });
+    }
+
+    // Keep row positions so gaps in the sheet stay gaps
+    rows[rowNumber - 1] = Array.from(cells, value => value ?? null);
+  }
+
+  return Array.from(rows, row => row || []);
+}
+
+function cellValue(attrs, body, { sharedStrings, dateStyles, date1904 }) {
+  const raw = /<v>([\s\S]*?)<\/v>/.exec(body)?.[1];
+
+  switch (attrs.t) {
+    case 's': return raw === undefined ? null : sharedStrings[Number(raw)] ?? null;
+    case 'inlineStr': return textContent(/<is>([\s\S]*?)<\/is>/.exec(body)?.[1] || '');
+    case 'str': return raw === undefined ? null : decodeXml(raw);
+    case 'b': return raw === '1';
+    case 'e': return null;
+    case 'd': return raw === undefined ? null : decodeXml(raw);
+  }
+
+  if (raw === undefined || raw === '') return null;
+  const number = Number(raw);
+  if (dateStyles.has(Number(attrs.s || 0))) return serialToIso(number, date1904);
+  return number;
+}
+
+function serialToIso(serial, date1904) {
+  // Day 0 is 1899-12-30 (allowing for Excel's fictional 1900-02-29) or 1904-01-01
+  const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+  const date = new Date(epoch + Math.round(serial * 86400) * 1000);
+  const iso = date.toISOString();
+  return Number.isInteger(serial) ? iso.slice(0, 10) : iso.slice(0, 19);
+}
+
+export function columnIndex(reference) {
+  const letters = /^[A-Z]+/i.exec(reference)?.[0].toUpperCase() || 'A';
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+// XML HELPERS
+
+function matchTags(xml, tag) {
+  const pattern = new RegExp(`<(?:\\w+:)?${tag}\\b([^>]*?)\\/?>`, 'g');
+  return [...xml.matchAll(pattern)].map(([, attrs]) => parseAttributes(attrs));
+}
+
+function parseAttributes(text = '') {
+  const attrs = {};
+  for (const [, name, value] of text.matchAll(/([\w:]+)\s*=\s*"([^"]*)"/g)) attrs[name] = value;
+  return attrs;
+}
+
+// Concatenates <t> runs, skipping phonetic (<rPh>) annotations
+function textContent(xml) {
+  const withoutPhonetics = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+  return [...withoutPhonetics.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(([, text]) => decodeXml(text)).join('');
+}
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+    const lower = entity.toLowerCase();
+    if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16));
+    if (lower.startsWith('#')) return String.fromCodePoint(parseInt(lower.slice(1), 10));
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' }[lower];
+  });
+}
@@ -0,0 +1,79 @@
+// Embed brain_memories stored before embeddings existed
+//
+// Usage: node scripts/backfill-memory-embeddings.mjs [--dry-run] [--user <id>]
+//
+// Semantic recall only ranks rows with an embedding, so older memories
+// are invisible to it until this has run. Safe to re-run: only rows whose
+// embedding is still empty are picked up.
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { buildMemoryEmbedding } from '../lib/memory-search.js';
+
+dotenv.config({ path: '.env.local' });
+
+const BATCH_SIZE = 100;
+const dryRun = process.argv.includes('--dry-run');
+const userIndex = process.argv.indexOf('--user');
+const onlyUser = userIndex >= 0 ? process.argv[userIndex + 1] : null;
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+async function backfillMemoryEmbeddings() {
+  console.log(`🧬 Embedding memories without an embedding${dryRun ? ' (dry run)' : ''}`);
+
+  // Embedded rows drop out of the query, so page by id rather than offset
+  let lastId = null;
+  let embedded = 0;
+  const failed = [];
+
+  while (true) {
+    let query = supabase
+      .from('brain_memories')
+      .select('id, content, summary, metadata')
+      .is('embedding', null)
+      .order('id')
+      .limit(BATCH_SIZE);
+    if (onlyUser) query = query.eq('user_id', onlyUser);
+    if (lastId) query = query.gt('id', lastId);
+
+    const { data: rows, error } = await query;
+    if (error) throw error;
+    if (!rows || rows.length === 0) break;
+
+    for (const row of rows) {
+      if (dryRun) {
+        embedded++;
+        continue;
+      }
+
+      try {
+        const { embedding, embedding_model } = await buildMemoryEmbedding(row.content, row.summary);
+        if (!embedding) throw new Error('the embedding provider returned nothing');
+
+        const { error: updateError } = await supabase
+          .from('brain_memories')
+          .update({ embedding, metadata: { ...(row.metadata || {}), embedding_model } })
+          .eq('id', row.id);
+
+        if (updateError) throw updateError;
+        embedded++;
+      } catch (rowError) {
+        failed.push(row.id);
+        console.error(`  ❌ ${row.id}: ${rowError.message}`);
+      }
+    }
+
+    lastId = rows[rows.length - 1].id;
+  }
+
+  console.log(`✅ ${dryRun ? 'Would embed' : 'Embedded'} ${embedded} memories, ${failed.length} failed`);
+  if (failed.length > 0) process.exit(1);
+}
+
+backfillMemoryEmbeddings().catch(error => {
+  console.error('Embedding backfill failed:', error);
+  process.exit(1);
+});
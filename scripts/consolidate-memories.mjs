@@ -0,0 +1,94 @@
+// Consolidate episodic memories into semantic/fact memories for every user
+//
+// Usage: node scripts/consolidate-memories.mjs [--dry-run] [--user <id>] [--expire]
+//
+// --dry-run prints the proposed merges without writing anything.
+// --expire gives consolidated episodes an expires_at (MEMORY_EPISODE_RETENTION_DAYS,
+// default 30) so a later run deletes them; otherwise their importance is only lowered.
+// Meant to run daily, e.g. from cron. Each user's LLM settings are used for
+// distilling; without one the extractive summariser is used.
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { resolveLLMSettings } from '../lib/llm/index.js';
+import { consolidateMemories } from '../lib/memory-consolidation.js';
+
+dotenv.config({ path: '.env.local' });
+
+const BATCH_SIZE = 100;
+const dryRun = process.argv.includes('--dry-run');
+const userIndex = process.argv.indexOf('--user');
+const onlyUser = userIndex >= 0 ? process.argv[userIndex + 1] : null;
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+async function consolidateAllMemories() {
+  console.log(`🧠 Consolidating memories${dryRun ? ' (dry run)' : ''}`);
+
+  let offset = 0;
+  let created = 0;
+  let consolidated = 0;
+  let purged = 0;
+  const failed = [];
+
+  while (true) {
+    let userQuery = supabase.from('users').select('id').order('id').range(offset, offset + BATCH_SIZE - 1);
+    if (onlyUser) userQuery = userQuery.eq('id', onlyUser);
+
+    const { data: users, error } = await userQuery;
+    if (error) throw error;
+    if (!users || users.length === 0) break;
+
+    for (const user of users) {
+      try {
+        const { data: preferences } = await supabase
+          .from('user_preferences')
+          .select('*')
+          .eq('user_id', user.id)
+          .maybeSingle();
+
+        const result = await consolidateMemories(supabase, user.id, {
+          dryRun,
+          sourceAction: process.argv.includes('--expire') ? 'expire' : 'demote',
+          llmSettings: resolveLLMSettings({ preferences })
+        });
+
+        created += result.created;
+        consolidated += result.consolidatedSources;
+        purged += result.purged;
+        if (result.clusters.length > 0 || result.purged > 0) printResult(user.id, result);
+      } catch (userError) {
+        failed.push(user.id);
+        console.error(`  ❌ ${user.id}: ${userError.message}`);
+      }
+    }
+
+    if (onlyUser) break;
+    offset += users.length;
+  }
+
+  console.log(dryRun
+    ? `✅ Dry run done, ${failed.length} users failed`
+    : `✅ Created ${created} memories from ${consolidated} episodes, deleted ${purged} expired episodes, ${failed.length} users failed`);
+  if (failed.length > 0) process.exit(1);
+}
+
+function printResult(userId, result) {
+  console.log(`\n👤 ${userId}: ${result.scanned} episodes scanned, ${result.clusters.length} clusters` +
+    (result.purged ? `, ${result.purged} expired episodes ${result.dryRun ? 'to delete' : 'deleted'}` : ''));
+
+  result.clusters.forEach(cluster => {
+    console.log(`  📦 ${cluster.sources.length} ${cluster.category || 'uncategorised'} episodes (similarity ${cluster.similarity}, ${cluster.method})`);
+    cluster.sources.forEach(source => console.log(`     - ${source.summary || source.content}`));
+    if (cluster.skipped) console.log(`     ⏭️  ${cluster.skipped}`);
+    cluster.proposed.forEach(memory => console.log(`     → [${memory.type}] ${memory.summary} (importance ${memory.importance})`));
+    if (cluster.error) console.log(`     ❌ ${cluster.error}`);
+  });
+}
+
+consolidateAllMemories().catch(error => {
+  console.error('Memory consolidation failed:', error);
+  process.exit(1);
+});
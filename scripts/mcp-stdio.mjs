@@ -0,0 +1,78 @@
+// MCP server over stdio, for clients that launch a local command
+//
+// Usage: BRAIN_API_KEY=abk_... node scripts/mcp-stdio.mjs
+//
+// Client configuration, e.g.
+//   { "command": "node", "args": ["/path/to/scripts/mcp-stdio.mjs"],
+//     "env": { "BRAIN_API_KEY": "abk_..." } }
+//
+// Create the key with POST /api/ai/api-keys. A login token in BRAIN_TOKEN
+// works too. SUPABASE_URL and SUPABASE_SERVICE_KEY come from the
+// environment or the repo's .env.local, as for the other scripts.
+// Messages are newline-delimited JSON-RPC on stdin/stdout; logs go to stderr.
+import readline from 'readline';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { authenticateBearer } from '../lib/api-keys.js';
+import { handleMcpMessage, parseMcpMessage } from '../lib/mcp.js';
+
+// stdout carries protocol messages only
+console.log = console.error;
+console.info = console.error;
+
+dotenv.config({ path: new URL('../.env.local', import.meta.url).pathname, quiet: true });
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+function send(message) {
+  process.stdout.write(`${JSON.stringify(message)}\n`);
+}
+
+async function serveMcp() {
+  const token = process.env.BRAIN_API_KEY || process.env.BRAIN_TOKEN;
+  if (!token) {
+    console.error('❌ Set BRAIN_API_KEY (or BRAIN_TOKEN) to the key the server should act as');
+    process.exit(1);
+  }
+
+  let session;
+  try {
+    const { userId } = await authenticateBearer(supabase, token, { scope: 'mcp' });
+    session = { supabase, userId };
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  console.error(`🧠 Brain MCP server ready for user ${session.userId}`);
+
+  const pending = new Set();
+  const lines = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+
+  lines.on('line', line => {
+    if (!line.trim()) return;
+
+    const { message, error } = parseMcpMessage(line);
+    if (error) return send(error);
+
+    // Requests are handled concurrently so a ping isn't stuck behind a slow tool
+    const task = handleMcpMessage(message, session)
+      .then(reply => reply && send(reply))
+      .catch(failure => console.error('MCP message failed:', failure))
+      .finally(() => pending.delete(task));
+    pending.add(task);
+  });
+
+  lines.on('close', async () => {
+    await Promise.all(pending);
+    process.exit(0);
+  });
+}
+
+serveMcp().catch(error => {
+  console.error('❌ MCP server failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,64 @@
+// Local stand-in for Slack-compatible incoming webhooks, for testing send_message
+//
+//   npm run mock-webhook                       # listens on http://localhost:4040
+//   PORT=5050 npm run mock-webhook
+//   MOCK_WEBHOOK_STATUS=500 npm run mock-webhook   # answer every post with an error
+//
+// Point the tool at it with credentials such as
+//   { "webhooks": { "team": "http://localhost:4040/hooks/team", "ops": "http://localhost:4040/ops" } }
+// Paths under /hooks/ are treated as Slack-style by the tool; others get the
+// generic JSON payload. GET / lists what has been received; DELETE / clears it.
+// Outbound requests to localhost are refused by default, so run the app with
+// OUTBOUND_ALLOWED_CIDRS=127.0.0.1/32,::1/128 while testing against it.
+const http = require('http');
+
+const port = parseInt(process.env.PORT, 10) || 4040;
+const failWith = parseInt(process.env.MOCK_WEBHOOK_STATUS, 10) || null;
+const received = [];
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ received }, null, 2));
+  }
+
+  if (req.method === 'DELETE') {
+    received.length = 0;
+    res.writeHead(204);
+    return res.end();
+  }
+
+  if (req.method !== 'POST') {
+    res.writeHead(405);
+    return res.end();
+  }
+
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      // Slack answers malformed bodies like this
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      return res.end('invalid_payload');
+    }
+
+    received.push({ path: req.url, receivedAt: new Date().toISOString(), payload });
+    console.log(`📨 ${req.url}${payload.channel ? ` ${payload.channel}` : ''}: ${payload.text}`);
+
+    if (failWith) {
+      res.writeHead(failWith, { 'Content-Type': 'text/plain' });
+      return res.end('mock_failure');
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+  });
+});
+
+server.listen(port, () => {
+  console.log(`🪝 Mock webhook receiver listening on http://localhost:${port}`);
+  if (failWith) console.log(`   Answering every post with ${failWith}`);
+});
@@ -0,0 +1,83 @@
+// Re-encrypt brain_tools credentials under the active key
+//
+// Usage: node scripts/rotate-tool-credentials.mjs [--dry-run]
+//
+// Add the new key to TOOL_CREDENTIALS_KEYS, point TOOL_CREDENTIALS_ACTIVE_KEY
+// at it, run this, then drop the old key once nothing reports it. Rows
+// stored as plaintext before encryption existed are encrypted too.
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { loadKeyring, readStoredCredentials, encryptCredentials, needsRotation } from '../lib/credentials.js';
+
+dotenv.config({ path: '.env.local' });
+
+const BATCH_SIZE = 100;
+const dryRun = process.argv.includes('--dry-run');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+async function rotateToolCredentials() {
+  const keyring = loadKeyring();
+  if (!keyring.activeKeyId) {
+    console.error('❌ TOOL_CREDENTIALS_KEYS is not set');
+    process.exit(1);
+  }
+
+  console.log(`🔑 Active key: ${keyring.activeKeyId}${dryRun ? ' (dry run)' : ''}`);
+
+  let offset = 0;
+  let rotated = 0;
+  let current = 0;
+  const failed = [];
+
+  while (true) {
+    const { data: rows, error } = await supabase
+      .from('brain_tools')
+      .select('id, user_id, tool_name, credentials_encrypted')
+      .not('credentials_encrypted', 'is', null)
+      .order('id')
+      .range(offset, offset + BATCH_SIZE - 1);
+
+    if (error) throw error;
+    if (!rows || rows.length === 0) break;
+
+    for (const row of rows) {
+      if (!needsRotation(row.credentials_encrypted, keyring)) {
+        current++;
+        continue;
+      }
+
+      try {
+        const { ciphertext, keyId } = encryptCredentials(readStoredCredentials(row.credentials_encrypted, keyring), keyring);
+
+        if (!dryRun) {
+          // Only replace the value we read, in case it changed meanwhile
+          const { error: updateError } = await supabase
+            .from('brain_tools')
+            .update({ credentials_encrypted: ciphertext, credentials_key_id: keyId })
+            .eq('id', row.id)
+            .eq('credentials_encrypted', row.credentials_encrypted);
+
+          if (updateError) throw updateError;
+        }
+        rotated++;
+      } catch (rowError) {
+        failed.push(row.id);
+        console.error(`  ❌ ${row.tool_name} (${row.id}): ${rowError.message}`);
+      }
+    }
+
+    offset += rows.length;
+  }
+
+  console.log(`✅ ${dryRun ? 'Would re-encrypt' : 'Re-encrypted'} ${rotated} rows, ${current} already current, ${failed.length} failed`);
+  if (failed.length > 0) process.exit(1);
+}
+
+rotateToolCredentials().catch(error => {
+  console.error('Credential rotation failed:', error);
+  process.exit(1);
+});